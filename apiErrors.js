@@ -0,0 +1,107 @@
+const { HttpError } = require("./errors");
+const { setVersionTag } = require("./concurrency");
+
+// Node socket errors and Postgres SQLSTATEs that mean "could not reach the database", not "the query was wrong".
+const UNREACHABLE_CODES = new Set(["ECONNREFUSED", "ECONNRESET", "ENOTFOUND", "EAI_AGAIN", "ETIMEDOUT", "EHOSTUNREACH"]);
+const UNAVAILABLE_SQLSTATES = new Set(["53300", "57P01", "57P02", "57P03"]); // too many connections, shutting down, cannot connect now
+const RETRY_AFTER_S = 5;
+
+/**
+ * Wraps an async route handler or middleware so a rejected promise is passed to `next`
+ * and reaches the error handler, instead of leaving the request hanging.
+ * @param {import('express').RequestHandler} fn
+ * @returns {import('express').RequestHandler}
+ */
+function asyncHandler(fn) {
+    return function (req, res, next) {
+        Promise.resolve(fn(req, res, next)).catch(next);
+    };
+}
+
+function isDatabaseUnavailable(err) {
+    if (UNREACHABLE_CODES.has(err.code) || UNAVAILABLE_SQLSTATES.has(err.code)) return true;
+    if (typeof err.code === "string" && err.code.startsWith("08")) return true; // connection_exception class
+    // pg-pool and pg report these without a code.
+    return /timeout exceeded when trying to connect|Connection terminated/i.test(err.message || "");
+}
+
+/**
+ * Maps any error to the response it should produce. Errors that are not HttpErrors become a
+ * generic 500 so internals never leak; body-parser's own 4xx errors are passed through.
+ * @param {Error} err
+ * @returns {HttpError}
+ */
+function toHttpError(err) {
+    if (err instanceof HttpError) return err;
+    if (err.type === "entity.parse.failed") return new HttpError(400, "invalid_json", "Request body is not valid JSON");
+    if (err.type === "entity.too.large") return new HttpError(413, "payload_too_large", `Request body exceeds the ${err.limit} byte limit`);
+    if (err.expose && err.status >= 400 && err.status < 500) return new HttpError(err.status, "bad_request", err.message);
+    if (isDatabaseUnavailable(err)) return new HttpError(503, "database_unavailable", "The database is unavailable; try again shortly");
+    return new HttpError(500, "internal_error", "Internal Server Error");
+}
+
+/**
+ * Sends `err` as the standard error body, tagged with the request id.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {HttpError} err
+ */
+function sendError(req, res, err) {
+    if (err.status === 503 && !res.get("Retry-After")) res.set("Retry-After", String(RETRY_AFTER_S));
+    // Conflicts carry the stored copy; its version is the ETag to retry with.
+    if (err.details && err.details.current) setVersionTag(res, err.details.current);
+    res.status(err.status).json({ ...err.toJSON(), requestId: req.id });
+}
+
+/**
+ * Methods some route accepts for `path`, or an empty list when no route matches it at all.
+ * @param {import('express').Application} app
+ * @param {string} path
+ * @returns {string[]}
+ */
+function allowedMethods(app, path) {
+    const methods = new Set();
+    for (const layer of app._router.stack) {
+        if (!layer.route || !layer.match(path)) continue;
+        Object.keys(layer.route.methods).forEach(m => methods.add(m.toUpperCase()));
+    }
+    if (methods.has("GET")) methods.add("HEAD");
+    return [...methods];
+}
+
+/**
+ * Fallback for `/api/*` requests no route handled: 405 with an Allow header when the path exists
+ * under another method, otherwise 404. Both use the standard error body rather than the HTML page.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+function handleApiNotFound(req, res) {
+    const allowed = allowedMethods(req.app, req.originalUrl.split("?")[0]);
+    if (allowed.length) {
+        res.set("Allow", allowed.join(", "));
+        return sendError(req, res, new HttpError(405, "method_not_allowed", `${req.method} is not supported here; use ${allowed.join(", ")}`));
+    }
+    sendError(req, res, new HttpError(404, "not_found", `No API route for ${req.method} ${req.baseUrl}${req.path}`));
+}
+
+/**
+ * Answers `/api/*` requests that no route accepts with handleApiNotFound's 404 or 405 before anything
+ * else looks at them. Mount it ahead of checks that would otherwise reject the request for another
+ * reason first, such as the CSRF check on a PUT to a path that only takes GET.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+function rejectUnroutedApiRequests(req, res, next) {
+    if (!req.path.startsWith("/api/") || req.method === "OPTIONS") return next();
+    if (allowedMethods(req.app, req.path).includes(req.method)) return next();
+    handleApiNotFound(req, res);
+}
+
+module.exports = {
+    asyncHandler,
+    toHttpError,
+    sendError,
+    handleApiNotFound,
+    rejectUnroutedApiRequests
+};
@@ -0,0 +1,59 @@
+const fs = require("fs");
+const path = require("path");
+const { createHash } = require("crypto");
+
+const PUBLIC_DIR = path.join(__dirname, "public");
+const STATIC_PREFIX = "/static";
+const ONE_YEAR_S = 365 * 24 * 60 * 60;
+const fingerprints = new Map();
+
+// Content hash of a public file, recomputed only when its mtime changes so edits show up without a restart.
+function fingerprintOf(file) {
+    const full = path.join(PUBLIC_DIR, file);
+    let stat;
+    try {
+        stat = fs.statSync(full);
+    } catch (_) {
+        return null;
+    }
+    const cached = fingerprints.get(file);
+    if (cached && cached.mtimeMs === stat.mtimeMs) return cached.hash;
+    const hash = createHash("sha256").update(fs.readFileSync(full)).digest("hex").slice(0, 12);
+    fingerprints.set(file, { mtimeMs: stat.mtimeMs, hash });
+    return hash;
+}
+
+/**
+ * URL of a file under public/, with its content hash as `?v=` so it can be cached for good.
+ * Exposed to views as `asset("css/styles.css")`.
+ * @param {string} file Path relative to public/.
+ * @returns {string}
+ */
+function assetUrl(file) {
+    const rel = String(file).replace(/^\/+/, "");
+    const hash = fingerprintOf(rel);
+    return `${STATIC_PREFIX}/${rel}${hash ? `?v=${hash}` : ""}`;
+}
+
+/**
+ * `setHeaders` hook for express.static. Fingerprinted requests whose hash matches the file are immutable;
+ * anything else (old hash, bare URL) must be revalidated so a stale copy is never pinned.
+ * @param {import('express').Response} res
+ * @param {string} filePath Absolute path of the file being served.
+ */
+function setStaticCacheHeaders(res, filePath) {
+    const rel = path.relative(PUBLIC_DIR, filePath).split(path.sep).join("/");
+    const requested = res.req && res.req.query ? res.req.query.v : null;
+    if (requested && requested === fingerprintOf(rel)) {
+        res.setHeader("Cache-Control", `public, max-age=${ONE_YEAR_S}, immutable`);
+    } else {
+        res.setHeader("Cache-Control", "no-cache");
+    }
+}
+
+module.exports = {
+    PUBLIC_DIR,
+    STATIC_PREFIX,
+    assetUrl,
+    setStaticCacheHeaders
+};
@@ -0,0 +1,85 @@
+const { ROLES, readUserById } = require("./userStore");
+const { authenticateToken } = require("./tokenStore");
+const { UnauthorizedError, ForbiddenError } = require("./errors");
+
+/**
+ * True when `user` holds `role` or a more privileged one.
+ * @param {{role: string}|null|undefined} user
+ * @param {string} role
+ * @returns {boolean}
+ */
+function hasRole(user, role) {
+    if (!user) return false;
+    const have = ROLES.indexOf(user.role);
+    return have >= 0 && have >= ROLES.indexOf(role);
+}
+
+/**
+ * Identifies the caller and puts them in `req.user` (and `res.locals.user` for views).
+ * An `Authorization: Bearer` API token takes precedence and also sets `req.token`;
+ * an unknown or revoked token is rejected outright rather than falling back to the session.
+ * Otherwise the user is loaded from `req.session.userId`, re-read on every request so
+ * role changes and deletions take effect immediately.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function authenticate(req, res, next) {
+    req.user = null;
+    req.token = null;
+    const bearer = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+    if (bearer) {
+        let found;
+        try {
+            found = await authenticateToken(bearer[1]);
+        } catch (err) {
+            return next(err);
+        }
+        if (!found) return next(new UnauthorizedError("Invalid or revoked API token", "invalid_token"));
+        req.user = found.user;
+        req.token = found.token;
+        res.locals.user = req.user;
+        return next();
+    }
+    const userId = req.session && req.session.userId;
+    if (userId) {
+        try {
+            req.user = await readUserById(userId);
+        } catch (err) {
+            return next(err);
+        }
+        if (!req.user) delete req.session.userId;
+    }
+    res.locals.user = req.user;
+    next();
+}
+
+/**
+ * Express middleware factory: 401 when nobody is signed in, 403 when the user's role is below `role`
+ * (both passed to the error handler).
+ * Requests made with an API token additionally need `scope`; routes without a scope are session-only.
+ * A token never grants more than its owner's role.
+ * @param {"viewer"|"editor"|"admin"} role
+ * @param {string|((req: import('express').Request) => string[])} [scope] API token scope, e.g. "features:write",
+ *   or a function returning every scope the request needs.
+ * @returns {import('express').RequestHandler}
+ */
+function requireRole(role, scope) {
+    return function (req, res, next) {
+        if (!req.user) return next(new UnauthorizedError());
+        if (!hasRole(req.user, role)) return next(new ForbiddenError(`Requires the ${role} role`, "insufficient_role"));
+        if (req.token) {
+            if (!scope) return next(new ForbiddenError("Not available to API tokens", "session_required"));
+            const needed = typeof scope === "function" ? scope(req) : [scope];
+            const missing = needed.find(s => !req.token.scopes.includes(s));
+            if (missing) return next(new ForbiddenError(`Token lacks the ${missing} scope`, "insufficient_scope"));
+        }
+        return next();
+    };
+}
+
+module.exports = {
+    hasRole,
+    authenticate,
+    requireRole
+};
@@ -0,0 +1,118 @@
+const { withTransaction } = require("./storage");
+const { readFeatureById, upsertFeature, deleteFeatureById } = require("./store");
+const { upsertWalkway, deleteWalkwayById } = require("./walkwayStore");
+const { validateFeature, validateWalkway } = require("./validation");
+const { HttpError, BadRequestError, ValidationError, ForbiddenError } = require("./errors");
+
+const MAX_BATCH_OPERATIONS = 500;
+const COLLECTIONS = {
+    features: { validate: validateFeature, upsert: upsertFeature, remove: deleteFeatureById },
+    walkways: { validate: validateWalkway, upsert: upsertWalkway, remove: deleteWalkwayById }
+};
+
+function isVersion(v) {
+    return v === "*" || (Number.isInteger(v) && v > 0);
+}
+
+/**
+ * Checks one operation's shape and payload without touching the database.
+ * @returns {HttpError|null}
+ */
+function checkOperation(op) {
+    if (!op || typeof op !== "object") return new BadRequestError("Operation must be an object");
+    const coll = COLLECTIONS[op.collection];
+    if (!coll) return new BadRequestError("collection must be \"features\" or \"walkways\"");
+    if (op.expectedVersion != null && !isVersion(op.expectedVersion)) {
+        return new BadRequestError("expectedVersion must be a positive integer or \"*\"");
+    }
+    if (op.action === "delete") {
+        return typeof op.id === "string" && op.id ? null : new BadRequestError("delete needs an id");
+    }
+    if (op.action !== "upsert") return new BadRequestError("action must be \"upsert\" or \"delete\"");
+    if (op.feature === undefined) return new BadRequestError("upsert needs a feature");
+    const problems = coll.validate(op.feature);
+    return problems.length ? new ValidationError(problems, "Invalid feature") : null;
+}
+
+// One entry of a failed batch's `details.errors`.
+function operationError(index, err) {
+    return { index, status: err.status, ...err.toJSON() };
+}
+
+/**
+ * Applies a list of feature/walkway upserts and deletes in one transaction.
+ * Every operation is validated up front; if any fails, or any write fails while applying,
+ * nothing is saved and the thrown HttpError lists what went wrong by index in `details.errors`
+ * (400 for rejected operations, otherwise the status of the write that failed).
+ * Deleting an id that no longer exists is not an error (reported as `deleted: false`).
+ * @param {Array<{action: "upsert"|"delete", collection: "features"|"walkways", feature?: GeoJSON.Feature, id?: string, expectedVersion?: number|"*"}>} operations
+ * @param {{audit?: Object, canDeleteBuildings?: boolean}} [opts]
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function runBatch(operations, { audit, canDeleteBuildings = false } = {}) {
+    if (!Array.isArray(operations) || !operations.length) {
+        throw new BadRequestError("operations must be a non-empty array");
+    }
+    if (operations.length > MAX_BATCH_OPERATIONS) {
+        throw new BadRequestError(`A batch can hold at most ${MAX_BATCH_OPERATIONS} operations`);
+    }
+
+    const errors = [];
+    operations.forEach((op, index) => {
+        const problem = checkOperation(op);
+        if (problem) errors.push(operationError(index, problem));
+    });
+    if (errors.length) {
+        throw new HttpError(400, "batch_rejected", "Batch rejected; nothing was saved", { errors });
+    }
+
+    let index = -1;
+    try {
+        const results = await withTransaction(async (client) => {
+            const out = [];
+            for (index = 0; index < operations.length; index++) {
+                const op = operations[index];
+                const coll = COLLECTIONS[op.collection];
+                const options = { client, audit, expectedVersion: op.expectedVersion ?? null };
+                if (op.action === "delete") {
+                    if (op.collection === "features" && !canDeleteBuildings) {
+                        const existing = await readFeatureById(op.id, { client });
+                        if (existing && existing.properties.type === "building") {
+                            throw new ForbiddenError("Requires the admin role to delete buildings");
+                        }
+                    }
+                    const deleted = await coll.remove(op.id, options);
+                    out.push({ index, action: op.action, collection: op.collection, id: op.id, deleted });
+                } else {
+                    const v = op.feature.properties && op.feature.properties._version;
+                    if (op.expectedVersion == null && isVersion(v)) options.expectedVersion = v;
+                    const feature = await coll.upsert(op.feature, options);
+                    out.push({ index, action: op.action, collection: op.collection, id: feature.properties._id, feature });
+                }
+            }
+            return out;
+        });
+        return { status: 200, body: { results } };
+    } catch (err) {
+        if (!(err instanceof HttpError)) throw err;
+        throw new HttpError(err.status, "batch_rolled_back", "Batch rolled back; nothing was saved", {
+            errors: [operationError(index, err)]
+        });
+    }
+}
+
+/**
+ * API token scopes a batch needs: write access to every collection it touches.
+ * @param {Array} operations
+ * @returns {string[]}
+ */
+function scopesForBatch(operations) {
+    const collections = new Set((Array.isArray(operations) ? operations : []).map(op => op && op.collection));
+    return Object.keys(COLLECTIONS).filter(c => collections.has(c)).map(c => `${c}:write`);
+}
+
+module.exports = {
+    MAX_BATCH_OPERATIONS,
+    runBatch,
+    scopesForBatch
+};
@@ -0,0 +1,66 @@
+const { ConflictError, PreconditionRequiredError } = require("./errors");
+
+/**
+ * Parses an If-Match header into an expected row version.
+ * Accepts `"3"`, `W/"3"`, `3` and `*` (overwrite whatever is stored).
+ * @param {string|undefined} header
+ * @returns {number|"*"|null} null when the header is absent or unparseable.
+ */
+function parseIfMatch(header) {
+    if (!header) return null;
+    const raw = String(header).split(",")[0].trim();
+    if (raw === "*") return "*";
+    const n = Number(raw.replace(/^W\//, "").replace(/"/g, ""));
+    return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Reads the version a client based its edit on: If-Match first, then `properties._version`.
+ * @param {import('express').Request} req
+ * @returns {number|"*"|null}
+ */
+function expectedVersionFrom(req) {
+    const fromHeader = parseIfMatch(req.get("If-Match"));
+    if (fromHeader != null) return fromHeader;
+    const v = req.body && req.body.properties && req.body.properties._version;
+    return Number.isInteger(v) && v > 0 ? v : null;
+}
+
+/**
+ * Exposes a stored feature's row version as its ETag so clients can echo it in If-Match.
+ * @param {import('express').Response} res
+ * @param {GeoJSON.Feature} feature
+ */
+function setVersionTag(res, feature) {
+    const v = feature && feature.properties && feature.properties._version;
+    if (v != null) res.set("ETag", `"${v}"`);
+}
+
+/**
+ * Throws when an edit based on `expected` would overwrite someone else's change.
+ * @param {GeoJSON.Feature|null} current Stored copy (null when the row does not exist).
+ * @param {number|"*"|null} expected Version the client saw; null for "I think this is new".
+ * @param {string} label Human name of the resource, for messages.
+ */
+function assertExpectedVersion(current, expected, label) {
+    if (expected === "*") return;
+    if (!current) {
+        if (expected != null) {
+            throw new ConflictError(`${label} was deleted after version ${expected} was loaded`, null);
+        }
+        return;
+    }
+    if (expected == null) {
+        throw new PreconditionRequiredError(`${label} already exists; send its _version (or If-Match) to update it`, current);
+    }
+    if (current.properties._version !== expected) {
+        throw new ConflictError(`${label} was changed by someone else (version ${current.properties._version}, you sent ${expected})`, current);
+    }
+}
+
+module.exports = {
+    parseIfMatch,
+    expectedVersionFrom,
+    setVersionTag,
+    assertExpectedVersion
+};
@@ -0,0 +1,84 @@
+const { randomBytes, timingSafeEqual } = require("crypto");
+const { ForbiddenError } = require("./errors");
+
+const HEADER_NAME = "X-CSRF-Token";
+const FIELD_NAME = "_csrf";
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Returns the session's CSRF token, creating one on first use.
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+function csrfToken(req) {
+    if (!req.session.csrfToken) req.session.csrfToken = randomBytes(32).toString("base64url");
+    return req.session.csrfToken;
+}
+
+/**
+ * Makes the session's token available to views as `csrfToken`. Mount on routes that render forms.
+ * The token belongs to one session, so the response is marked `private, no-store`.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+function exposeCsrfToken(req, res, next) {
+    res.locals.csrfToken = csrfToken(req);
+    res.setHeader("Cache-Control", "private, no-store");
+    next();
+}
+
+/**
+ * exposeCsrfToken for signed-in users only; anonymous visitors get an empty `csrfToken` and no
+ * session. For pages anyone can load, whose forms fetch a token from GET /csrf-token when needed.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+function exposeCsrfTokenToUsers(req, res, next) {
+    if (req.user) return exposeCsrfToken(req, res, next);
+    res.locals.csrfToken = "";
+    next();
+}
+
+/**
+ * GET /csrf-token: `{ csrfToken }` for a form on a page that was rendered without one.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+function handleCsrfToken(req, res) {
+    res.setHeader("Cache-Control", "private, no-store");
+    res.json({ csrfToken: csrfToken(req) });
+}
+
+function tokensMatch(sent, expected) {
+    if (typeof sent !== "string" || typeof expected !== "string") return false;
+    const a = Buffer.from(sent);
+    const b = Buffer.from(expected);
+    return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Rejects state-changing requests whose X-CSRF-Token header (or `_csrf` form field)
+ * does not match the session's token. Requests authenticated with an API token are exempt:
+ * a browser never attaches the Authorization header on its own, so they cannot be forged.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+function verifyCsrfToken(req, res, next) {
+    if (SAFE_METHODS.includes(req.method) || req.token) return next();
+    const sent = req.get(HEADER_NAME) || (req.body && req.body[FIELD_NAME]);
+    if (!tokensMatch(sent, req.session && req.session.csrfToken)) {
+        return next(new ForbiddenError("Invalid or missing CSRF token", "invalid_csrf_token"));
+    }
+    next();
+}
+
+module.exports = {
+    csrfToken,
+    exposeCsrfToken,
+    exposeCsrfTokenToUsers,
+    handleCsrfToken,
+    verifyCsrfToken
+};
@@ -0,0 +1,43 @@
+const { documents, query } = require("./storage");
+
+/**
+ * Increments the version of a whole collection. Call it with the transaction client of the write,
+ * so the new version only becomes visible together with the data it describes. The row lock also
+ * orders concurrent writers, so every committed change gets its own version.
+ * @param {import('pg').PoolClient|{query: Function}} client
+ * @param {"features"|"walkways"} collection
+ */
+async function bumpDatasetVersion(client, collection) {
+    if (documents) {
+        const current = client.get("dataset_versions", collection);
+        client.put("dataset_versions", collection, {
+            version: (current ? current.version : 0) + 1,
+            updated_at: new Date().toISOString()
+        });
+        return;
+    }
+    await client.query(
+        `INSERT INTO dataset_versions (collection, version, updated_at) VALUES ($1, 1, now())
+         ON CONFLICT (collection) DO UPDATE SET version = dataset_versions.version + 1, updated_at = now()`,
+        [collection]
+    );
+}
+
+/**
+ * Current version of a collection; 0 when it has never been written through the stores.
+ * @param {"features"|"walkways"} collection
+ * @returns {Promise<number>}
+ */
+async function readDatasetVersion(collection) {
+    if (documents) {
+        const row = await documents.get("dataset_versions", collection);
+        return row ? row.version : 0;
+    }
+    const res = await query("SELECT version FROM dataset_versions WHERE collection = $1", [collection]);
+    return res.rows.length ? Number(res.rows[0].version) : 0;
+}
+
+module.exports = {
+    bumpDatasetVersion,
+    readDatasetVersion
+};
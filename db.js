@@ -1,5 +1,6 @@
 require("dotenv").config();
 const { Pool } = require("pg");
+const { logger } = require("./logger");
 
 const pool = new Pool({
     host: process.env.POSTGRES_HOST,
@@ -13,10 +14,48 @@ const pool = new Pool({
 });
 
 pool.on("error", (err) => {
-    console.error("Unexpected Postgres error", err);
+    // An idle client lost its connection; the pool drops it and opens a new one on demand.
+    logger.error("Unexpected Postgres error on an idle client", { err });
 });
 
+/**
+ * Runs `work` inside a transaction on a dedicated client, committing on success and rolling back on error.
+ * Pass the client of a transaction that is already open as `outer` to join it instead of starting a new one.
+ * `client.afterCommit(fn)` queues `fn` to run once the outermost transaction has committed;
+ * queued callbacks are dropped on rollback.
+ * @template T
+ * @param {(client: import('pg').PoolClient) => Promise<T>} work
+ * @param {import('pg').PoolClient} [outer]
+ * @returns {Promise<T>}
+ */
+async function withTransaction(work, outer) {
+    if (outer) return work(outer);
+    const client = await pool.connect();
+    const hooks = [];
+    client.afterCommit = (fn) => hooks.push(fn);
+    try {
+        await client.query("BEGIN");
+        const result = await work(client);
+        await client.query("COMMIT");
+        for (const fn of hooks) {
+            try {
+                fn();
+            } catch (hookErr) {
+                logger.error("afterCommit hook failed", { err: hookErr });
+            }
+        }
+        return result;
+    } catch (err) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw err;
+    } finally {
+        delete client.afterCommit;
+        client.release();
+    }
+}
+
 module.exports = {
     query: (text, params) => pool.query(text, params),
+    withTransaction,
     pool
 };
@@ -0,0 +1,167 @@
+const { logger } = require("./logger");
+
+// In-process tables for the storage backends that do not use Postgres (see storage.js).
+// Each table is a Map of id -> row; rows are plain JSON-safe objects and are copied on the way in and out.
+
+function clone(value) {
+    return value == null ? value : structuredClone(value);
+}
+
+function compareIds(a, b) {
+    const x = String(a.id);
+    const y = String(b.id);
+    return x < y ? -1 : x > y ? 1 : 0;
+}
+
+/**
+ * Applies the `ORDER BY id LIMIT/OFFSET` part of a collection filter to rows already matched.
+ * @param {Array<{id: string}>} rows
+ * @param {{limit?: number, offset?: number}} [filter]
+ */
+function pageRows(rows, filter) {
+    const f = filter || {};
+    const sorted = rows.slice().sort(compareIds);
+    const start = f.offset || 0;
+    return f.limit != null ? sorted.slice(start, start + f.limit) : sorted.slice(start);
+}
+
+/**
+ * Creates a store of named tables.
+ * `load()` supplies the initial rows ({ table: [row, ...] }, each row with an `id`);
+ * `persist(changes)` gets every table a transaction changed, in one call, before the change becomes
+ * visible: all of its new `rows`, and in `written` only the rows this transaction put (id -> row, null
+ * for a removed one). If it throws, memory keeps the old tables and the transaction fails; what is left
+ * on disk then depends on how far `persist` got (see storage.js).
+ * @param {{load?: () => Promise<Object<string, Array<Object>>>, persist?: (changes: Array<{table: string, rows: Array<Object>, written: Map<string, Object|null>}>) => Promise<void>}} [io]
+ */
+function createDocumentStore({ load, persist } = {}) {
+    const tables = new Map();
+    const sequences = new Map();
+    let loading = null;
+    let queue = Promise.resolve();
+
+    function ready() {
+        if (!loading) {
+            loading = Promise.resolve(load ? load() : {}).then((initial) => {
+                for (const [name, rows] of Object.entries(initial || {})) {
+                    tables.set(name, new Map(rows.map(r => [String(r.id), r])));
+                }
+            });
+        }
+        return loading;
+    }
+
+    function tableOf(name) {
+        return tables.get(name) || new Map();
+    }
+
+    function nextId(name) {
+        if (!sequences.has(name)) {
+            let max = 0;
+            for (const key of tableOf(name).keys()) max = Math.max(max, Number(key) || 0);
+            sequences.set(name, max);
+        }
+        const id = sequences.get(name) + 1;
+        sequences.set(name, id);
+        return id;
+    }
+
+    // A transaction sees its own writes on top of the committed tables. Writes are kept aside
+    // (null marks a delete) and only applied on commit.
+    function beginTransaction() {
+        const writes = new Map();
+        const hooks = [];
+        const pending = name => {
+            if (!writes.has(name)) writes.set(name, new Map());
+            return writes.get(name);
+        };
+        const tx = {
+            get(name, id) {
+                const key = String(id);
+                const w = writes.get(name);
+                if (w && w.has(key)) return clone(w.get(key));
+                return clone(tableOf(name).get(key) || null);
+            },
+            list(name) {
+                const merged = new Map(tableOf(name));
+                const w = writes.get(name);
+                if (w) w.forEach((row, key) => (row ? merged.set(key, row) : merged.delete(key)));
+                return [...merged.values()].map(clone);
+            },
+            put(name, id, row) {
+                pending(name).set(String(id), clone({ ...row, id }));
+            },
+            remove(name, id) {
+                const existed = tx.get(name, id) != null;
+                if (existed) pending(name).set(String(id), null);
+                return existed;
+            },
+            nextId,
+            // When the transaction began, as Postgres' now() reports it: the same for every write in it.
+            now: new Date().toISOString(),
+            afterCommit: fn => hooks.push(fn)
+        };
+        return { tx, writes, hooks };
+    }
+
+    async function commit(writes) {
+        const next = new Map();
+        for (const [name, w] of writes) {
+            const rows = new Map(tableOf(name));
+            w.forEach((row, key) => (row ? rows.set(key, row) : rows.delete(key)));
+            next.set(name, rows);
+        }
+        if (persist && next.size) {
+            await persist([...next].map(([table, rows]) => ({ table, rows: [...rows.values()], written: writes.get(table) })));
+        }
+        next.forEach((rows, name) => tables.set(name, rows));
+    }
+
+    /**
+     * Same contract as db.withTransaction: `work` gets a transaction handle, its writes apply together
+     * once it resolves, and `afterCommit` hooks run after that. Transactions run one at a time, so
+     * read-then-write inside one cannot interleave with another writer.
+     */
+    function withTransaction(work, outer) {
+        if (outer) return work(outer);
+        const run = queue.then(async () => {
+            await ready();
+            const { tx, writes, hooks } = beginTransaction();
+            const result = await work(tx);
+            await commit(writes);
+            for (const fn of hooks) {
+                try {
+                    fn();
+                } catch (hookErr) {
+                    logger.error("afterCommit hook failed", { err: hookErr });
+                }
+            }
+            return result;
+        });
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    return {
+        async get(name, id) {
+            await ready();
+            return clone(tableOf(name).get(String(id)) || null);
+        },
+        async list(name) {
+            await ready();
+            return [...tableOf(name).values()].map(clone);
+        },
+        async count(name) {
+            await ready();
+            return tableOf(name).size;
+        },
+        withTransaction,
+        ready
+    };
+}
+
+module.exports = {
+    createDocumentStore,
+    compareIds,
+    pageRows
+};
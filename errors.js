@@ -0,0 +1,110 @@
+/**
+ * Base class for errors that map onto an HTTP response.
+ * API error bodies are `{ code, message, details?, requestId }` (see apiErrors.js); `code` is a stable
+ * snake_case string clients can branch on, `details` an optional object with more context.
+ */
+class HttpError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = "HttpError";
+        this.status = status;
+        this.code = code;
+        if (details !== undefined) this.details = details;
+    }
+
+    /**
+     * The client-facing part of the error.
+     * @returns {{code: string, message: string, details?: Object}}
+     */
+    toJSON() {
+        const body = { code: this.code, message: this.message };
+        if (this.details !== undefined) body.details = this.details;
+        return body;
+    }
+}
+
+/**
+ * The request itself is malformed: bad query parameters, an unknown option, a body of the wrong kind.
+ */
+class BadRequestError extends HttpError {
+    constructor(message, details) {
+        super(400, "bad_request", message, details);
+        this.name = "BadRequestError";
+    }
+}
+
+/**
+ * Thrown by the stores when a feature fails validation.
+ * `problems` is a list of { path, code, message } entries suitable for returning to API clients.
+ */
+class ValidationError extends HttpError {
+    constructor(problems, message = "Validation failed") {
+        super(400, "validation_failed", message, { problems });
+        this.name = "ValidationError";
+        this.problems = problems;
+    }
+}
+
+/**
+ * Nobody is signed in, or the API token is unknown or revoked.
+ */
+class UnauthorizedError extends HttpError {
+    constructor(message = "Unauthorized", code = "unauthorized") {
+        super(401, code, message);
+        this.name = "UnauthorizedError";
+    }
+}
+
+/**
+ * Thrown when the caller is signed in but not allowed to make this particular change.
+ */
+class ForbiddenError extends HttpError {
+    constructor(message, code = "forbidden") {
+        super(403, code, message);
+        this.name = "ForbiddenError";
+    }
+}
+
+/**
+ * The addressed row (or route) does not exist.
+ */
+class NotFoundError extends HttpError {
+    constructor(message = "Not found") {
+        super(404, "not_found", message);
+        this.name = "NotFoundError";
+    }
+}
+
+/**
+ * Thrown when an update was based on an outdated version of a row.
+ * `current` is the stored copy (or null if it has been deleted) so clients can merge or reload.
+ */
+class ConflictError extends HttpError {
+    constructor(message, current) {
+        super(409, "conflict", message, { current });
+        this.name = "ConflictError";
+        this.current = current;
+    }
+}
+
+/**
+ * Thrown when an update to an existing row did not say which version it was based on.
+ */
+class PreconditionRequiredError extends HttpError {
+    constructor(message, current) {
+        super(428, "precondition_required", message, { current });
+        this.name = "PreconditionRequiredError";
+        this.current = current;
+    }
+}
+
+module.exports = {
+    HttpError,
+    BadRequestError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    PreconditionRequiredError
+};
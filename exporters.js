@@ -0,0 +1,189 @@
+const { Readable } = require("stream");
+const { readAllFeatures } = require("./store");
+const { readAllWalkways } = require("./walkwayStore");
+const { roughCentroid } = require("./geo");
+const { writeShapefile } = require("./shapefile");
+const { createZip } = require("./zip");
+const { listParam } = require("./queryParams");
+
+const LAYERS = ["features", "walkways"];
+const BASENAME = "campus-data";
+const ATTRIBUTES = ["_id", "type", "name", "number", "buildingId", "prefix", "direction"];
+
+function xml(value) {
+    return String(value == null ? "" : value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+function csvCell(value) {
+    const s = value == null ? "" : String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function labelOf(f) {
+    const p = f.properties || {};
+    return p.name || p.number || p.type || p._id || "";
+}
+
+function* geojsonChunks(layers) {
+    yield "{\"type\":\"FeatureCollection\",\"features\":[";
+    let first = true;
+    for (const { features } of layers) {
+        for (const f of features) {
+            yield (first ? "\n" : ",\n") + JSON.stringify(f);
+            first = false;
+        }
+    }
+    yield "\n]}\n";
+}
+
+function kmlCoords(coords) {
+    return coords.map(c => `${c[0]},${c[1]}`).join(" ");
+}
+
+function kmlPolygon(rings) {
+    const [outer, ...holes] = rings;
+    return "<Polygon>"
+        + `<outerBoundaryIs><LinearRing><coordinates>${kmlCoords(outer)}</coordinates></LinearRing></outerBoundaryIs>`
+        + holes.map(h => `<innerBoundaryIs><LinearRing><coordinates>${kmlCoords(h)}</coordinates></LinearRing></innerBoundaryIs>`).join("")
+        + "</Polygon>";
+}
+
+function kmlGeometry(geom) {
+    const c = geom.coordinates;
+    switch (geom.type) {
+    case "Point": return `<Point><coordinates>${c[0]},${c[1]}</coordinates></Point>`;
+    case "LineString": return `<LineString><coordinates>${kmlCoords(c)}</coordinates></LineString>`;
+    case "Polygon": return kmlPolygon(c);
+    case "MultiPolygon": return `<MultiGeometry>${c.map(kmlPolygon).join("")}</MultiGeometry>`;
+    default: return "";
+    }
+}
+
+function* kmlChunks(layers) {
+    yield "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n<kml xmlns=\"http://www.opengis.net/kml/2.2\"><Document>\n";
+    yield `<name>${BASENAME}</name>\n`;
+    for (const { name, features } of layers) {
+        yield `<Folder><name>${xml(name)}</name>\n`;
+        for (const f of features) {
+            const geometry = f.geometry ? kmlGeometry(f.geometry) : "";
+            if (!geometry) continue;
+            const p = f.properties || {};
+            const data = ATTRIBUTES.filter(k => p[k] != null)
+                .map(k => `<Data name="${xml(k)}"><value>${xml(p[k])}</value></Data>`).join("");
+            yield `<Placemark><name>${xml(labelOf(f))}</name><ExtendedData>${data}</ExtendedData>${geometry}</Placemark>\n`;
+        }
+        yield "</Folder>\n";
+    }
+    yield "</Document></kml>\n";
+}
+
+// GPX has waypoints and tracks only: points become waypoints, lines tracks, and polygons
+// a waypoint at their centroid so buildings and lots still show up on a handheld.
+function* gpxChunks(layers) {
+    yield "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n"
+        + "<gpx version=\"1.1\" creator=\"crwebapp\" xmlns=\"http://www.topografix.com/GPX/1/1\">\n";
+    const all = layers.flatMap(l => l.features).filter(f => f.geometry);
+    for (const f of all) {
+        const type = f.geometry.type;
+        if (type !== "Point" && type !== "Polygon" && type !== "MultiPolygon") continue;
+        const c = roughCentroid(f.geometry);
+        if (!c) continue;
+        yield `<wpt lat="${c[1]}" lon="${c[0]}"><name>${xml(labelOf(f))}</name><type>${xml(f.properties && f.properties.type)}</type></wpt>\n`;
+    }
+    for (const f of all) {
+        if (f.geometry.type !== "LineString") continue;
+        const pts = f.geometry.coordinates.map(c => `<trkpt lat="${c[1]}" lon="${c[0]}"/>`).join("");
+        yield `<trk><name>${xml(labelOf(f))}</name><type>${xml(f.properties && f.properties.type)}</type><trkseg>${pts}</trkseg></trk>\n`;
+    }
+    yield "</gpx>\n";
+}
+
+// One row per point feature (entrances, exits, stairwells); lines and polygons have no single lon/lat.
+function* csvChunks(layers) {
+    yield ["id", "type", "name", "number", "buildingId", "prefix", "direction", "lon", "lat"].join(",") + "\r\n";
+    for (const { features } of layers) {
+        for (const f of features) {
+            if (!f.geometry || f.geometry.type !== "Point") continue;
+            const p = f.properties || {};
+            const [lon, lat] = f.geometry.coordinates;
+            yield [p._id, p.type, p.name, p.number, p.buildingId, p.prefix, p.direction, lon, lat].map(csvCell).join(",") + "\r\n";
+        }
+    }
+}
+
+const SHP_FIELDS = [
+    { name: "id", length: 40, value: f => f.properties._id },
+    { name: "type", length: 20, value: f => f.properties.type },
+    { name: "name", length: 80, value: f => f.properties.name },
+    { name: "number", length: 20, value: f => f.properties.number },
+    { name: "bldg_id", length: 40, value: f => f.properties.buildingId },
+    { name: "prefix", length: 20, value: f => f.properties.prefix },
+    { name: "direction", length: 4, value: f => f.properties.direction }
+];
+const SHP_KINDS = [
+    { kind: "point", suffix: "points", types: ["Point"] },
+    { kind: "polyline", suffix: "lines", types: ["LineString"] },
+    { kind: "polygon", suffix: "polygons", types: ["Polygon", "MultiPolygon"] }
+];
+
+// A shapefile holds a single geometry type, so the zip has one set per kind present.
+function shapefileZip(layers) {
+    const all = layers.flatMap(l => l.features)
+        .filter(f => f.geometry && Array.isArray(f.geometry.coordinates))
+        .map(f => ({ ...f, properties: f.properties || {} }));
+    const entries = [];
+    for (const { kind, suffix, types } of SHP_KINDS) {
+        const subset = all.filter(f => types.includes(f.geometry.type));
+        if (subset.length) entries.push(...writeShapefile(`${BASENAME}-${suffix}`, kind, subset, SHP_FIELDS));
+    }
+    return createZip(entries);
+}
+
+const FORMATS = {
+    geojson: { contentType: "application/geo+json", ext: "geojson", chunks: geojsonChunks },
+    kml: { contentType: "application/vnd.google-earth.kml+xml", ext: "kml", chunks: kmlChunks },
+    gpx: { contentType: "application/gpx+xml", ext: "gpx", chunks: gpxChunks },
+    csv: { contentType: "text/csv; charset=utf-8", ext: "csv", chunks: csvChunks },
+    shp: { contentType: "application/zip", ext: "zip", build: shapefileZip }
+};
+
+/**
+ * Parses the `layers` query value (comma-separated and/or repeated). Defaults to every layer.
+ * @param {string|string[]|undefined} raw
+ * @returns {{layers?: string[], error?: string}}
+ */
+function parseLayers(raw) {
+    const names = listParam(raw);
+    if (!names.length) return { layers: LAYERS.slice() };
+    const unknown = names.find(n => !LAYERS.includes(n));
+    if (unknown) return { error: `Unknown layer "${unknown}"; expected ${LAYERS.join(", ")}` };
+    return { layers: LAYERS.filter(l => names.includes(l)) };
+}
+
+/**
+ * Produces a download of the requested layers in `format`.
+ * Text formats are returned as a stream; the zipped shapefile as a Buffer.
+ * @param {string} format One of geojson, kml, gpx, csv, shp.
+ * @param {string[]} layerNames Subset of ["features", "walkways"].
+ * @returns {Promise<{contentType: string, filename: string, body: Readable|Buffer}>}
+ */
+async function exportDataset(format, layerNames) {
+    const spec = FORMATS[format];
+    const layers = await Promise.all(layerNames.map(async name => ({
+        name,
+        features: name === "walkways" ? await readAllWalkways() : await readAllFeatures()
+    })));
+    const filename = `${BASENAME}.${spec.ext}`;
+    const body = spec.build ? spec.build(layers) : Readable.from(spec.chunks(layers));
+    return { contentType: spec.contentType, filename, body };
+}
+
+module.exports = {
+    EXPORT_FORMATS: Object.keys(FORMATS),
+    parseLayers,
+    exportDataset
+};
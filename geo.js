@@ -0,0 +1,145 @@
+const EARTH_RADIUS_M = 6371008.8;
+
+function toRad(deg) {
+    return (deg * Math.PI) / 180;
+}
+
+/**
+ * Great-circle distance between two [lon, lat] coordinates.
+ * @param {[number, number]} a
+ * @param {[number, number]} b
+ * @returns {number} Distance in meters.
+ */
+function distanceMeters(a, b) {
+    const dLat = toRad(b[1] - a[1]);
+    const dLon = toRad(b[0] - a[0]);
+    const lat1 = toRad(a[1]);
+    const lat2 = toRad(b[1]);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Projects a [lon, lat] coordinate to local planar meters around a reference latitude.
+ * Accurate enough for campus-sized distances; not meant for anything continental.
+ * @param {[number, number]} c
+ * @param {number} refLat Reference latitude in degrees.
+ * @returns {[number, number]} [x, y] in meters.
+ */
+function toLocalMeters(c, refLat) {
+    const k = Math.cos(toRad(refLat));
+    return [toRad(c[0]) * EARTH_RADIUS_M * k, toRad(c[1]) * EARTH_RADIUS_M];
+}
+
+/**
+ * Closest point on segment AB to P, computed in local meters.
+ * @param {[number, number]} p
+ * @param {[number, number]} a
+ * @param {[number, number]} b
+ * @returns {{coord: [number, number], t: number, distMeters: number}}
+ */
+function closestPointOnSegment(p, a, b) {
+    const refLat = p[1];
+    const pp = toLocalMeters(p, refLat);
+    const pa = toLocalMeters(a, refLat);
+    const pb = toLocalMeters(b, refLat);
+    const vx = pb[0] - pa[0];
+    const vy = pb[1] - pa[1];
+    const vv = vx * vx + vy * vy || 1e-12;
+    let t = ((pp[0] - pa[0]) * vx + (pp[1] - pa[1]) * vy) / vv;
+    if (t < 0) t = 0;
+    if (t > 1) t = 1;
+    const coord = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+    return { coord, t, distMeters: distanceMeters(p, coord) };
+}
+
+/**
+ * Intersection point of segments AB and CD in lon/lat space, or null if they do not cross.
+ * @param {[number, number]} a
+ * @param {[number, number]} b
+ * @param {[number, number]} c
+ * @param {[number, number]} d
+ * @returns {[number, number]|null}
+ */
+function segmentIntersection(a, b, c, d) {
+    const denom = (d[1] - c[1]) * (b[0] - a[0]) - (d[0] - c[0]) * (b[1] - a[1]);
+    if (denom === 0) return null; // parallel or collinear
+    const ua = ((d[0] - c[0]) * (a[1] - c[1]) - (d[1] - c[1]) * (a[0] - c[0])) / denom;
+    const ub = ((b[0] - a[0]) * (a[1] - c[1]) - (b[1] - a[1]) * (a[0] - c[0])) / denom;
+    if (ua < 0 || ua > 1 || ub < 0 || ub > 1) return null;
+    return [a[0] + ua * (b[0] - a[0]), a[1] + ua * (b[1] - a[1])];
+}
+
+/**
+ * Vertex-average centroid of a Point, LineString or Polygon geometry (outer ring only).
+ * @param {GeoJSON.Geometry} geom
+ * @returns {[number, number]|null}
+ */
+function roughCentroid(geom) {
+    if (!geom || !Array.isArray(geom.coordinates)) return null;
+    if (geom.type === "Point") return geom.coordinates;
+    let coords = geom.coordinates;
+    if (geom.type === "Polygon") coords = coords[0] || [];
+    if (geom.type === "MultiPolygon") coords = (coords[0] && coords[0][0]) || [];
+    const pts = coords.filter(c => Array.isArray(c) && Number.isFinite(c[0]) && Number.isFinite(c[1]));
+    if (!pts.length) return null;
+    const sum = pts.reduce((acc, c) => [acc[0] + c[0], acc[1] + c[1]], [0, 0]);
+    return [sum[0] / pts.length, sum[1] / pts.length];
+}
+
+// Even-odd ray cast in lon/lat space; fine at campus scale.
+function pointInRing(p, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > p[1]) !== (yj > p[1]) && p[0] < ((xj - xi) * (p[1] - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+function distanceToPath(p, coords) {
+    if (coords.length === 1) return distanceMeters(p, coords[0]);
+    let best = Infinity;
+    for (let i = 1; i < coords.length; i++) best = Math.min(best, closestPointOnSegment(p, coords[i - 1], coords[i]).distMeters);
+    return best;
+}
+
+function distanceToPolygon(p, rings) {
+    const valid = rings.filter(r => Array.isArray(r) && r.length);
+    if (!valid.length) return Infinity;
+    const [outer, ...holes] = valid;
+    if (pointInRing(p, outer) && !holes.some(h => pointInRing(p, h))) return 0;
+    return Math.min(...valid.map(r => distanceToPath(p, r)));
+}
+
+/**
+ * Distance from a [lon, lat] coordinate to the nearest part of a geometry: 0 inside a polygon,
+ * otherwise to the closest vertex or edge. Infinity for geometries with nothing to measure.
+ * @param {[number, number]} p
+ * @param {GeoJSON.Geometry} geom
+ * @returns {number} Distance in meters.
+ */
+function distanceToGeometry(p, geom) {
+    const c = geom && geom.coordinates;
+    if (!Array.isArray(c)) return Infinity;
+    switch (geom.type) {
+    case "Point": return distanceMeters(p, c);
+    case "MultiPoint": return c.length ? Math.min(...c.map(q => distanceMeters(p, q))) : Infinity;
+    case "LineString": return c.length ? distanceToPath(p, c) : Infinity;
+    case "MultiLineString": return Math.min(Infinity, ...c.filter(l => l.length).map(l => distanceToPath(p, l)));
+    case "Polygon": return distanceToPolygon(p, c);
+    case "MultiPolygon": return Math.min(Infinity, ...c.map(poly => distanceToPolygon(p, poly)));
+    default: return Infinity;
+    }
+}
+
+module.exports = {
+    EARTH_RADIUS_M,
+    distanceMeters,
+    toLocalMeters,
+    closestPointOnSegment,
+    segmentIntersection,
+    roughCentroid,
+    distanceToGeometry
+};
@@ -0,0 +1,61 @@
+const { BACKEND, documents, query } = require("./storage");
+const { pendingMigrations } = require("./migrate");
+
+const CHECK_TIMEOUT_MS = Number(process.env.READY_TIMEOUT_MS || 2000);
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkStorage() {
+    if (documents) await documents.ready();
+    else await query("SELECT 1");
+}
+
+async function checkMigrations() {
+    const pending = await pendingMigrations();
+    if (pending.length) throw new Error(`pending: ${pending.join(", ")}`);
+}
+
+/**
+ * Liveness: the process is up and serving requests. Deliberately checks nothing else,
+ * so a database outage does not get the app restarted.
+ * @param {import('express').Request} _req
+ * @param {import('express').Response} res
+ */
+function handleHealthz(_req, res) {
+    res.set("Cache-Control", "no-store");
+    res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+}
+
+/**
+ * Readiness: storage is reachable and, on Postgres, every migration has been applied.
+ * Responds 503 with the failing checks otherwise, so the load balancer stops sending traffic.
+ * @param {import('express').Request} _req
+ * @param {import('express').Response} res
+ */
+async function handleReadyz(_req, res) {
+    const checks = { storage: checkStorage, migrations: checkMigrations };
+    const results = {};
+    let ready = true;
+    for (const [name, check] of Object.entries(checks)) {
+        try {
+            await withTimeout(check(), CHECK_TIMEOUT_MS);
+            results[name] = { status: "ok" };
+        } catch (err) {
+            ready = false;
+            results[name] = { status: "failing", error: err.message };
+        }
+    }
+    res.set("Cache-Control", "no-store");
+    res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "unavailable", backend: BACKEND, checks: results });
+}
+
+module.exports = {
+    handleHealthz,
+    handleReadyz
+};
@@ -0,0 +1,146 @@
+const { documents, query } = require("./storage");
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const SELECT_COLUMNS = "id, collection, feature_id, action, before, after, actor_id, actor, request_id, reverts, created_at";
+
+function toJsonb(val) {
+    return val == null ? null : JSON.stringify(val);
+}
+
+function rowToRevision(r) {
+    return {
+        id: String(r.id),
+        collection: r.collection,
+        featureId: r.feature_id,
+        action: r.action,
+        before: r.before,
+        after: r.after,
+        actorId: r.actor_id,
+        actor: r.actor,
+        requestId: r.request_id,
+        reverts: r.reverts == null ? null : String(r.reverts),
+        createdAt: r.created_at
+    };
+}
+
+/**
+ * Writes one revision row. Must be given the transaction client of the write it describes,
+ * so the revision commits or rolls back together with the change.
+ * @param {import('pg').PoolClient} client
+ * @param {Object} rev
+ * @param {"features"|"walkways"} rev.collection
+ * @param {string} rev.featureId
+ * @param {GeoJSON.Feature|null} rev.before Stored copy before the write (null on create).
+ * @param {GeoJSON.Feature|null} rev.after Stored copy after the write (null on delete).
+ * @param {{actorId?: string, actor?: string, requestId?: string, reverts?: string}} [audit]
+ */
+async function recordRevision(client, { collection, featureId, before, after }, audit = {}) {
+    const action = !before ? "create" : !after ? "delete" : "update";
+    if (documents) {
+        const id = client.nextId("revisions");
+        client.put("revisions", id, {
+            collection,
+            feature_id: featureId,
+            action,
+            before,
+            after,
+            actor_id: audit.actorId || null,
+            actor: audit.actor || null,
+            request_id: audit.requestId || null,
+            reverts: audit.reverts || null,
+            created_at: new Date().toISOString()
+        });
+        return;
+    }
+    await client.query(
+        `INSERT INTO revisions (collection, feature_id, action, before, after, actor_id, actor, request_id, reverts)
+         VALUES ($1,$2,$3,$4::jsonb,$5::jsonb,$6,$7,$8,$9)`,
+        [
+            collection,
+            featureId,
+            action,
+            toJsonb(before),
+            toJsonb(after),
+            audit.actorId || null,
+            audit.actor || null,
+            audit.requestId || null,
+            audit.reverts || null
+        ]
+    );
+}
+
+function clampLimit(limit) {
+    const n = Number(limit);
+    if (!Number.isInteger(n) || n < 1) return DEFAULT_PAGE_SIZE;
+    return Math.min(n, MAX_PAGE_SIZE);
+}
+
+/**
+ * Revisions of one feature or walkway, newest first.
+ * @param {"features"|"walkways"} collection
+ * @param {string} featureId
+ * @param {{limit?: number}} [opts]
+ */
+async function listRevisionsFor(collection, featureId, { limit } = {}) {
+    if (documents) {
+        const rows = (await documents.list("revisions"))
+            .filter(r => r.collection === collection && r.feature_id === featureId)
+            .sort((a, b) => b.id - a.id);
+        return rows.slice(0, clampLimit(limit)).map(rowToRevision);
+    }
+    const res = await query(
+        `SELECT ${SELECT_COLUMNS} FROM revisions
+         WHERE collection = $1 AND feature_id = $2
+         ORDER BY id DESC LIMIT $3`,
+        [collection, featureId, clampLimit(limit)]
+    );
+    return res.rows.map(rowToRevision);
+}
+
+/**
+ * Revisions across both collections created at or after `since`, oldest first.
+ * @param {{since?: Date, limit?: number}} [opts]
+ */
+async function listRevisionsSince({ since, limit } = {}) {
+    if (documents) {
+        const from = since ? since.getTime() : -Infinity;
+        const rows = (await documents.list("revisions"))
+            .filter(r => Date.parse(r.created_at) >= from)
+            .sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at) || a.id - b.id);
+        return rows.slice(0, clampLimit(limit)).map(rowToRevision);
+    }
+    const params = [];
+    let where = "";
+    if (since) {
+        params.push(since);
+        where = ` WHERE created_at >= $${params.length}`;
+    }
+    params.push(clampLimit(limit));
+    const res = await query(
+        `SELECT ${SELECT_COLUMNS} FROM revisions${where} ORDER BY created_at, id LIMIT $${params.length}`,
+        params
+    );
+    return res.rows.map(rowToRevision);
+}
+
+async function readRevisionById(id) {
+    // Anything that cannot be a revision id is simply not found; a number past the bigint range
+    // would otherwise make Postgres fail the query.
+    const n = /^\d+$/.test(String(id)) ? Number(id) : NaN;
+    if (!Number.isSafeInteger(n)) return null;
+    if (documents) {
+        const row = await documents.get("revisions", n);
+        return row ? rowToRevision(row) : null;
+    }
+    const res = await query(`SELECT ${SELECT_COLUMNS} FROM revisions WHERE id = $1`, [n]);
+    return res.rows.length ? rowToRevision(res.rows[0]) : null;
+}
+
+module.exports = {
+    MAX_PAGE_SIZE,
+    recordRevision,
+    listRevisionsFor,
+    listRevisionsSince,
+    readRevisionById
+};
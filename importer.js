@@ -0,0 +1,154 @@
+const { withTransaction } = require("./storage");
+const { readFeatures, upsertFeature, deleteFeatureById } = require("./store");
+const { readWalkways, upsertWalkway, deleteWalkwayById } = require("./walkwayStore");
+const { validateFeature, validateWalkway } = require("./validation");
+const { HttpError, BadRequestError } = require("./errors");
+
+const IMPORT_MODES = ["append", "upsert", "replace"];
+const COLLECTIONS = {
+    features: { read: readFeatures, validate: validateFeature, upsert: upsertFeature, remove: deleteFeatureById },
+    walkways: { read: readWalkways, validate: validateWalkway, upsert: upsertWalkway, remove: deleteWalkwayById }
+};
+
+// JSON with object keys sorted, so two copies of the same feature compare equal.
+function canonicalJson(value) {
+    if (Array.isArray(value)) return "[" + value.map(canonicalJson).join(",") + "]";
+    if (value && typeof value === "object") {
+        return "{" + Object.keys(value).sort()
+            .filter(k => value[k] !== undefined)
+            .map(k => JSON.stringify(k) + ":" + canonicalJson(value[k]))
+            .join(",") + "}";
+    }
+    return JSON.stringify(value);
+}
+
+function contentOf(feature) {
+    const props = { ...(feature.properties || {}) };
+    delete props._id;
+    delete props._version;
+    return canonicalJson({ geometry: feature.geometry, properties: props });
+}
+
+/**
+ * Works out what importing `incoming` with `mode` would do, without writing anything.
+ * @returns {{added: Array, changed: Array, unchanged: Array, deleted: Array, failed: Array, writes: Array}}
+ */
+function planImport(incoming, existing, mode, validate) {
+    const byId = new Map(existing.map(f => [f.properties._id, f]));
+    const seen = new Set();
+    const plan = { added: [], changed: [], unchanged: [], deleted: [], failed: [], writes: [] };
+
+    incoming.forEach((feature, index) => {
+        const problems = validate(feature);
+        const rawId = feature && feature.properties && feature.properties._id;
+        const id = mode === "append" || rawId == null ? null : String(rawId);
+        if (id && seen.has(id)) {
+            problems.push({ path: "properties._id", code: "duplicate_id", message: `_id ${id} appears more than once in this import` });
+        }
+        if (id) seen.add(id); // even when invalid, so replace never deletes a row the import meant to keep
+        if (problems.length) {
+            plan.failed.push({ index, id, problems });
+            return;
+        }
+        const current = id ? byId.get(id) : null;
+        const props = { ...(feature.properties || {}) };
+        delete props._version;
+        if (id) props._id = id;
+        else delete props._id;
+        const toWrite = { ...feature, properties: props };
+        if (!current) {
+            plan.added.push({ index, id });
+            plan.writes.push({ index, action: "upsert", feature: toWrite });
+        } else if (contentOf(current) !== contentOf(toWrite)) {
+            plan.changed.push({ index, id });
+            plan.writes.push({ index, action: "upsert", feature: toWrite });
+        } else {
+            plan.unchanged.push({ index, id });
+        }
+    });
+
+    if (mode === "replace") {
+        existing.forEach((f) => {
+            const id = f.properties._id;
+            if (!seen.has(id)) {
+                plan.deleted.push({ id });
+                plan.writes.push({ action: "delete", id });
+            }
+        });
+    }
+    return plan;
+}
+
+function report(collection, mode, dryRun, plan) {
+    return {
+        collection,
+        mode,
+        dryRun,
+        summary: {
+            added: plan.added.length,
+            changed: plan.changed.length,
+            unchanged: plan.unchanged.length,
+            deleted: plan.deleted.length,
+            failed: plan.failed.length
+        },
+        added: plan.added,
+        changed: plan.changed,
+        deleted: plan.deleted,
+        failed: plan.failed
+    };
+}
+
+/**
+ * Imports a GeoJSON FeatureCollection into the features or walkways table.
+ *
+ * Modes:
+ * - `append`: every feature is added as new; incoming `_id`s are ignored.
+ * - `upsert`: features are matched by `_id`; unknown or missing ids are added, known ones overwritten.
+ * - `replace`: like upsert, and stored rows whose `_id` is not in the import are deleted.
+ *
+ * With `dryRun` nothing is written and the report says what would happen. Otherwise all writes
+ * go through one transaction. Invalid rows are always reported; by default any invalid row
+ * aborts the import, with `skipInvalid` the valid rows are imported anyway and the stored
+ * copies of invalid ones are left untouched. A rejected import throws an HttpError whose
+ * `details` is the report.
+ * @param {Object} body FeatureCollection.
+ * @param {{collection: string, mode: string, dryRun?: boolean, skipInvalid?: boolean, audit?: Object}} opts
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function importCollection(body, { collection, mode, dryRun = false, skipInvalid = false, audit }) {
+    const coll = COLLECTIONS[collection];
+    if (!coll) throw new BadRequestError("collection must be \"features\" or \"walkways\"");
+    if (!IMPORT_MODES.includes(mode)) throw new BadRequestError(`mode must be one of ${IMPORT_MODES.join(", ")}`);
+    if (!body || body.type !== "FeatureCollection" || !Array.isArray(body.features)) {
+        throw new BadRequestError("Body must be a GeoJSON FeatureCollection");
+    }
+
+    const existing = await coll.read({});
+    const plan = planImport(body.features, existing, mode, coll.validate);
+
+    if (dryRun) return { status: 200, body: report(collection, mode, true, plan) };
+    if (plan.failed.length && !skipInvalid) {
+        throw new HttpError(400, "import_rejected", "Import rejected; fix the failed rows or pass skipInvalid=true",
+            report(collection, mode, false, plan));
+    }
+
+    const ids = await withTransaction(async (client) => {
+        const out = new Map();
+        for (const w of plan.writes) {
+            if (w.action === "delete") {
+                await coll.remove(w.id, { client, audit });
+            } else {
+                const saved = await coll.upsert(w.feature, { client, audit, expectedVersion: "*" });
+                out.set(w.index, saved.properties._id);
+            }
+        }
+        return out;
+    });
+    plan.added.forEach((a) => { a.id = ids.get(a.index) || a.id; });
+    return { status: 200, body: report(collection, mode, false, plan) };
+}
+
+module.exports = {
+    IMPORT_MODES,
+    importCollection
+};
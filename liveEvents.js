@@ -0,0 +1,93 @@
+const { storeEvents } = require("./storeEvents");
+const { HttpError } = require("./errors");
+const { sendError } = require("./apiErrors");
+
+const HEARTBEAT_MS = 25000; // under the usual 30-60 s proxy idle timeouts
+const RETRY_MS = 3000;
+const BACKLOG_SIZE = 500;
+const MAX_CLIENTS = Number(process.env.EVENTS_MAX_CLIENTS || 1000);
+
+const clients = new Set();
+const backlog = []; // recent events, so a reconnecting client can catch up from Last-Event-ID
+let lastEventId = 0;
+let heartbeat = null;
+
+function toChange(evt) {
+    if (evt.action === "import") return { collection: evt.collection, action: "reload" };
+    if (evt.action === "delete") return { collection: evt.collection, action: "deleted", id: evt.id };
+    return { collection: evt.collection, action: evt.created ? "created" : "updated", id: evt.id, version: evt.version };
+}
+
+function frame(event) {
+    return `id: ${event.id}\nevent: change\ndata: ${JSON.stringify(event.change)}\n\n`;
+}
+
+function send(res, text) {
+    res.write(text);
+    if (typeof res.flush === "function") res.flush(); // push past the compression buffer
+}
+
+storeEvents.on("change", (evt) => {
+    lastEventId += 1;
+    const event = { id: lastEventId, change: toChange(evt) };
+    backlog.push(event);
+    if (backlog.length > BACKLOG_SIZE) backlog.shift();
+    const text = frame(event);
+    clients.forEach(res => send(res, text));
+});
+
+function startHeartbeat() {
+    if (heartbeat) return;
+    heartbeat = setInterval(() => clients.forEach(res => send(res, ": ping\n\n")), HEARTBEAT_MS);
+    heartbeat.unref();
+}
+
+function stopHeartbeatIfIdle() {
+    if (clients.size || !heartbeat) return;
+    clearInterval(heartbeat);
+    heartbeat = null;
+}
+
+/**
+ * Streams feature and walkway changes as Server-Sent Events.
+ * Each `change` event's data is { collection, action: "created"|"updated"|"deleted", id, version? };
+ * action "reload" means the collection changed wholesale and should be fetched again.
+ * Reconnects send Last-Event-ID and get the events they missed; if those have already been
+ * dropped from the backlog (or the server restarted) a "reload" for both collections is sent instead.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+function handleEventStream(req, res) {
+    if (clients.size >= MAX_CLIENTS) {
+        res.set("Retry-After", "30");
+        return sendError(req, res, new HttpError(503, "too_many_connections", "Too many live connections; try again shortly"));
+    }
+    res.status(200).set({
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache",
+        "X-Accel-Buffering": "no" // nginx would otherwise hold events back
+    });
+    res.flushHeaders();
+    send(res, `retry: ${RETRY_MS}\n\n`);
+
+    const since = Number(req.get("Last-Event-ID"));
+    if (Number.isInteger(since) && since > 0 && since < lastEventId) {
+        const oldest = backlog.length ? backlog[0].id : lastEventId + 1;
+        if (since + 1 >= oldest) {
+            backlog.filter(e => e.id > since).forEach(e => send(res, frame(e)));
+        } else {
+            ["features", "walkways"].forEach(collection => send(res, frame({ id: lastEventId, change: { collection, action: "reload" } })));
+        }
+    } else if (since > lastEventId) {
+        ["features", "walkways"].forEach(collection => send(res, frame({ id: lastEventId, change: { collection, action: "reload" } })));
+    }
+
+    clients.add(res);
+    startHeartbeat();
+    req.on("close", () => {
+        clients.delete(res);
+        stopHeartbeatIfIdle();
+    });
+}
+
+module.exports = { handleEventStream };
@@ -0,0 +1,124 @@
+const { STATIC_PREFIX } = require("./assets");
+const { storeEvents } = require("./storeEvents");
+
+// One JSON object per line on stdout: { time, level, msg, ...fields }. LOG_LEVEL picks the lowest level written.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const threshold = LEVELS[String(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+// Imports can touch thousands of rows; the request line lists this many ids per collection and counts the rest.
+const MAX_LOGGED_IDS = 100;
+
+function serializeError(err) {
+    if (!(err instanceof Error)) return err;
+    const out = { name: err.name, message: err.message, stack: err.stack };
+    if (err.code) out.code = err.code;
+    if (err.status) out.status = err.status;
+    return out;
+}
+
+function write(level, bindings, msg, fields) {
+    if (LEVELS[level] < threshold) return;
+    const entry = { time: new Date().toISOString(), level, msg, ...bindings };
+    for (const [key, value] of Object.entries(fields || {})) {
+        if (value !== undefined) entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
+    let line;
+    try {
+        line = JSON.stringify(entry);
+    } catch (_) {
+        line = JSON.stringify({ time: entry.time, level, msg, ...bindings, note: "fields were not serializable" });
+    }
+    process.stdout.write(line + "\n");
+}
+
+/**
+ * Creates a logger whose lines all carry `bindings` (e.g. the request id).
+ * @param {Object} [bindings]
+ */
+function createLogger(bindings = {}) {
+    const log = (level) => (msg, fields) => write(level, bindings, msg, fields);
+    return {
+        debug: log("debug"),
+        info: log("info"),
+        warn: log("warn"),
+        error: log("error"),
+        child: extra => createLogger({ ...bindings, ...extra })
+    };
+}
+
+const logger = createLogger();
+
+/**
+ * The route pattern a request matched (e.g. "/api/features/:id"), never the raw URL,
+ * so it can be used to group requests in logs and metrics.
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+function routeLabel(req) {
+    if (req.route) return (req.baseUrl || "") + req.route.path;
+    if (req.originalUrl.startsWith(`${STATIC_PREFIX}/`)) return `${STATIC_PREFIX}/*`;
+    return "unmatched";
+}
+
+// Ids written by requests still in flight, keyed by request id. The stores pass the request id
+// along with each change event, which covers single writes, batches, imports and reverts alike.
+const affectedByRequest = new Map();
+
+storeEvents.on("change", ({ collection, id, requestId }) => {
+    const ids = requestId && id != null && affectedByRequest.get(requestId);
+    if (!ids) return;
+    if (!ids[collection]) ids[collection] = new Set();
+    ids[collection].add(id);
+});
+
+function summarizeAffected(ids) {
+    const affected = {};
+    let count = 0;
+    for (const [collection, set] of Object.entries(ids)) {
+        affected[collection] = [...set].slice(0, MAX_LOGGED_IDS);
+        count += set.size;
+    }
+    return count ? { affected, affectedCount: count } : {};
+}
+
+/**
+ * Middleware that gives the request a `req.log` bound to its id and writes one line per request
+ * once the response is done: method, route, status, latency, the signed-in user and, for writes,
+ * the feature and walkway ids the request changed.
+ * Expects `req.id` to be set already (see assignRequestId in server.js).
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+function logRequests(req, res, next) {
+    const start = process.hrtime.bigint();
+    req.log = logger.child({ requestId: req.id });
+    const isWrite = !["GET", "HEAD", "OPTIONS"].includes(req.method);
+    if (isWrite) affectedByRequest.set(req.id, {});
+
+    let done = false;
+    const finish = (aborted) => {
+        if (done) return;
+        done = true;
+        const ids = isWrite ? affectedByRequest.get(req.id) : null;
+        if (isWrite) affectedByRequest.delete(req.id);
+        const status = aborted && !res.headersSent ? null : res.statusCode;
+        req.log[status >= 500 ? "error" : "info"](aborted ? "request aborted" : "request", {
+            method: req.method,
+            route: routeLabel(req),
+            path: req.path,
+            status,
+            durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10,
+            user: req.user ? req.user.username : null,
+            ...(ids ? summarizeAffected(ids) : {})
+        });
+    };
+    res.on("finish", () => finish(false));
+    res.on("close", () => finish(!res.writableFinished));
+    next();
+}
+
+module.exports = {
+    logger,
+    routeLabel,
+    logRequests
+};
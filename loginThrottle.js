@@ -0,0 +1,125 @@
+const { documents, query, withTransaction } = require("./storage");
+
+// Failures allowed before backoff starts. Per IP is looser because a campus NAT puts many people behind one address.
+const FREE_FAILURES = { user: 5, ip: 20 };
+const BASE_LOCK_SECONDS = 30;
+const MAX_LOCK_SECONDS = 60 * 60;
+// A key with no failures for this long starts over from zero.
+const RESET_AFTER_SECONDS = 60 * 60;
+
+function keysFor(ip, username) {
+    const keys = [{ kind: "ip", key: `ip:${ip || "unknown"}` }];
+    const name = String(username || "").trim().toLowerCase();
+    if (name) keys.push({ kind: "user", key: `user:${name}` });
+    return keys;
+}
+
+/**
+ * Says whether a login attempt from `ip` for `username` may proceed.
+ * @param {string} ip
+ * @param {string} username
+ * @returns {Promise<{allowed: boolean, retryAfterSeconds: number}>}
+ */
+async function checkLoginAllowed(ip, username) {
+    const keys = keysFor(ip, username).map(k => k.key);
+    if (documents) {
+        let waitMs = 0;
+        for (const key of keys) {
+            const row = await documents.get("login_attempts", key);
+            if (row && row.locked_until) waitMs = Math.max(waitMs, Date.parse(row.locked_until) - Date.now());
+        }
+        const wait = Math.ceil(waitMs / 1000);
+        return { allowed: wait <= 0, retryAfterSeconds: wait };
+    }
+    const res = await query(
+        `SELECT COALESCE(MAX(EXTRACT(EPOCH FROM (locked_until - now()))), 0)::float AS wait
+         FROM login_attempts WHERE key = ANY($1) AND locked_until > now()`,
+        [keys]
+    );
+    const wait = Math.ceil(res.rows[0].wait || 0);
+    return { allowed: wait <= 0, retryAfterSeconds: wait };
+}
+
+function lockoutSeconds(kind, failures) {
+    const over = failures - FREE_FAILURES[kind];
+    return over > 0 ? Math.min(BASE_LOCK_SECONDS * 2 ** (over - 1), MAX_LOCK_SECONDS) : 0;
+}
+
+async function recordSqlFailure(kind, key) {
+    const res = await query(
+        `INSERT INTO login_attempts AS a (key, failures, last_failure_at)
+         VALUES ($1, 1, now())
+         ON CONFLICT (key) DO UPDATE SET
+            failures = CASE WHEN a.last_failure_at < now() - make_interval(secs => $2) THEN 1 ELSE a.failures + 1 END,
+            last_failure_at = now()
+         RETURNING failures`,
+        [key, RESET_AFTER_SECONDS]
+    );
+    const failures = res.rows[0].failures;
+    const lockedForSeconds = lockoutSeconds(kind, failures);
+    if (lockedForSeconds > 0) {
+        await query(
+            "UPDATE login_attempts SET locked_until = now() + make_interval(secs => $2) WHERE key = $1",
+            [key, lockedForSeconds]
+        );
+    }
+    return { failures, lockedForSeconds };
+}
+
+async function recordDocumentFailure(kind, key) {
+    return withTransaction(async (tx) => {
+        const now = Date.now();
+        const row = tx.get("login_attempts", key);
+        const stale = !row || Date.parse(row.last_failure_at) < now - RESET_AFTER_SECONDS * 1000;
+        const failures = stale ? 1 : row.failures + 1;
+        const lockedForSeconds = lockoutSeconds(kind, failures);
+        tx.put("login_attempts", key, {
+            failures,
+            last_failure_at: new Date(now).toISOString(),
+            locked_until: lockedForSeconds > 0 ? new Date(now + lockedForSeconds * 1000).toISOString() : (row ? row.locked_until : null)
+        });
+        return { failures, lockedForSeconds };
+    });
+}
+
+/**
+ * Counts a failed attempt against both the IP and the account and extends their lockouts.
+ * Each failure past the free allowance doubles the lockout, up to MAX_LOCK_SECONDS.
+ * @param {string} ip
+ * @param {string} username
+ * @returns {Promise<{failures: number, lockedForSeconds: number}>} The stricter of the two keys.
+ */
+async function recordLoginFailure(ip, username) {
+    let worst = { failures: 0, lockedForSeconds: 0 };
+    for (const { kind, key } of keysFor(ip, username)) {
+        const { failures, lockedForSeconds } = documents
+            ? await recordDocumentFailure(kind, key)
+            : await recordSqlFailure(kind, key);
+        worst = {
+            failures: Math.max(failures, worst.failures),
+            lockedForSeconds: Math.max(lockedForSeconds, worst.lockedForSeconds)
+        };
+    }
+    return worst;
+}
+
+/**
+ * Clears the account's failure count after a successful login. The IP count is left alone
+ * so one valid account cannot be used to reset guessing against others from the same address.
+ * @param {string} username
+ */
+async function recordLoginSuccess(username) {
+    const userKey = keysFor(null, username).find(k => k.kind === "user");
+    if (!userKey) return;
+    if (documents) {
+        await withTransaction(async tx => tx.remove("login_attempts", userKey.key));
+    } else {
+        await query("DELETE FROM login_attempts WHERE key = $1", [userKey.key]);
+    }
+}
+
+module.exports = {
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess
+};
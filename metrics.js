@@ -0,0 +1,130 @@
+const { documents } = require("./storage");
+const { countFeatures } = require("./store");
+const { countWalkways } = require("./walkwayStore");
+const { logger, routeLabel } = require("./logger");
+
+// Seconds; roughly doubling from "instant" to "the client has probably given up".
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const requestCounts = new Map();
+const requestDurations = new Map();
+const loginFailures = new Map();
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+}
+
+function formatLabels(labels) {
+    const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+    return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+/**
+ * Middleware that records the count and duration of every request, by method, route and status.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+function recordRequestMetrics(req, res, next) {
+    const start = process.hrtime.bigint();
+    res.on("finish", () => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        const route = routeLabel(req); // a small fixed set, as label values must be
+        const countLabels = { method: req.method, route, status: res.statusCode };
+        const countKey = formatLabels(countLabels);
+        requestCounts.set(countKey, (requestCounts.get(countKey) || 0) + 1);
+
+        const durationKey = formatLabels({ method: req.method, route });
+        let hist = requestDurations.get(durationKey);
+        if (!hist) {
+            hist = { labels: { method: req.method, route }, buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+            requestDurations.set(durationKey, hist);
+        }
+        DURATION_BUCKETS.forEach((le, i) => {
+            if (seconds <= le) hist.buckets[i] += 1;
+        });
+        hist.sum += seconds;
+        hist.count += 1;
+    });
+    next();
+}
+
+/**
+ * Counts a refused login. `reason` is "invalid_credentials" or "locked_out".
+ * @param {string} reason
+ */
+function countLoginFailure(reason) {
+    loginFailures.set(reason, (loginFailures.get(reason) || 0) + 1);
+}
+
+function writeMetric(lines, name, type, help, samples) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    samples.forEach(([suffix, labels, value]) => lines.push(`${name}${suffix}${labels} ${value}`));
+}
+
+async function collectionCounts() {
+    try {
+        const [features, walkways] = await Promise.all([countFeatures(), countWalkways()]);
+        return { features, walkways };
+    } catch (err) {
+        logger.warn("Metrics: could not count collections", { err });
+        return null;
+    }
+}
+
+/**
+ * Prometheus text exposition of the request, login, pool and collection metrics.
+ * When METRICS_TOKEN is set the scraper must send it as a bearer token.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function handleMetrics(req, res) {
+    const expected = process.env.METRICS_TOKEN;
+    if (expected && req.get("Authorization") !== `Bearer ${expected}`) {
+        return res.status(401).set("WWW-Authenticate", "Bearer").type("text/plain").send("Unauthorized\n");
+    }
+    const lines = [];
+
+    writeMetric(lines, "http_requests_total", "counter", "HTTP requests by method, route and status.",
+        [...requestCounts].map(([labels, value]) => ["", labels, value]));
+
+    const histogram = [];
+    requestDurations.forEach((hist) => {
+        DURATION_BUCKETS.forEach((le, i) => histogram.push(["_bucket", formatLabels({ ...hist.labels, le }), hist.buckets[i]]));
+        histogram.push(["_bucket", formatLabels({ ...hist.labels, le: "+Inf" }), hist.count]);
+        histogram.push(["_sum", formatLabels(hist.labels), hist.sum]);
+        histogram.push(["_count", formatLabels(hist.labels), hist.count]);
+    });
+    writeMetric(lines, "http_request_duration_seconds", "histogram", "HTTP request latency by method and route.", histogram);
+
+    writeMetric(lines, "crwebapp_login_failures_total", "counter", "Refused logins by reason.",
+        ["invalid_credentials", "locked_out"].map(reason => ["", formatLabels({ reason }), loginFailures.get(reason) || 0]));
+
+    if (!documents) {
+        const { pool } = require("./db");
+        writeMetric(lines, "crwebapp_db_pool_connections", "gauge", "Postgres pool connections by state.", [
+            ["", formatLabels({ state: "total" }), pool.totalCount],
+            ["", formatLabels({ state: "idle" }), pool.idleCount]
+        ]);
+        writeMetric(lines, "crwebapp_db_pool_waiting_clients", "gauge", "Queries waiting for a free pool connection.",
+            [["", "", pool.waitingCount]]);
+    }
+
+    const counts = await collectionCounts();
+    if (counts) {
+        writeMetric(lines, "crwebapp_features", "gauge", "Stored campus features.", [["", "", counts.features]]);
+        writeMetric(lines, "crwebapp_walkways", "gauge", "Stored walkway segments.", [["", "", counts.walkways]]);
+    }
+
+    writeMetric(lines, "process_resident_memory_bytes", "gauge", "Resident memory size in bytes.", [["", "", process.memoryUsage().rss]]);
+    writeMetric(lines, "process_uptime_seconds", "gauge", "Seconds since the process started.", [["", "", Math.round(process.uptime())]]);
+
+    res.set("Cache-Control", "no-store");
+    res.type("text/plain; version=0.0.4").send(lines.join("\n") + "\n");
+}
+
+module.exports = {
+    recordRequestMetrics,
+    countLoginFailure,
+    handleMetrics
+};
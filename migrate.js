@@ -0,0 +1,129 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { createHash } = require("crypto");
+const { BACKEND, documents } = require("./storage");
+const { logger } = require("./logger");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const FILE_RE = /^(\d+)_([\w-]+)\.sql$/;
+// Arbitrary but fixed, so every app instance contends for the same advisory lock.
+const LOCK_KEY = 72700118;
+
+/**
+ * Migration files in order. Each is `NNN_name.sql` and runs in a single transaction,
+ * so a failing step leaves the schema as it was. Applied files must not be edited; add a new one instead.
+ * @returns {Promise<Array<{version: number, name: string, file: string, sql: string, checksum: string}>>}
+ */
+async function readMigrations() {
+    const files = (await fs.readdir(MIGRATIONS_DIR)).filter(f => f.endsWith(".sql")).sort();
+    const migrations = [];
+    const seen = new Map();
+    for (const file of files) {
+        const m = FILE_RE.exec(file);
+        if (!m) throw new Error(`Migration file name must look like 001_name.sql: ${file}`);
+        const version = Number(m[1]);
+        if (seen.has(version)) throw new Error(`Migrations ${seen.get(version)} and ${file} share version ${version}`);
+        seen.set(version, file);
+        const sql = await fs.readFile(path.join(MIGRATIONS_DIR, file), "utf8");
+        const checksum = createHash("sha256").update(sql).digest("hex");
+        migrations.push({ version, name: m[2], file, sql, checksum });
+    }
+    return migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Applies pending migrations to Postgres and records them in schema_migrations.
+ * Concurrent callers (several app instances starting at once) wait on an advisory lock,
+ * so each migration runs once. The document backends have no schema, so this does nothing for them.
+ * Progress goes to `log`, by default the app's info log.
+ * @param {{log?: (msg: string) => void}} [opts]
+ * @returns {Promise<string[]>} Files applied by this call.
+ */
+async function runMigrations({ log = msg => logger.info(msg) } = {}) {
+    if (documents) return [];
+    const migrations = await readMigrations();
+    const { pool } = require("./db");
+    const client = await pool.connect();
+    const applied = [];
+    try {
+        await client.query("SELECT pg_advisory_lock($1)", [LOCK_KEY]);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                checksum TEXT NOT NULL,
+                applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+            );
+        `);
+        const res = await client.query("SELECT version, name, checksum FROM schema_migrations");
+        const done = new Map(res.rows.map(r => [r.version, r]));
+        for (const m of migrations) {
+            const prior = done.get(m.version);
+            if (prior) {
+                if (prior.checksum !== m.checksum) log(`Warning: migration ${m.file} changed after it was applied`);
+                continue;
+            }
+            try {
+                await client.query("BEGIN");
+                await client.query(m.sql);
+                await client.query(
+                    "INSERT INTO schema_migrations (version, name, checksum) VALUES ($1,$2,$3)",
+                    [m.version, m.name, m.checksum]
+                );
+                await client.query("COMMIT");
+            } catch (err) {
+                await client.query("ROLLBACK").catch(() => {});
+                err.message = `Migration ${m.file} failed: ${err.message}`;
+                throw err;
+            }
+            applied.push(m.file);
+            log(`Applied migration ${m.file}`);
+        }
+        const known = new Set(migrations.map(m => m.version));
+        const unknown = [...done.keys()].filter(v => !known.has(v));
+        if (unknown.length) log(`Warning: database has migrations this code does not know about: ${unknown.join(", ")}`);
+    } finally {
+        await client.query("SELECT pg_advisory_unlock($1)", [LOCK_KEY]).catch(() => {});
+        client.release();
+    }
+    return applied;
+}
+
+/**
+ * Migration files not yet recorded in schema_migrations (all of them if the table does not exist yet).
+ * Always empty for the document backends.
+ * @returns {Promise<string[]>}
+ */
+async function pendingMigrations() {
+    if (documents) return [];
+    const migrations = await readMigrations();
+    let applied;
+    try {
+        const res = await require("./db").query("SELECT version FROM schema_migrations");
+        applied = new Set(res.rows.map(r => r.version));
+    } catch (err) {
+        if (err.code !== "42P01") throw err; // undefined_table: nothing has been migrated
+        applied = new Set();
+    }
+    return migrations.filter(m => !applied.has(m.version)).map(m => m.file);
+}
+
+// `npm run migrate`
+if (require.main === module) {
+    runMigrations()
+        .then((applied) => {
+            if (documents) logger.info("There is no schema to migrate for this storage backend", { backend: BACKEND });
+            else if (!applied.length) logger.info("Schema is up to date");
+            return documents ? null : require("./db").pool.end();
+        })
+        .catch((err) => {
+            logger.error("Migration failed", { err });
+            process.exitCode = 1;
+            if (!documents) require("./db").pool.end().catch(() => {});
+        });
+}
+
+module.exports = {
+    runMigrations,
+    pendingMigrations
+};
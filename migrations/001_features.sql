@@ -0,0 +1,41 @@
+-- Campus features (buildings, entrances, parking, ...). `data` holds the full GeoJSON Feature;
+-- the other columns are copies of what the API filters on.
+CREATE TABLE IF NOT EXISTS features (
+    id TEXT PRIMARY KEY,
+    type TEXT,
+    name TEXT,
+    number TEXT,
+    building_id TEXT,
+    prefix TEXT,
+    direction TEXT,
+    point_lon DOUBLE PRECISION,
+    point_lat DOUBLE PRECISION,
+    bbox_min_lon DOUBLE PRECISION,
+    bbox_min_lat DOUBLE PRECISION,
+    bbox_max_lon DOUBLE PRECISION,
+    bbox_max_lat DOUBLE PRECISION,
+    data JSONB,
+    geom JSONB,
+    version INTEGER NOT NULL DEFAULT 1
+);
+
+-- Databases created before migrations existed may have an older shape of the table.
+ALTER TABLE features
+    ADD COLUMN IF NOT EXISTS type TEXT,
+    ADD COLUMN IF NOT EXISTS name TEXT,
+    ADD COLUMN IF NOT EXISTS number TEXT,
+    ADD COLUMN IF NOT EXISTS building_id TEXT,
+    ADD COLUMN IF NOT EXISTS prefix TEXT,
+    ADD COLUMN IF NOT EXISTS direction TEXT,
+    ADD COLUMN IF NOT EXISTS point_lon DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS point_lat DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS bbox_min_lon DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS bbox_min_lat DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS bbox_max_lon DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS bbox_max_lat DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS geom JSONB,
+    ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+CREATE INDEX IF NOT EXISTS features_bbox_idx ON features (bbox_min_lon, bbox_max_lon, bbox_min_lat, bbox_max_lat);
+CREATE INDEX IF NOT EXISTS features_type_idx ON features (type);
+CREATE INDEX IF NOT EXISTS features_building_id_idx ON features (building_id);
@@ -0,0 +1,71 @@
+-- Walkway segments used for drawing and routing. `data` holds the full GeoJSON Feature.
+CREATE TABLE IF NOT EXISTS walkways (
+    id TEXT PRIMARY KEY,
+    type TEXT,
+    name TEXT,
+    curved BOOLEAN,
+    segmented BOOLEAN,
+    segment_index INTEGER,
+    start_lon DOUBLE PRECISION,
+    start_lat DOUBLE PRECISION,
+    end_lon DOUBLE PRECISION,
+    end_lat DOUBLE PRECISION,
+    control_start_lon DOUBLE PRECISION,
+    control_start_lat DOUBLE PRECISION,
+    control_end_lon DOUBLE PRECISION,
+    control_end_lat DOUBLE PRECISION,
+    bbox_min_lon DOUBLE PRECISION,
+    bbox_min_lat DOUBLE PRECISION,
+    bbox_max_lon DOUBLE PRECISION,
+    bbox_max_lat DOUBLE PRECISION,
+    control JSONB,
+    data JSONB,
+    geom JSONB,
+    version INTEGER NOT NULL DEFAULT 1
+);
+
+-- Databases created before migrations existed may have an older shape of the table.
+ALTER TABLE walkways
+    ADD COLUMN IF NOT EXISTS type TEXT,
+    ADD COLUMN IF NOT EXISTS name TEXT,
+    ADD COLUMN IF NOT EXISTS curved BOOLEAN,
+    ADD COLUMN IF NOT EXISTS segmented BOOLEAN,
+    ADD COLUMN IF NOT EXISTS segment_index INTEGER,
+    ADD COLUMN IF NOT EXISTS start_lon DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS start_lat DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS end_lon DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS end_lat DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS control_start_lon DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS control_start_lat DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS control_end_lon DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS control_end_lat DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS bbox_min_lon DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS bbox_min_lat DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS bbox_max_lon DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS bbox_max_lat DOUBLE PRECISION,
+    ADD COLUMN IF NOT EXISTS control JSONB,
+    ADD COLUMN IF NOT EXISTS data JSONB,
+    ADD COLUMN IF NOT EXISTS geom JSONB,
+    ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+-- Rows written before the bbox columns existed get them from their stored geometry.
+UPDATE walkways w SET
+    bbox_min_lon = b.min_lon,
+    bbox_min_lat = b.min_lat,
+    bbox_max_lon = b.max_lon,
+    bbox_max_lat = b.max_lat
+FROM (
+    SELECT id,
+           MIN((c->>0)::double precision) AS min_lon,
+           MIN((c->>1)::double precision) AS min_lat,
+           MAX((c->>0)::double precision) AS max_lon,
+           MAX((c->>1)::double precision) AS max_lat
+    FROM walkways, jsonb_array_elements(geom->'coordinates') AS c
+    WHERE bbox_min_lon IS NULL AND jsonb_typeof(geom->'coordinates') = 'array'
+    GROUP BY id
+) b
+WHERE w.id = b.id;
+
+CREATE INDEX IF NOT EXISTS walkways_bbox_idx ON walkways (bbox_min_lon, bbox_max_lon, bbox_min_lat, bbox_max_lat);
+CREATE INDEX IF NOT EXISTS walkways_type_idx ON walkways (type);
+CREATE INDEX IF NOT EXISTS walkways_building_id_idx ON walkways ((data->'properties'->>'buildingId'));
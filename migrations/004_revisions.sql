@@ -0,0 +1,19 @@
+-- One row per feature or walkway write; see history.js.
+CREATE TABLE IF NOT EXISTS revisions (
+    id BIGSERIAL PRIMARY KEY,
+    collection TEXT NOT NULL,
+    feature_id TEXT NOT NULL,
+    action TEXT NOT NULL,
+    before JSONB,
+    after JSONB,
+    actor_id TEXT,
+    actor TEXT,
+    request_id TEXT,
+    reverts BIGINT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE revisions ADD COLUMN IF NOT EXISTS actor_id TEXT;
+
+CREATE INDEX IF NOT EXISTS revisions_feature_idx ON revisions (collection, feature_id, id);
+CREATE INDEX IF NOT EXISTS revisions_created_at_idx ON revisions (created_at, id);
@@ -0,0 +1,6 @@
+-- A counter per collection, bumped by every write; used for ETags and cache keys.
+CREATE TABLE IF NOT EXISTS dataset_versions (
+    collection TEXT PRIMARY KEY,
+    version BIGINT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
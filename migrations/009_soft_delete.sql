@@ -0,0 +1,11 @@
+-- Deleted features and walkways stay in their table until the trash is purged; see trash.js.
+ALTER TABLE features
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+
+ALTER TABLE walkways
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+
+CREATE INDEX IF NOT EXISTS features_deleted_at_idx ON features (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS walkways_deleted_at_idx ON walkways (deleted_at) WHERE deleted_at IS NOT NULL;
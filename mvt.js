@@ -0,0 +1,160 @@
+// Minimal Mapbox Vector Tile (v2.1) encoder. Geometry must already be in integer tile coordinates.
+// Spec: https://github.com/mapbox/vector-tile-spec/tree/master/2.1
+
+const GEOM_TYPES = { point: 1, linestring: 2, polygon: 3 };
+const CMD_MOVE_TO = 1;
+const CMD_LINE_TO = 2;
+const CMD_CLOSE_PATH = 7;
+
+function writeVarint(out, n) {
+    let v = n;
+    while (v > 0x7f) {
+        out.push((v & 0x7f) | 0x80);
+        v = Math.floor(v / 128);
+    }
+    out.push(v);
+}
+
+function zigzag(n) {
+    return (n << 1) ^ (n >> 31);
+}
+
+function writeTag(out, field, wireType) {
+    writeVarint(out, (field << 3) | wireType);
+}
+
+function writeBytes(out, field, bytes) {
+    writeTag(out, field, 2);
+    writeVarint(out, bytes.length);
+    for (let i = 0; i < bytes.length; i++) out.push(bytes[i]);
+}
+
+function writeString(out, field, str) {
+    writeBytes(out, field, Buffer.from(String(str), "utf8"));
+}
+
+function writePacked(out, field, values) {
+    const body = [];
+    values.forEach(v => writeVarint(body, v));
+    writeBytes(out, field, body);
+}
+
+function command(id, count) {
+    return (id & 0x7) | (count << 3);
+}
+
+// Geometry is a list of parts: points for "point", lines for "linestring", rings for "polygon".
+// Rings must be unclosed and wound as the spec wants (exterior positive area in tile coordinates).
+function encodeGeometry(type, parts) {
+    const cmds = [];
+    let cx = 0;
+    let cy = 0;
+    const moveTo = (pts) => {
+        cmds.push(command(CMD_MOVE_TO, pts.length));
+        for (const [x, y] of pts) {
+            cmds.push(zigzag(x - cx), zigzag(y - cy));
+            cx = x;
+            cy = y;
+        }
+    };
+    const lineTo = (pts) => {
+        if (!pts.length) return;
+        cmds.push(command(CMD_LINE_TO, pts.length));
+        for (const [x, y] of pts) {
+            cmds.push(zigzag(x - cx), zigzag(y - cy));
+            cx = x;
+            cy = y;
+        }
+    };
+    if (type === "point") {
+        moveTo(parts);
+        return cmds;
+    }
+    for (const part of parts) {
+        moveTo([part[0]]);
+        lineTo(part.slice(1));
+        if (type === "polygon") cmds.push(command(CMD_CLOSE_PATH, 1));
+    }
+    return cmds;
+}
+
+function encodeValue(value) {
+    const out = [];
+    if (typeof value === "boolean") {
+        writeTag(out, 7, 0);
+        writeVarint(out, value ? 1 : 0);
+    } else if (typeof value === "number" && Number.isSafeInteger(value) && value >= 0) {
+        writeTag(out, 5, 0);
+        writeVarint(out, value);
+    } else if (typeof value === "number" && Number.isFinite(value)) {
+        writeTag(out, 3, 1);
+        const buf = Buffer.alloc(8);
+        buf.writeDoubleLE(value, 0);
+        for (const b of buf) out.push(b);
+    } else {
+        writeString(out, 1, value);
+    }
+    return out;
+}
+
+function encodeLayer(layer) {
+    const keys = [];
+    const keyIndex = new Map();
+    const values = [];
+    const valueIndex = new Map();
+    const features = [];
+
+    for (const f of layer.features) {
+        const tags = [];
+        for (const [key, value] of Object.entries(f.properties || {})) {
+            if (value == null || value === "") continue;
+            if (!keyIndex.has(key)) {
+                keyIndex.set(key, keys.length);
+                keys.push(key);
+            }
+            const vkey = `${typeof value}:${value}`;
+            if (!valueIndex.has(vkey)) {
+                valueIndex.set(vkey, values.length);
+                values.push(value);
+            }
+            tags.push(keyIndex.get(key), valueIndex.get(vkey));
+        }
+        const geometry = encodeGeometry(f.type, f.geometry);
+        const out = [];
+        if (tags.length) writePacked(out, 2, tags);
+        writeTag(out, 3, 0);
+        writeVarint(out, GEOM_TYPES[f.type]);
+        writePacked(out, 4, geometry);
+        features.push(out);
+    }
+
+    const out = [];
+    writeTag(out, 15, 0);
+    writeVarint(out, 2);
+    writeString(out, 1, layer.name);
+    features.forEach(f => writeBytes(out, 2, f));
+    keys.forEach(k => writeString(out, 3, k));
+    values.forEach(v => writeBytes(out, 4, encodeValue(v)));
+    writeTag(out, 5, 0);
+    writeVarint(out, layer.extent);
+    return out;
+}
+
+/**
+ * Encodes one vector tile. Layers without features are left out, so an empty tile is a zero-length buffer.
+ * @param {Array<{name: string, extent: number, features: Array<{
+ *     type: "point"|"linestring"|"polygon",
+ *     geometry: Array,
+ *     properties?: Object<string, string|number|boolean>
+ * }>}>} layers
+ * @returns {Buffer}
+ */
+function encodeTile(layers) {
+    const out = [];
+    for (const layer of layers) {
+        if (layer.features.length) writeBytes(out, 3, encodeLayer(layer));
+    }
+    return Buffer.from(out);
+}
+
+module.exports = { encodeTile };
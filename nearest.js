@@ -0,0 +1,134 @@
+const { readFeatures, readFeatureBoxes } = require("./store");
+const { storeEvents, cacheUntilChange } = require("./storeEvents");
+const { RTree } = require("./rtree");
+const { distanceMeters, distanceToGeometry } = require("./geo");
+const { BadRequestError } = require("./errors");
+const { single, listParam } = require("./queryParams");
+
+const DEFAULT_K = 5;
+const MAX_K = 50;
+
+// Features written since the index was built; re-read and swapped in before the next query.
+const pendingIds = new Set();
+let refreshing = Promise.resolve();
+
+storeEvents.on("change", (evt) => {
+    if (evt.collection === "features" && evt.id != null) pendingIds.add(String(evt.id));
+});
+
+function toEntry(box) {
+    return { minX: box.minLon, minY: box.minLat, maxX: box.maxLon, maxY: box.maxLat, id: box.id, type: box.type, geometry: box.geometry };
+}
+
+async function buildIndex() {
+    pendingIds.clear(); // the rows read below already include those writes
+    const tree = new RTree();
+    const entries = new Map();
+    const list = (await readFeatureBoxes()).map(toEntry);
+    list.forEach(e => entries.set(e.id, e));
+    tree.load(list);
+    return { tree, entries };
+}
+
+// Rebuilt only when an import replaced the table wholesale; single writes are applied in place.
+const getIndex = cacheUntilChange("features", buildIndex, evt => evt.id == null);
+
+async function applyPendingChanges(index) {
+    if (!pendingIds.size) return;
+    const ids = [...pendingIds];
+    pendingIds.clear();
+    let boxes;
+    try {
+        boxes = await readFeatureBoxes({ ids });
+    } catch (err) {
+        ids.forEach(id => pendingIds.add(id));
+        throw err;
+    }
+    const fresh = new Map(boxes.map(b => [b.id, toEntry(b)]));
+    for (const id of ids) {
+        const old = index.entries.get(id);
+        if (old) {
+            index.tree.remove(old);
+            index.entries.delete(id);
+        }
+        const entry = fresh.get(id); // absent when the feature was deleted or lost its geometry
+        if (entry) {
+            index.tree.insert(entry);
+            index.entries.set(id, entry);
+        }
+    }
+}
+
+// The index with every committed write applied. Updates run one at a time so an older read
+// of a row can never overwrite a newer one.
+async function currentIndex() {
+    const index = await getIndex();
+    const run = refreshing.then(() => applyPendingChanges(index));
+    refreshing = run.catch(() => {});
+    await run;
+    return index;
+}
+
+/**
+ * Parses `lon`, `lat`, `type` (comma-separated or repeated), `k` and `maxMeters` for findNearest.
+ * @param {Object} q Express query object.
+ * @returns {{lon: number, lat: number, types: string[]|null, k: number, maxMeters: number|null}}
+ * @throws {BadRequestError} When a parameter is missing or malformed.
+ */
+function parseNearestQuery(q) {
+    const number = (v) => (v == null || v === "" ? NaN : Number(single(v)));
+
+    const lon = number(q.lon);
+    const lat = number(q.lat);
+    if (!Number.isFinite(lon) || lon < -180 || lon > 180 || !Number.isFinite(lat) || lat < -90 || lat > 90) {
+        throw new BadRequestError("lon and lat are required and must be valid coordinates");
+    }
+
+    const types = listParam(q.type);
+
+    let k = DEFAULT_K;
+    if (single(q.k) != null && single(q.k) !== "") {
+        k = Number(single(q.k));
+        if (!Number.isInteger(k) || k < 1 || k > MAX_K) throw new BadRequestError(`k must be an integer between 1 and ${MAX_K}`);
+    }
+
+    let maxMeters = null;
+    if (single(q.maxMeters) != null && single(q.maxMeters) !== "") {
+        maxMeters = Number(single(q.maxMeters));
+        if (!Number.isFinite(maxMeters) || maxMeters < 0) throw new BadRequestError("maxMeters must be a non-negative number");
+    }
+
+    return { lon, lat, types: types.length ? types : null, k, maxMeters };
+}
+
+/**
+ * The `k` features closest to a point, nearest first, by distance to their actual geometry
+ * (0 inside a polygon). Each returned feature carries `distanceMeters`.
+ * Candidates come from an in-process R-tree over the stored bounding boxes, built on first use
+ * and updated row by row as features are written.
+ * @param {{lon: number, lat: number, types?: string[]|null, k?: number, maxMeters?: number|null}} opts
+ * @returns {Promise<Array<GeoJSON.Feature & {distanceMeters: number}>>}
+ */
+async function findNearest({ lon, lat, types = null, k = DEFAULT_K, maxMeters = null }) {
+    const index = await currentIndex();
+    const p = [lon, lat];
+    const clamp = (v, lo, hi) => Math.min(Math.max(v, lo), hi);
+    const hits = index.tree.nearest(k, {
+        // Distance to the closest point of the box; a lower bound for anything inside it.
+        boxDistance: b => distanceMeters(p, [clamp(lon, b.minX, b.maxX), clamp(lat, b.minY, b.maxY)]),
+        itemDistance: e => distanceToGeometry(p, e.geometry),
+        maxDistance: maxMeters ?? Infinity,
+        filter: types ? e => types.includes(e.type) : null
+    });
+    if (!hits.length) return [];
+    const features = await readFeatures({ ids: hits.map(h => h.item.id) });
+    const byId = new Map(features.map(f => [f.properties._id, f]));
+    return hits
+        .filter(h => byId.has(h.item.id))
+        .map(h => ({ ...byId.get(h.item.id), distanceMeters: Math.round(h.distance * 10) / 10 }));
+}
+
+module.exports = {
+    parseNearestQuery,
+    findNearest
+};
@@ -0,0 +1,543 @@
+const { version } = require("./package.json");
+const { SCHEMAS, validateSchema } = require("./schemas");
+const { BadRequestError, ValidationError } = require("./errors");
+const { SCOPES } = require("./tokenStore");
+const { ROLES } = require("./userStore");
+const { single, listParam } = require("./queryParams");
+const { EXPORT_FORMATS } = require("./exporters");
+
+// The OpenAPI description of every route createApp registers, served at /api/openapi.json.
+// Request bodies and parameters are checked against it at runtime by validateRequest, and
+// assertRoutesDocumented refuses to start an app with a route the document does not describe.
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = (description, schema) => ({ description, content: { "application/json": { schema } } });
+const error = name => ({ $ref: `#/components/responses/${name}` });
+const redirect = description => ({ description, headers: { Location: { schema: { type: "string" } } } });
+
+const query = (name, schema, description, required = false) => ({ name, in: "query", required, description, schema });
+const pathId = description => ({ name: "id", in: "path", required: true, description, schema: { type: "string" } });
+const ifMatch = {
+    name: "If-Match",
+    in: "header",
+    description: "Version the change is based on, as returned in the ETag: `\"3\"`, or `*` to overwrite whatever is stored.",
+    schema: { type: "string" }
+};
+const typesParam = description => query("type", { type: "array", items: { type: "string" } }, description);
+const flag = (name, description) => query(name, { type: "string", enum: ["true", "false", "1", "0"] }, description);
+
+// Who may call a route: signed-in users need `role`; API tokens also need `scope` (none: session only).
+function access(role, scope) {
+    const security = [{ session: [] }];
+    if (scope) security.push({ bearerToken: [] });
+    return {
+        security,
+        "x-required-role": role,
+        ...(scope ? { "x-token-scopes": [].concat(scope) } : {}),
+        description: `Requires the ${role} role. ${scope
+            ? `API tokens need the ${[].concat(scope).join(" or ")} scope.`
+            : "Not available to API tokens."} Session requests that change data must send X-CSRF-Token.`
+    };
+}
+
+function withAccess(operation, role, scope) {
+    const { description, ...rest } = access(role, scope);
+    return {
+        ...operation,
+        ...rest,
+        description: operation.description ? `${operation.description}\n\n${description}` : description,
+        responses: { ...operation.responses, 401: error("Unauthorized"), 403: error("Forbidden") }
+    };
+}
+
+const collectionParams = [
+    query("bbox", { type: "string" }, "Only rows whose bounding box intersects `minLon,minLat,maxLon,maxLat`."),
+    typesParam("Only these types; comma-separated or repeated."),
+    query("buildingId", { type: "string" }, "Only rooms and entrances of this building."),
+    query("limit", { type: "integer", minimum: 1, maximum: 5000 }, "Page size."),
+    query("offset", { type: "integer", minimum: 0 }, "Rows to skip.")
+];
+const historyLimit = query("limit", { type: "integer", minimum: 1 }, "Revisions to return; default 100, at most 1000.");
+
+function collectionRoutes(base, { one, schema, collectionSchema, scope }) {
+    return {
+        [base]: {
+            get: {
+                tags: [base.split("/")[2]],
+                summary: `List ${one}s`,
+                parameters: collectionParams,
+                responses: {
+                    200: json(`Matching ${one}s. The ETag changes whenever the collection does, so If-None-Match gets a 304.`, ref(collectionSchema)),
+                    304: { description: "Not modified." },
+                    400: error("BadRequest")
+                }
+            },
+            post: withAccess({
+                tags: [base.split("/")[2]],
+                summary: `Create or update a ${one}`,
+                description: `Without \`properties._id\` (or with an unknown one) a new ${one} is created. Updating an existing one needs the version it was based on, from \`properties._version\` or If-Match.`,
+                parameters: [ifMatch],
+                requestBody: { required: true, content: { "application/json": { schema: ref(schema) } } },
+                responses: {
+                    200: json(`The saved ${one}; the ETag is its new version.`, ref(schema)),
+                    400: error("ValidationFailed"),
+                    409: error("Conflict"),
+                    428: error("PreconditionRequired")
+                }
+            }, "editor", scope)
+        },
+        [`${base}/{id}`]: {
+            get: {
+                tags: [base.split("/")[2]],
+                summary: `Get one ${one}`,
+                parameters: [pathId(`The ${one}'s \`_id\`.`)],
+                responses: {
+                    200: json(`The ${one}; the ETag is its version.`, ref(schema)),
+                    304: { description: "Not modified." },
+                    404: error("NotFound")
+                }
+            },
+            delete: withAccess({
+                tags: [base.split("/")[2]],
+                summary: `Delete a ${one}`,
+                description: one === "feature" ? "Deleting a building needs the admin role." : undefined,
+                parameters: [pathId(`The ${one}'s \`_id\`.`), ifMatch],
+                responses: {
+                    200: json("Deleted.", { type: "object", properties: { ok: { type: "boolean" } } }),
+                    404: error("NotFound"),
+                    409: error("Conflict")
+                }
+            }, "editor", scope)
+        },
+        [`${base}/{id}/history`]: {
+            get: withAccess({
+                tags: ["history"],
+                summary: `Revisions of one ${one}, newest first`,
+                description: `Empty for a ${one} that has not been changed since it was seeded.`,
+                parameters: [pathId(`The ${one}'s \`_id\`.`), historyLimit],
+                responses: {
+                    200: json("Revisions.", {
+                        type: "object",
+                        properties: { featureId: { type: "string" }, revisions: { type: "array", items: ref("Revision") } }
+                    }),
+                    404: error("NotFound")
+                }
+            }, "viewer", "read")
+        }
+    };
+}
+
+const html = description => ({ description, content: { "text/html": { schema: { type: "string" } } } });
+const form = (properties, required = []) => ({
+    required: true,
+    content: { "application/x-www-form-urlencoded": { schema: { type: "object", required, properties: { ...properties, _csrf: { type: "string" } } } } }
+});
+const page = (summary, role) => ({
+    get: role ? withAccess({ tags: ["pages"], summary, responses: { 200: html("Page.") } }, role) : { tags: ["pages"], summary, responses: { 200: html("Page.") } }
+});
+const formPost = (summary, role, properties, required) => withAccess({
+    tags: ["pages"],
+    summary,
+    requestBody: properties ? form(properties, required) : undefined,
+    responses: { 302: redirect("Back to the page, with a flash message.") }
+}, role);
+
+const DOCUMENT = {
+    openapi: "3.0.3",
+    info: {
+        title: "College of the Redwoods campus map API",
+        version,
+        description: "Campus features (buildings, rooms, parking, entrances, ...) and the walkway network used for routing. "
+            + "Reads are public; writes need a signed-in session (with X-CSRF-Token) or an API token created on /admin/tokens. "
+            + "Every error response has the Error body."
+    },
+    tags: [
+        { name: "features" },
+        { name: "walkways" },
+        { name: "data", description: "Bulk import, export and batches." },
+        { name: "history" },
+        { name: "trash", description: "Deleted features and walkways, until they are restored or purged." },
+        { name: "lookup", description: "Routing, nearest features and search." },
+        { name: "live" },
+        { name: "ops", description: "Health checks and metrics." },
+        { name: "pages", description: "HTML pages and form posts of the web app." }
+    ],
+    paths: {
+        "/": page("Public map"),
+        "/admin": page("Map editor", "viewer"),
+        "/admin/users": {
+            ...page("User management", "admin"),
+            post: formPost("Create a user", "admin", {
+                username: { type: "string" },
+                password: { type: "string" },
+                role: { type: "string", enum: ROLES }
+            }, ["username", "password", "role"])
+        },
+        "/admin/users/{id}": {
+            post: { ...formPost("Change a user's role or password", "admin", { role: { type: "string", enum: ROLES }, password: { type: "string" } }), parameters: [pathId("User id.")] }
+        },
+        "/admin/users/{id}/delete": {
+            post: { ...formPost("Delete a user", "admin"), parameters: [pathId("User id.")] }
+        },
+        "/admin/tokens": {
+            ...page("API tokens", "viewer"),
+            post: {
+                ...formPost("Create an API token", "viewer", {
+                    name: { type: "string" },
+                    scopes: { type: "array", items: { type: "string", enum: SCOPES } }
+                }, ["name"]),
+                responses: { 200: html("The token page showing the new token once."), 302: redirect("Back to the page when the form was invalid.") }
+            }
+        },
+        "/admin/tokens/{id}/revoke": {
+            post: { ...formPost("Revoke an API token", "viewer"), parameters: [pathId("Token id.")] }
+        },
+        "/login": {
+            post: {
+                tags: ["pages"],
+                summary: "Sign in",
+                description: "Repeated failures lock out the IP address and account for a while.",
+                requestBody: form({ username: { type: "string" }, password: { type: "string" } }, ["username", "password"]),
+                responses: { 302: redirect("To /admin on success, otherwise back to / with a flash message.") }
+            }
+        },
+        "/csrf-token": {
+            get: {
+                tags: ["pages"],
+                summary: "CSRF token of the session",
+                description: "For the sign-in form on the public map, which is served without a token. Starts a session if there is none.",
+                responses: { 200: json("The token to send as X-CSRF-Token or `_csrf`.", { type: "object", properties: { csrfToken: { type: "string" } } }) }
+            }
+        },
+        "/logout": {
+            post: { tags: ["pages"], summary: "Sign out", requestBody: form({}), responses: { 302: redirect("To /.") } }
+        },
+
+        "/healthz": {
+            get: {
+                tags: ["ops"],
+                summary: "Liveness",
+                responses: { 200: json("The process is up.", { type: "object", properties: { status: { type: "string" }, uptimeSeconds: { type: "integer" } } }) }
+            }
+        },
+        "/readyz": {
+            get: {
+                tags: ["ops"],
+                summary: "Readiness",
+                responses: {
+                    200: json("Storage is reachable.", { type: "object", properties: { status: { type: "string" }, backend: { type: "string" }, checks: { type: "object" } } }),
+                    503: json("Storage is not reachable.", { type: "object", properties: { status: { type: "string" }, backend: { type: "string" }, checks: { type: "object" } } })
+                }
+            }
+        },
+        "/metrics": {
+            get: {
+                tags: ["ops"],
+                summary: "Prometheus metrics",
+                responses: { 200: { description: "Text exposition format.", content: { "text/plain": { schema: { type: "string" } } } } }
+            }
+        },
+        "/api/openapi.json": {
+            get: {
+                tags: ["ops"],
+                summary: "This document",
+                responses: { 200: json("OpenAPI 3 description of the API.", { type: "object" }) }
+            }
+        },
+
+        ...collectionRoutes("/api/features", { one: "feature", schema: "Feature", collectionSchema: "FeatureCollection", scope: "features:write" }),
+        ...collectionRoutes("/api/walkways", { one: "walkway", schema: "Walkway", collectionSchema: "WalkwayCollection", scope: "walkways:write" }),
+
+        "/api/import": {
+            post: withAccess({
+                tags: ["data"],
+                summary: "Import a FeatureCollection",
+                description: "`append` adds every feature as new, `upsert` matches by `_id`, `replace` also deletes rows missing from the import (admin only). "
+                    + "Any invalid row rejects the whole import unless `skipInvalid` is set.",
+                parameters: [
+                    query("collection", { type: "string", enum: ["features", "walkways"] }, "Target collection.", true),
+                    query("mode", { type: "string", enum: ["append", "upsert", "replace"] }, "Default upsert."),
+                    flag("dryRun", "Only report what would change."),
+                    flag("skipInvalid", "Import the valid rows even when some fail.")
+                ],
+                requestBody: { required: true, content: { "application/json": { schema: ref("ImportRequest") } } },
+                responses: {
+                    200: json("What was (or, for a dry run, would be) added, changed and deleted.", ref("ImportReport")),
+                    400: error("BadRequest"),
+                    413: error("PayloadTooLarge")
+                }
+            }, "editor", ["features:write", "walkways:write"])
+        },
+        "/api/export": {
+            get: {
+                tags: ["data"],
+                summary: "Download the dataset",
+                description: "CSV only carries point features; `shp` is a zip with one shapefile per geometry type.",
+                parameters: [
+                    query("format", { type: "string", enum: EXPORT_FORMATS }, "Default geojson."),
+                    query("layers", { type: "array", items: { type: "string", enum: ["features", "walkways"] } }, "Default both; comma-separated or repeated.")
+                ],
+                responses: { 200: { description: "The file, as an attachment." }, 400: error("BadRequest") }
+            }
+        },
+        "/api/batch": {
+            post: withAccess({
+                tags: ["data"],
+                summary: "Apply several upserts and deletes atomically",
+                description: "Either every operation is applied or none is. Failures list the operations at fault by index in `details.errors`.",
+                requestBody: { required: true, content: { "application/json": { schema: ref("BatchRequest") } } },
+                responses: {
+                    200: json("Result of each operation, in order.", ref("BatchResult")),
+                    400: error("BadRequest"),
+                    409: error("Conflict")
+                }
+            }, "editor", ["features:write", "walkways:write"])
+        },
+
+        "/api/history": {
+            get: withAccess({
+                tags: ["history"],
+                summary: "Revisions across features and walkways, oldest first",
+                parameters: [query("since", { type: "string", format: "date-time" }, "Only revisions at or after this time."), historyLimit],
+                responses: {
+                    200: json("Revisions.", { type: "object", properties: { revisions: { type: "array", items: ref("Revision") } } }),
+                    400: error("BadRequest")
+                }
+            }, "viewer", "read")
+        },
+        "/api/history/{revisionId}/revert": {
+            post: withAccess({
+                tags: ["history"],
+                summary: "Undo a revision",
+                description: "Restores the copy stored before the revision, or deletes what it created. Send If-Match to avoid reverting over a newer edit.",
+                parameters: [{ name: "revisionId", in: "path", required: true, schema: { type: "string" } }, ifMatch],
+                responses: {
+                    200: json("The restored copy, or `{ ok, deleted, featureId }` when the revision created the row.", { type: "object" }),
+                    404: error("NotFound"),
+                    409: error("Conflict")
+                }
+            }, "admin")
+        },
+
+        "/api/trash": {
+            get: withAccess({
+                tags: ["trash"],
+                summary: "Deleted features and walkways, most recently deleted first",
+                description: "Items stay in the trash for `retentionDays` days (0: until restored) and are then purged for good.",
+                parameters: [
+                    query("collection", { type: "string", enum: ["features", "walkways"] }, "Only this collection; default both."),
+                    query("limit", { type: "integer", minimum: 1, maximum: 1000 }, "Items to return; default 100.")
+                ],
+                responses: {
+                    200: json("The trash.", {
+                        type: "object",
+                        properties: { retentionDays: { type: "number" }, items: { type: "array", items: ref("TrashItem") } }
+                    }),
+                    400: error("BadRequest")
+                }
+            }, "viewer", "read")
+        },
+        "/api/trash/{id}/restore": {
+            post: withAccess({
+                tags: ["trash"],
+                summary: "Restore a deleted feature or walkway",
+                description: "The restored copy gets a new version and a `create` revision.",
+                parameters: [
+                    pathId("Feature or walkway `_id`."),
+                    query("collection", { type: "string", enum: ["features", "walkways"] }, "Collection the item was deleted from; default features.")
+                ],
+                responses: {
+                    200: json("The restored copy.", { anyOf: [ref("Feature"), ref("Walkway")] }),
+                    400: error("BadRequest"),
+                    404: error("NotFound")
+                }
+            }, "editor", ["features:write", "walkways:write"])
+        },
+
+        "/api/route": {
+            get: {
+                tags: ["lookup"],
+                summary: "Walking route between two places",
+                description: "Buildings and rooms are routed from or to their entrance nearest the other end.",
+                parameters: [
+                    query("from", { type: "string" }, "Feature `_id` or `lon,lat`.", true),
+                    query("to", { type: "string" }, "Feature `_id` or `lon,lat`.", true)
+                ],
+                responses: {
+                    200: json("The route.", ref("Route")),
+                    400: error("BadRequest"),
+                    404: error("NotFound"),
+                    422: error("Unroutable")
+                }
+            }
+        },
+        "/api/nearest": {
+            get: {
+                tags: ["lookup"],
+                summary: "Features closest to a point",
+                parameters: [
+                    query("lon", { type: "number", minimum: -180, maximum: 180 }, "Longitude.", true),
+                    query("lat", { type: "number", minimum: -90, maximum: 90 }, "Latitude.", true),
+                    typesParam("Only these feature types; comma-separated or repeated."),
+                    query("k", { type: "integer", minimum: 1, maximum: 50 }, "How many; default 5."),
+                    query("maxMeters", { type: "number", minimum: 0 }, "Search radius.")
+                ],
+                responses: {
+                    200: json("Nearest first; each feature carries `distanceMeters` (0 inside a polygon).", ref("FeatureCollection")),
+                    400: error("BadRequest")
+                }
+            }
+        },
+        "/api/search": {
+            get: {
+                tags: ["lookup"],
+                summary: "Search features by name, number, prefix, alias or building",
+                parameters: [
+                    query("q", { type: "string", minLength: 1, maxLength: 100 }, "Search text.", true),
+                    query("types", { type: "array", items: { type: "string" } }, "Only these feature types; comma-separated or repeated."),
+                    query("limit", { type: "integer", minimum: 1, maximum: 50 }, "Default 10.")
+                ],
+                responses: {
+                    200: json("Best match first.", {
+                        type: "object",
+                        properties: { query: { type: "string" }, results: { type: "array", items: ref("SearchResult") } }
+                    }),
+                    400: error("BadRequest")
+                }
+            }
+        },
+        "/api/events": {
+            get: {
+                tags: ["live"],
+                summary: "Server-sent events for every committed change",
+                description: "Each `change` event's data is `{ collection, action, id?, version? }`; `action: \"reload\"` means the client missed too much and should refetch.",
+                parameters: [{ name: "Last-Event-ID", in: "header", description: "Resume after this event.", schema: { type: "integer" } }],
+                responses: {
+                    200: { description: "Event stream.", content: { "text/event-stream": { schema: { type: "string" } } } },
+                    503: error("Unavailable")
+                }
+            }
+        },
+        "/tiles/campus/{z}/{x}/{y}.mvt": {
+            get: {
+                tags: ["lookup"],
+                summary: "Vector tile of the campus",
+                description: "Layers buildings, parking, entrances and walkways.",
+                parameters: ["z", "x", "y"].map(name => ({ name, in: "path", required: true, schema: { type: "integer", minimum: 0 } })),
+                responses: {
+                    200: { description: "Mapbox Vector Tile.", content: { "application/vnd.mapbox-vector-tile": { schema: { type: "string", format: "binary" } } } },
+                    304: { description: "Not modified." },
+                    400: error("BadRequest")
+                }
+            }
+        }
+    },
+    components: {
+        schemas: SCHEMAS,
+        responses: {
+            BadRequest: json("Malformed parameters or body (`bad_request`, `invalid_json`, `batch_rejected`, `import_rejected`, ...).", ref("Error")),
+            ValidationFailed: json("The body failed validation (`validation_failed`); `details.problems` lists each Problem.", ref("Error")),
+            Unauthorized: json("Not signed in, or the API token is unknown or revoked.", ref("Error")),
+            Forbidden: json("Role, token scope or CSRF token insufficient.", ref("Error")),
+            NotFound: json("No such row.", ref("Error")),
+            Conflict: json("Based on an outdated version (`conflict`); `details.current` is the stored copy and the ETag its version.", ref("Error")),
+            PreconditionRequired: json("Updating an existing row without saying which version it was based on.", ref("Error")),
+            PayloadTooLarge: json("Body over the size limit.", ref("Error")),
+            Unroutable: json("No route: `endpoint_without_geometry`, `no_walkways`, `endpoint_too_far` or `no_path`.", ref("Error")),
+            Unavailable: json("Database unreachable or too many connections; see Retry-After.", ref("Error"))
+        },
+        securitySchemes: {
+            session: { type: "apiKey", in: "cookie", name: "connect.sid", description: "Browser session from POST /login." },
+            bearerToken: { type: "http", scheme: "bearer", description: "API token from /admin/tokens." }
+        }
+    }
+};
+
+function stripUndefined(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+const document = stripUndefined(DOCUMENT);
+
+// Express route path ("/api/features/:id") to OpenAPI path ("/api/features/{id}").
+function toOpenApiPath(routePath) {
+    return routePath.replace(/:(\w+)/g, "{$1}");
+}
+
+function operationFor(routePath, method) {
+    const item = document.paths[toOpenApiPath(routePath)];
+    return item && item[method === "head" ? "get" : method];
+}
+
+// Query values arrive as strings (or arrays of them when repeated); turn them into what the schema describes.
+function coerceParam(schema, raw) {
+    if (schema.type === "array") return listParam(raw);
+    const value = single(raw);
+    if (typeof value !== "string") return value;
+    if (schema.type === "integer" || schema.type === "number") return value.trim() === "" ? NaN : Number(value);
+    return value;
+}
+
+/**
+ * Checks a request's parameters and JSON body against its operation in the OpenAPI document.
+ * Mount it on each route, after authentication (and after the body parser for routes that have their own).
+ * Bad parameters are a 400 `bad_request`, a bad body a 400 `validation_failed`, both with `details.problems`.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+function validateRequest(req, res, next) {
+    const operation = operationFor(req.route.path, req.method.toLowerCase());
+    if (!operation) return next(new Error(`No OpenAPI operation for ${req.method} ${req.route.path}`));
+
+    const problems = [];
+    (operation.parameters || []).forEach((param) => {
+        if (param.in !== "query" && param.in !== "path") return;
+        const raw = param.in === "query" ? req.query[param.name] : req.params[param.name];
+        if (raw === undefined || raw === "") {
+            if (param.required) problems.push({ path: param.name, code: "required", message: `${param.name} is required` });
+            return;
+        }
+        problems.push(...validateSchema(param.schema, coerceParam(param.schema, raw), param.name));
+    });
+    if (problems.length) {
+        return next(new BadRequestError(problems.map(p => p.message).join("; "), { problems }));
+    }
+
+    const body = operation.requestBody && operation.requestBody.content["application/json"];
+    if (body) {
+        const bodyProblems = validateSchema(body.schema, req.body);
+        if (bodyProblems.length) return next(new ValidationError(bodyProblems, "Invalid request body"));
+    }
+    next();
+}
+
+/**
+ * Throws when the app has a route the OpenAPI document does not describe, so the two cannot drift apart.
+ * @param {import('express').Application} app
+ */
+function assertRoutesDocumented(app) {
+    const missing = [];
+    for (const layer of app._router.stack) {
+        if (!layer.route) continue;
+        Object.keys(layer.route.methods).forEach((method) => {
+            if (!operationFor(layer.route.path, method)) missing.push(`${method.toUpperCase()} ${layer.route.path}`);
+        });
+    }
+    if (missing.length) throw new Error(`Routes missing from the OpenAPI document (openapi.js): ${missing.join(", ")}`);
+}
+
+/**
+ * Serves the OpenAPI document.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+function handleOpenApi(req, res) {
+    res.json(document);
+}
+
+module.exports = {
+    validateRequest,
+    assertRoutesDocumented,
+    handleOpenApi
+};
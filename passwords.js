@@ -0,0 +1,41 @@
+const { randomBytes, scrypt, timingSafeEqual } = require("crypto");
+const { promisify } = require("util");
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+// Verified against when the username is unknown, so both paths do the same work.
+const DUMMY_HASH = "scrypt$16384$8$1$AAAAAAAAAAAAAAAAAAAAAA==$" + Buffer.alloc(KEY_LENGTH).toString("base64");
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ * @param {string} password
+ * @returns {Promise<string>} `scrypt$N$r$p$salt$hash`, salt and hash base64-encoded.
+ */
+async function hashPassword(password) {
+    const salt = randomBytes(16);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const key = await scryptAsync(String(password), salt, KEY_LENGTH, { N, r, p });
+    return ["scrypt", N, r, p, salt.toString("base64"), key.toString("base64")].join("$");
+}
+
+/**
+ * Checks a password against a stored hash in constant time.
+ * @param {string} password
+ * @param {string|null} stored Output of hashPassword; null compares against a dummy and fails.
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+    const parts = String(stored || DUMMY_HASH).split("$");
+    if (parts.length !== 6 || parts[0] !== "scrypt") return false;
+    const [, N, r, p, saltB64, keyB64] = parts;
+    const expected = Buffer.from(keyB64, "base64");
+    const key = await scryptAsync(String(password), Buffer.from(saltB64, "base64"), expected.length, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p)
+    });
+    return timingSafeEqual(key, expected) && stored != null;
+}
+
+module.exports = { hashPassword, verifyPassword };
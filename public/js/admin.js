@@ -16,6 +16,7 @@
     async function bootAdmin() {
         const map = CR.initMap("map");
         if (CR.initUtilityDrawer) CR.initUtilityDrawer(map);
+        initTrashPanel(document.getElementById("trash-panel"));
 
         const fc = await CR.fetchFeatures();
         const allFeatures = fc.features || [];
@@ -46,25 +47,6 @@
                 }
                 return;
             }
-            if (action === "download-data") {
-                try {
-                    const combined = {
-                        features: allFeatures,
-                        walkways: walkwayFeatures
-                    };
-                    const blob = new Blob([JSON.stringify(combined, null, 2)], { type: "application/json" });
-                    const url = URL.createObjectURL(blob);
-                    const a = document.createElement("a");
-                    a.href = url;
-                    a.download = "campus-data.json";
-                    a.click();
-                    URL.revokeObjectURL(url);
-                } catch (e) {
-                    // eslint-disable-next-line no-console
-                    console.warn("Download failed", e);
-                }
-                return;
-            }
             if (action === "help") {
                 alert("Tips:\n- Use draw controls (top-left) to add/edit features.\n- Shortcuts: B building, E entrance, S stairwell, R room, W walkway, P parking.\n- Use the gear for settings.");
             }
@@ -137,6 +119,74 @@
             if ((e.key === "Delete" || e.key === "Backspace") && (editMode || multiSelection.size)) deleteSelectedWalkways(walkwayLayer, multiSelection);
         });
 
+        // Keep this editor in step with what other editors save
+        CR.subscribeToChanges(async function (change) {
+            if (change.action === "reload") {
+                CR.showToast("The " + change.collection + " were replaced on the server; reload the page to see them.");
+                return;
+            }
+            if (change.collection === "walkways") await applyRemoteWalkwayChange(change);
+            else await CR.applyChangeToCollection(change, { features: allFeatures }, featureLayer);
+        });
+
+        /**
+         * Applies a walkway created, updated or deleted elsewhere to the layer, the local array and the selection.
+         * @param {{action: string, id: string, version?: number}} change
+         * @returns {Promise<void>}
+         */
+        async function applyRemoteWalkwayChange(change) {
+            const local = walkwayFeatures.find(function (f) { return f.properties && f.properties._id === change.id; });
+            if (change.action === "deleted" ? !local : local && local.properties._version >= change.version) return;
+            const fresh = change.action === "deleted" ? null : await CR.fetchWalkway(change.id);
+            const found = findWalkwayLayers(walkwayLayer, change.id);
+            const selected = found.some(function (f) { return f.layer === selectedWalkwayLayer; });
+            if (selected) {
+                clearSegmentHandles(segmentHandles);
+                segmentHandles = [];
+            }
+            if (!fresh) {
+                found.forEach(function (f) { f.parent.removeLayer(f.layer); });
+                removeFromStore(walkwayFeatures, change.id);
+                multiSelection.delete(change.id);
+                if (selected) {
+                    selectedWalkwayLayer = null;
+                    updateWalkwayPanel(map, { feature: { properties: {} } }, walkwayLayer, function () {});
+                    CR.showToast("Another editor deleted the selected walkway.");
+                }
+                return;
+            }
+            replaceInStore(walkwayFeatures, fresh);
+            if (!found.length) {
+                addAndAttachWalkway(fresh);
+                return;
+            }
+            found.forEach(function (f) {
+                f.layer.feature = fresh;
+                f.layer.setLatLngs(fresh.geometry.coordinates.map(function (c) { return [c[1], c[0]]; }));
+            });
+            if (selected) {
+                const layer = selectedWalkwayLayer;
+                updateWalkwayPanel(map, layer, walkwayLayer, function () {});
+                segmentHandles = showSegmentHandles(map, layer, CURVE_SAMPLES, CURVE_ALPHA, function (newGeom, newControl, props) { return persistBend(layer, newGeom, newControl, props); });
+                CR.showToast("Another editor changed the selected walkway.");
+            }
+        }
+
+        /**
+         * Finds the layers drawing walkway `id`, with the group each sits in (walkways added later are nested groups).
+         * @param {L.LayerGroup} group
+         * @param {string} id
+         * @returns {Array<{layer: L.Polyline, parent: L.LayerGroup}>}
+         */
+        function findWalkwayLayers(group, id) {
+            const out = [];
+            group.eachLayer(function (l) {
+                if (getWalkwayId(l) === id) out.push({ layer: l, parent: group });
+                else if (!l.feature && typeof l.eachLayer === "function") out.push.apply(out, findWalkwayLayers(l, id));
+            });
+            return out;
+        }
+
         /**
          * Starts an appropriate drawing tool by type.
          * @param {"building"|"room"|"entrance"|"stairwell"|"parking"|"walkway"} type
@@ -320,17 +370,18 @@
                         };
                     });
 
-                    for (const f of segs) {
-                        const saved = await CR.saveWalkway(f);
-                        walkwayFeatures.push(saved);
-
-                        addAndAttachWalkway(saved);
-                    }
+                    const results = await CR.saveBatch(segs.map(function (f) {
+                        return { action: "upsert", collection: "walkways", feature: f };
+                    }));
+                    results.forEach(function (r) {
+                        walkwayFeatures.push(r.feature);
+                        addAndAttachWalkway(r.feature);
+                    });
                 }
             }
 
             if (type === "entrance") {
-                const auto = autoNameEntrance(gj, allFeatures);
+                const auto = await autoNameEntrance(gj, allFeatures);
                 const name = prompt("Entrance name (auto-suggested)", auto.suggestedName) || auto.suggestedName;
                 const props = { type: "entrance", name: name, buildingId: auto.buildingId || undefined, direction: auto.direction || undefined };
                 const saved = await CR.saveFeature({ type: "Feature", geometry: gj.geometry, properties: props });
@@ -409,14 +460,24 @@
                         properties: { type: "walkway", name: baseName, curved: false, control: pair.slice(), segmented: true, segmentIndex: i }
                     };
                 });
-                for (const seg of segs) {
-                    const saved = await CR.saveWalkway(seg);
-                    store.push(saved);
-                    addAndAttachWalkway(saved);
+                // Segments and removal of the original land together or not at all.
+                const ops = segs.map(function (seg) { return { action: "upsert", collection: "walkways", feature: seg }; });
+                if (id) ops.push({ action: "delete", collection: "walkways", id: id, expectedVersion: f.properties._version });
+                let results;
+                try {
+                    results = await CR.saveBatch(ops);
+                } catch (_) {
+                    continue; // leave this one as it was; the toast explains why
                 }
+                results.forEach(function (r) {
+                    if (!r.feature) return;
+                    store.push(r.feature);
+                    addAndAttachWalkway(r.feature);
+                });
                 if (id) {
-                    await CR.deleteWalkway(id);
                     wl.removeLayer(layer);
+                    const idx = store.findIndex(function (s) { return s.properties && s.properties._id === id; });
+                    if (idx >= 0) store.splice(idx, 1);
                 }
             }
         }
@@ -460,9 +521,15 @@
                 geometry: { type: "LineString", coordinates: newGeom },
                 properties: Object.assign({}, baseProps, props || {}, { curved: true, control: newControl, segmented: true, _id: baseProps._id })
             };
-            const saved = await CR.saveWalkway(updated);
+            const saved = await saveWalkwayResolvingConflict(updated);
+            if (!saved) {
+                walkwayLayer.removeLayer(layer);
+                removeFromStore(walkwayFeatures, baseProps._id);
+                return;
+            }
             layer.feature = saved;
-            layer.setLatLngs(newGeom.map(function (c) { return [c[1], c[0]]; }));
+            layer.setLatLngs(saved.geometry.coordinates.map(function (c) { return [c[1], c[0]]; }));
+            replaceInStore(walkwayFeatures, saved);
             updateWalkwayPanel(map, layer, walkwayLayer, function () {});
         }
 
@@ -760,14 +827,18 @@
                 if (inside) toRemove.push({ layer: l, id: id });
             });
 
+            if (!toRemove.length) return;
+            await CR.saveBatch(toRemove.map(function (item) {
+                return { action: "delete", collection: "walkways", id: item.id };
+            }));
             for (const item of toRemove) {
-                await CR.deleteWalkway(item.id);
                 wl.removeLayer(item.layer);
                 const idx = store.findIndex(function (f) { return f.properties && f.properties._id === item.id; });
                 if (idx >= 0) store.splice(idx, 1);
                 multiSelection.delete(item.id);
             }
             refreshSelectionStyles(wl, multiSelection);
+            CR.showToast("Erased " + toRemove.length + " walkway segment" + (toRemove.length === 1 ? "" : "s") + ". Restore them from the Trash in the menu.");
         }
 
         /**
@@ -803,8 +874,10 @@
          */
         async function deleteSelectedWalkways(wl, selection) {
             const ids = Array.from(selection);
-            for (const id of ids) {
-                await CR.deleteWalkway(id);
+            if (ids.length) {
+                await CR.saveBatch(ids.map(function (id) {
+                    return { action: "delete", collection: "walkways", id: id };
+                }));
             }
             const toRemove = [];
             wl.eachLayer(function (l) {
@@ -1230,6 +1303,21 @@
 
             const origId = orig.properties && orig.properties._id;
 
+            // Persist both halves and drop the original in one transaction
+            const ops = [
+                { action: "upsert", collection: "walkways", feature: f1 },
+                { action: "upsert", collection: "walkways", feature: f2 }
+            ];
+            if (origId) ops.push({ action: "delete", collection: "walkways", id: origId, expectedVersion: orig.properties._version });
+            let results;
+            try {
+                results = await CR.saveBatch(ops);
+            } catch (_) {
+                return; // leave the walkway as it was; the toast explains why
+            }
+            const saved1 = results[0].feature;
+            const saved2 = results[1].feature;
+
             // Remove the original feature from memory
             const idx = walkwayFeatures.findIndex(f => f.properties && f.properties._id === origId);
             if (idx >= 0) walkwayFeatures.splice(idx, 1);
@@ -1243,10 +1331,6 @@
             });
             if (layerToRemove) walkwayLayer.removeLayer(layerToRemove);
 
-            // Persist new segments
-            const saved1 = await CR.saveWalkway(f1);
-            const saved2 = await CR.saveWalkway(f2);
-
             walkwayFeatures.push(saved1, saved2);
 
             // Add them back to the map
@@ -1348,17 +1432,68 @@
             geometry: { type: "LineString", coordinates: snappedCoords },
             properties: Object.assign({}, props)
         };
-        const saved = await CR.saveWalkway(updated);
+        const saved = await saveWalkwayResolvingConflict(updated);
+        if (!saved) {
+            if (layer.remove) layer.remove();
+            removeFromStore(walkwayFeatures, props._id);
+            return;
+        }
         layer.feature = saved;
-        layer.setLatLngs(snappedCoords.map(function (c) { return [c[1], c[0]]; }));
-        const idx = walkwayFeatures.findIndex(function (f) { return f.properties && props._id && f.properties._id === props._id; });
-        if (idx >= 0) {
-            walkwayFeatures[idx] = saved;
-        } else {
-            walkwayFeatures.push(saved);
+        layer.setLatLngs(saved.geometry.coordinates.map(function (c) { return [c[1], c[0]]; }));
+        replaceInStore(walkwayFeatures, saved);
+    }
+
+    /**
+     * Saves a walkway edit; if another editor changed it first, asks whether to overwrite their version.
+     * @param {GeoJSON.Feature} feature Edited walkway carrying the _version it was based on.
+     * @returns {Promise<GeoJSON.Feature|null>} The copy now on the server, or null if it was deleted meanwhile.
+     */
+    async function saveWalkwayResolvingConflict(feature) {
+        try {
+            return await CR.saveWalkway(feature);
+        } catch (err) {
+            if (err.status !== 409 || !err.body || !err.body.details) throw err;
+            const current = err.body.details.current;
+            if (!current) {
+                CR.showToast("This walkway was deleted by another editor.");
+                return null;
+            }
+            const overwrite = confirm("Another editor changed this walkway while you were working on it.\n\nOK: keep your edit and overwrite theirs.\nCancel: discard your edit and load theirs.");
+            if (!overwrite) {
+                CR.showToast("Loaded the latest version of this walkway.");
+                return current;
+            }
+            const retry = Object.assign({}, feature, {
+                properties: Object.assign({}, feature.properties, { _version: current.properties._version })
+            });
+            return CR.saveWalkway(retry);
         }
     }
 
+    /**
+     * Replaces (or appends) a feature in an in-memory array by _id.
+     * @param {GeoJSON.Feature[]} store
+     * @param {GeoJSON.Feature} feature
+     * @returns {void}
+     */
+    function replaceInStore(store, feature) {
+        const id = feature.properties && feature.properties._id;
+        const idx = store.findIndex(function (f) { return f.properties && id && f.properties._id === id; });
+        if (idx >= 0) store[idx] = feature;
+        else store.push(feature);
+    }
+
+    /**
+     * Removes a feature from an in-memory array by _id.
+     * @param {GeoJSON.Feature[]} store
+     * @param {string} id
+     * @returns {void}
+     */
+    function removeFromStore(store, id) {
+        const idx = store.findIndex(function (f) { return f.properties && f.properties._id === id; });
+        if (idx >= 0) store.splice(idx, 1);
+    }
+
     /**
      * Sanitizes a FeatureCollection of walkways to remove degenerate or out-of-bounds coordinates.
      * @param {GeoJSON.FeatureCollection} fc
@@ -1399,16 +1534,15 @@
     }
 
     /**
-     * Generates an automatic entrance name and association.
+     * Generates an automatic entrance name and association with the building containing or nearest to the point.
      * @param {GeoJSON.Feature} entrancePoint
      * @param {GeoJSON.Feature[]} allFeatures
-     * @returns {{ suggestedName: string, buildingId?: string, direction?: string }}
+     * @returns {Promise<{ suggestedName: string, buildingId?: string, direction?: string }>}
      */
-    function autoNameEntrance(entrancePoint, allFeatures) {
-        var buildings = allFeatures.filter(function (f) { return f.properties && f.properties.type === "building" && f.geometry && f.geometry.type === "Polygon"; });
-
-        var best = findBuildingForPoint(entrancePoint, buildings);
-        var building = best && best.building;
+    async function autoNameEntrance(entrancePoint, allFeatures) {
+        var coords = entrancePoint.geometry.coordinates;
+        var nearest = await CR.fetchNearest(coords[0], coords[1], { type: "building", k: 1 }).catch(function () { return []; });
+        var building = nearest[0] || null;
         var buildingId = building && building.properties && building.properties._id;
         var prefix = building && building.properties && building.properties.prefix
             ? String(building.properties.prefix).toUpperCase()
@@ -1421,36 +1555,6 @@
         return { suggestedName: suggested, buildingId: buildingId, direction: dir };
     }
 
-    /**
-     * Finds building containing or nearest to point.
-     * @param {GeoJSON.Feature} pt
-     * @param {GeoJSON.Feature[]} buildings
-     * @returns {{ building: GeoJSON.Feature, distance: number }|null}
-     */
-    function findBuildingForPoint(pt, buildings) {
-        var inside = null;
-        for (var i = 0; i < buildings.length; i++) {
-            try { if (turf.booleanPointInPolygon(pt, buildings[i])) { inside = { building: buildings[i], distance: 0 }; break; } }
-            catch (_) {}
-        }
-        if (inside) return inside;
-
-        var best = null;
-        for (var j = 0; j < buildings.length; j++) {
-            try {
-                var dist = turf.pointToLineDistance(pt, turf.polygonToLine(buildings[j]), { units: "meters" });
-                if (!best || dist < best.distance) best = { building: buildings[j], distance: dist };
-            } catch (_) {
-                try {
-                    var c = turf.centerOfMass(buildings[j]);
-                    var d2 = turf.distance(pt, c, { units: "meters" });
-                    if (!best || d2 < best.distance) best = { building: buildings[j], distance: d2 };
-                } catch(__) {}
-            }
-        }
-        return best;
-    }
-
     /**
      * Computes 8-way direction from building centroid to a point.
      * @param {GeoJSON.Feature} buildingPolygon
@@ -1525,6 +1629,152 @@
         return m ? m[1].toUpperCase() : undefined;
     }
 
+    /**
+     * Wires the Trash panel in the drawer: it lists what was deleted, grouped by the delete that removed it
+     * (a polygon erase removes many segments at once), and restores single items or whole groups.
+     * The list is reloaded whenever the drawer opens; restored items come back on the map through the live updates.
+     * @param {HTMLElement|null} panel
+     * @returns {void}
+     */
+    function initTrashPanel(panel) {
+        if (!panel) return;
+        const list = document.getElementById("trash-list");
+        const note = document.getElementById("trash-note");
+        const canRestore = panel.getAttribute("data-can-restore") === "true";
+        let loading = false;
+
+        async function load() {
+            if (loading) return;
+            loading = true;
+            try {
+                const trash = await CR.fetchTrash();
+                render(trash.items || [], trash.retentionDays);
+            } catch (err) {
+                note.textContent = "Could not load the trash.";
+            } finally {
+                loading = false;
+            }
+        }
+
+        function render(items, retentionDays) {
+            list.innerHTML = "";
+            if (!items.length) {
+                note.textContent = "The trash is empty.";
+                return;
+            }
+            note.textContent = retentionDays > 0
+                ? "Deleted items are removed for good after " + retentionDays + " days."
+                : "Deleted items stay here until they are restored.";
+            groupTrashItems(items).forEach(function (group) {
+                list.appendChild(renderGroup(group));
+            });
+        }
+
+        function renderGroup(group) {
+            const li = document.createElement("li");
+            li.className = "trash-group";
+            const head = document.createElement("div");
+            head.className = "trash-group-head";
+            const text = document.createElement("div");
+            const title = document.createElement("p");
+            title.className = "trash-group-title";
+            title.textContent = describeTrashGroup(group.items);
+            const meta = document.createElement("p");
+            meta.className = "trash-group-meta";
+            meta.textContent = new Date(group.deletedAt).toLocaleString() + (group.deletedBy ? " by " + group.deletedBy : "");
+            text.appendChild(title);
+            text.appendChild(meta);
+            head.appendChild(text);
+            if (canRestore && group.items.length > 1) {
+                head.appendChild(restoreButton("Restore all", group.items));
+            }
+            li.appendChild(head);
+
+            const ul = document.createElement("ul");
+            ul.className = "trash-items";
+            group.items.forEach(function (item) {
+                const row = document.createElement("li");
+                row.className = "trash-item";
+                const label = document.createElement("span");
+                label.textContent = trashItemLabel(item);
+                row.appendChild(label);
+                if (canRestore) row.appendChild(restoreButton("Restore", [item]));
+                ul.appendChild(row);
+            });
+            li.appendChild(ul);
+            return li;
+        }
+
+        function restoreButton(text, items) {
+            const btn = document.createElement("button");
+            btn.type = "button";
+            btn.className = "ghost";
+            btn.textContent = text;
+            btn.addEventListener("click", async function () {
+                btn.disabled = true;
+                let restored = 0;
+                for (const item of items) {
+                    try {
+                        await CR.restoreFromTrash(item.collection, item.id);
+                        restored += 1;
+                    } catch (err) {
+                        break; // readSaveResponse has shown why
+                    }
+                }
+                if (restored) CR.showToast("Restored " + restored + (restored === 1 ? " item." : " items."));
+                await load();
+            });
+            return btn;
+        }
+
+        const toggle = document.getElementById("utility-toggle");
+        if (toggle) toggle.addEventListener("click", function () { if (toggle.getAttribute("aria-expanded") === "true") load(); });
+        const refresh = document.getElementById("trash-refresh");
+        if (refresh) refresh.addEventListener("click", load);
+    }
+
+    /**
+     * Groups trash items deleted by the same request: they share the deletion time and the user.
+     * @param {Array<{deletedAt: string, deletedBy: string|null}>} items Most recently deleted first.
+     * @returns {Array<{deletedAt: string, deletedBy: string|null, items: Array<Object>}>}
+     */
+    function groupTrashItems(items) {
+        const groups = [];
+        items.forEach(function (item) {
+            const last = groups[groups.length - 1];
+            if (last && last.deletedAt === item.deletedAt && last.deletedBy === item.deletedBy) last.items.push(item);
+            else groups.push({ deletedAt: item.deletedAt, deletedBy: item.deletedBy, items: [item] });
+        });
+        return groups;
+    }
+
+    /**
+     * Summary like "12 walkway segments, 1 entrance".
+     * @param {Array<{collection: string, feature: GeoJSON.Feature}>} items
+     * @returns {string}
+     */
+    function describeTrashGroup(items) {
+        const counts = new Map();
+        items.forEach(function (item) {
+            const type = (item.feature.properties || {}).type;
+            const kind = item.collection === "walkways" ? "walkway segment" : type === "parking" ? "parking lot" : (type || "feature");
+            counts.set(kind, (counts.get(kind) || 0) + 1);
+        });
+        return Array.from(counts, function (entry) { return entry[1] + " " + entry[0] + (entry[1] === 1 ? "" : "s"); }).join(", ");
+    }
+
+    /**
+     * Name shown for one trash item.
+     * @param {{collection: string, id: string, feature: GeoJSON.Feature}} item
+     * @returns {string}
+     */
+    function trashItemLabel(item) {
+        const p = item.feature.properties || {};
+        const name = p.name || p.number;
+        if (item.collection === "walkways") return name || "Walkway segment";
+        return (name || "Unnamed") + " (" + (p.type || "feature") + ")";
+    }
+
     /**
      * Extracts direction from names like "HU-N3".
      * @param {string} name
@@ -64,15 +64,85 @@
         return map;
     }
 
+    /**
+     * Builds a query string from optional collection filters.
+     * @param {{bbox?: L.LatLngBounds|number[], type?: string|string[], buildingId?: string, limit?: number, offset?: number}} [params]
+     * @returns {string} Query string including the leading "?", or an empty string.
+     */
+    function collectionQuery(params) {
+        if (!params) return "";
+        const qs = new URLSearchParams();
+        if (params.bbox) {
+            const b = params.bbox;
+            const parts = typeof b.getWest === "function"
+                ? [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()]
+                : b;
+            qs.set("bbox", parts.join(","));
+        }
+        if (params.type) qs.set("type", [].concat(params.type).join(","));
+        if (params.buildingId) qs.set("buildingId", params.buildingId);
+        if (params.limit != null) qs.set("limit", String(params.limit));
+        if (params.offset != null) qs.set("offset", String(params.offset));
+        const str = qs.toString();
+        return str ? "?" + str : "";
+    }
+
     /**
      * Loads GeoJSON features from the server.
+     * @param {Object} [params] Optional filters (see collectionQuery).
      * @returns {Promise<GeoJSON.FeatureCollection>} Feature collection.
      */
-    async function fetchFeatures() {
-        const res = await fetch("/api/features");
+    async function fetchFeatures(params) {
+        const res = await fetch("/api/features" + collectionQuery(params));
         return res.json();
     }
 
+    /**
+     * Loads a single feature by id.
+     * @param {string} id Feature identifier.
+     * @returns {Promise<GeoJSON.Feature|null>} Feature, or null when it does not exist.
+     */
+    async function fetchFeature(id) {
+        const res = await fetch("/api/features/" + encodeURIComponent(id));
+        if (res.status === 404) return null;
+        return res.json();
+    }
+
+    /**
+     * Loads the features closest to a point, nearest first; each carries distanceMeters.
+     * @param {number} lon Longitude.
+     * @param {number} lat Latitude.
+     * @param {{type?: string|string[], k?: number, maxMeters?: number}} [options] Filters.
+     * @returns {Promise<Array<GeoJSON.Feature>>} Features, or an empty list when the lookup fails.
+     */
+    async function fetchNearest(lon, lat, options) {
+        const o = options || {};
+        const qs = new URLSearchParams({ lon: String(lon), lat: String(lat) });
+        if (o.type) qs.set("type", [].concat(o.type).join(","));
+        if (o.k != null) qs.set("k", String(o.k));
+        if (o.maxMeters != null) qs.set("maxMeters", String(o.maxMeters));
+        const res = await fetch("/api/nearest?" + qs.toString());
+        if (!res.ok) return [];
+        return (await res.json()).features || [];
+    }
+
+    /**
+     * Searches features by name, number, prefix, alias or building, best match first.
+     * Typos are tolerated and buildings rank above their entrances.
+     * @param {string} query Search text.
+     * @param {{types?: string|string[], limit?: number}} [options] Filters.
+     * @returns {Promise<Array<{feature: GeoJSON.Feature, score: number, highlights: Array<Object>}>>} Results, or an empty list when the search fails.
+     */
+    async function searchFeatures(query, options) {
+        const o = options || {};
+        const qs = new URLSearchParams({ q: query });
+        if (o.types) qs.set("types", [].concat(o.types).join(","));
+        if (o.limit != null) qs.set("limit", String(o.limit));
+        const res = await fetch("/api/search?" + qs.toString());
+        if (!res.ok) return [];
+        return (await res.json()).results || [];
+    }
+
     /**
      * Creates a Leaflet layer for features with symbology and interactivity.
      * @param {GeoJSON.FeatureCollection} fc Feature collection.
@@ -121,11 +191,19 @@
      * @returns {void} Nothing.
      */
     function bindPopupForFeature(feature, layer) {
-        var p = feature.properties || {};
+        layer.bindPopup(popupHtmlForProperties(feature.properties || {}));
+    }
+
+    /**
+     * Builds the popup markup for a feature's properties.
+     * @param {Object} p Feature properties.
+     * @returns {string} HTML.
+     */
+    function popupHtmlForProperties(p) {
         var title = [p.name, p.number].filter(Boolean).join(" - ");
         var meta = ["Type: " + (p.type || "unknown"), p.buildingId ? "Building: " + p.buildingId : ""].filter(Boolean).join("<br>");
         var id = p._id ? '<small class="badge">#' + p._id + "</small>" : "";
-        layer.bindPopup("<strong>" + (title || "Feature") + "</strong> " + id + "<br>" + meta);
+        return "<strong>" + (title || "Feature") + "</strong> " + id + "<br>" + meta;
     }
 
     /**
@@ -136,10 +214,53 @@
     async function saveFeature(feature) {
         const res = await fetch("/api/features", {
             method: "POST",
-            headers: { "content-type": "application/json" },
+            headers: withCsrf({ "content-type": "application/json" }),
             body: JSON.stringify(feature)
         });
-        return res.json();
+        return readSaveResponse(res);
+    }
+
+    /**
+     * Parses a save response, surfacing validation problems as a toast and a rejected promise.
+     * @param {Response} res Fetch response.
+     * @returns {Promise<GeoJSON.Feature>} Saved feature.
+     */
+    async function readSaveResponse(res) {
+        const body = await res.json().catch(function () { return {}; });
+        if (res.ok) return body;
+        const details = body.details || {};
+        const problems = details.problems || [];
+        const itemErrors = details.errors || []; // batch responses report failures per operation
+        const detail = problems.map(function (p) { return (p.path ? p.path + ": " : "") + p.message; })
+            .concat(itemErrors.map(function (e) { return "operation " + (e.index + 1) + ": " + e.message; }))
+            .join("; ");
+        const message = (body.message || "Save failed") + (detail ? " - " + detail : "");
+        // Conflicts carry the server copy; callers decide how to present them.
+        if (res.status !== 409) showToast(message);
+        const err = new Error(message);
+        err.status = res.status;
+        err.body = body;
+        throw err;
+    }
+
+    /**
+     * Shows a short-lived message in the page's toast area.
+     * @param {string} message Text to show.
+     * @param {number} [ms] How long to keep it visible.
+     * @returns {void} Nothing.
+     */
+    function showToast(message, ms) {
+        const host = document.getElementById("toasts");
+        if (!host) {
+            // eslint-disable-next-line no-console
+            console.warn(message);
+            return;
+        }
+        const el = document.createElement("div");
+        el.className = "toast";
+        el.textContent = message;
+        host.appendChild(el);
+        setTimeout(function () { el.remove(); }, ms || 6000);
     }
 
     /**
@@ -148,7 +269,7 @@
      * @returns {Promise<boolean>} True when deletion succeeds.
      */
     async function deleteFeature(id) {
-        const res = await fetch("/api/features/" + id, { method: "DELETE" });
+        const res = await fetch("/api/features/" + id, { method: "DELETE", headers: withCsrf({}) });
         return res.ok;
     }
 
@@ -208,10 +329,22 @@
 
     /**
      * Loads walkway features from the server.
+     * @param {Object} [params] Optional filters (see collectionQuery).
      * @returns {Promise<GeoJSON.FeatureCollection>} Feature collection.
      */
-    async function fetchWalkways() {
-        const res = await fetch("/api/walkways");
+    async function fetchWalkways(params) {
+        const res = await fetch("/api/walkways" + collectionQuery(params));
+        return res.json();
+    }
+
+    /**
+     * Loads a single walkway by id.
+     * @param {string} id Walkway identifier.
+     * @returns {Promise<GeoJSON.Feature|null>} Walkway, or null when it does not exist.
+     */
+    async function fetchWalkway(id) {
+        const res = await fetch("/api/walkways/" + encodeURIComponent(id));
+        if (res.status === 404) return null;
         return res.json();
     }
 
@@ -227,18 +360,150 @@
     }
 
     /**
-     * Lightweight search over features by name/number/building prefix.
-     * @param {Array<Object>} items
-     * @param {string} query
-     * @param {number} limit
+     * Creates a layer drawing buildings, parking, entrances and walkways from the server's vector tiles
+     * (/tiles/campus/{z}/{x}/{y}.mvt) instead of whole FeatureCollections. Needs Leaflet.VectorGrid.
+     * @returns {L.Layer|null} Tile layer, or null when the plugin is not loaded.
+     */
+    function createCampusTileLayer() {
+        if (!L.vectorGrid) {
+            // eslint-disable-next-line no-console
+            console.warn("Leaflet.VectorGrid is not loaded; vector tiles are unavailable");
+            return null;
+        }
+        const polygonStyle = function (p) {
+            return Object.assign({ fill: true }, styleForFeature({ properties: p }));
+        };
+        const layer = L.vectorGrid.protobuf("/tiles/campus/{z}/{x}/{y}.mvt", {
+            interactive: true,
+            maxNativeZoom: 22,
+            getFeatureId: function (f) { return f.properties._id; },
+            vectorTileLayerStyles: {
+                buildings: polygonStyle,
+                parking: polygonStyle,
+                walkways: { color: "rgb(16,124,111)", weight: 3, opacity: 0.85 },
+                entrances: { radius: 5, color: "#ffffff", weight: 1.5, fill: true, fillColor: "#b5473a", fillOpacity: 1 }
+            }
+        });
+        layer.on("click", function (e) {
+            const p = e.layer && e.layer.properties;
+            if (!p || p.type === "walkway") return;
+            L.popup().setLatLng(e.latlng).setContent(popupHtmlForProperties(p)).openOn(layer._map);
+        });
+        return layer;
+    }
+
+    let pendingWrites = 0;
+    let queuedChanges = [];
+    let changeChain = Promise.resolve();
+    let changeHandlers = [];
+
+    /**
+     * Wraps a save/delete function so live change events wait until it has settled.
+     * Without this the event for this page's own write could arrive before the caller has
+     * stored the saved copy, and the write would be applied twice.
+     * @param {Function} fn Async write function.
+     * @returns {Function} Wrapped function with the same signature.
+     */
+    function trackWrite(fn) {
+        return async function () {
+            pendingWrites += 1;
+            try {
+                return await fn.apply(this, arguments);
+            } finally {
+                pendingWrites -= 1;
+                // A macrotask later, so the caller's own follow-up (after its await) has run first.
+                if (!pendingWrites) setTimeout(flushChanges, 0);
+            }
+        };
+    }
+
+    function deliverChange(change) {
+        changeHandlers.forEach(function (h) {
+            changeChain = changeChain.then(function () { return h(change); }).catch(function (e) {
+                // eslint-disable-next-line no-console
+                console.warn("Live update failed", e);
+            });
+        });
+    }
+
+    function flushChanges() {
+        if (pendingWrites) return;
+        const queued = queuedChanges;
+        queuedChanges = [];
+        queued.forEach(deliverChange);
+    }
+
+    /**
+     * Subscribes to feature and walkway changes pushed by the server (GET /api/events).
+     * Handlers run one at a time, in subscription order, one change after another; `change` is
+     * { collection, action: "created"|"updated"|"deleted"|"reload", id?, version? }.
+     * The browser reconnects on its own and the server replays what was missed.
+     * @param {(change: Object) => (void|Promise<void>)} handler
+     * @returns {void} Nothing.
+     */
+    function subscribeToChanges(handler) {
+        changeHandlers.push(handler);
+        if (changeHandlers.length > 1 || typeof EventSource === "undefined") return;
+        const source = new EventSource("/api/events");
+        source.addEventListener("change", function (e) {
+            let change;
+            try {
+                change = JSON.parse(e.data);
+            } catch (_) {
+                return;
+            }
+            if (pendingWrites) queuedChanges.push(change);
+            else deliverChange(change);
+        });
+    }
+
+    /**
+     * Applies one change event to a FeatureCollection and, optionally, the L.GeoJSON layer drawing it.
+     * Changes the collection already reflects (this page's own saves) are skipped; "reload" refetches it all.
+     * @param {Object} change Event from subscribeToChanges.
+     * @param {GeoJSON.FeatureCollection} fc Collection to patch in place.
+     * @param {L.GeoJSON} [layer] Layer to patch; new features get the layer's style and popups.
+     * @returns {Promise<boolean>} True when something changed.
+     */
+    async function applyChangeToCollection(change, fc, layer) {
+        if (change.action === "reload") {
+            const all = await (change.collection === "walkways" ? fetchWalkways : fetchFeatures)();
+            fc.features = all.features || [];
+            if (layer) {
+                layer.clearLayers();
+                layer.addData(all);
+            }
+            return true;
+        }
+        const sameId = function (f) { return f.properties && f.properties._id === change.id; };
+        const local = fc.features.find(sameId);
+        if (change.action === "deleted" && !local) return false;
+        if (change.action !== "deleted" && local && local.properties._version >= change.version) return false;
+        let fresh = null;
+        if (change.action !== "deleted") {
+            fresh = await (change.collection === "walkways" ? fetchWalkway : fetchFeature)(change.id);
+        }
+        const idx = fc.features.findIndex(sameId);
+        if (idx >= 0) fc.features.splice(idx, 1);
+        if (fresh) fc.features.push(fresh);
+        if (layer) {
+            removeLayersById(layer, change.id);
+            if (fresh) layer.addData(fresh);
+        }
+        return true;
+    }
+
+    /**
+     * Removes every layer drawing the feature `id` from a group, looking inside nested groups too.
+     * @param {L.LayerGroup} group
+     * @param {string} id
+     * @returns {void} Nothing.
      */
-    function simpleSearch(items, query, limit) {
-        if (!query) return [];
-        const q = query.trim().toLowerCase();
-        return items.filter(function (item) {
-            const hay = (item.searchKey || "").toLowerCase();
-            return hay.includes(q);
-        }).slice(0, limit || 8);
+    function removeLayersById(group, id) {
+        group.eachLayer(function (l) {
+            if (l.feature && l.feature.properties && l.feature.properties._id === id) group.removeLayer(l);
+            else if (!l.feature && typeof l.eachLayer === "function") removeLayersById(l, id);
+        });
     }
 
     /**
@@ -264,6 +529,18 @@
         return best;
     }
 
+    /**
+     * Adds the page's CSRF token (rendered into a meta tag) to a headers object.
+     * The server rejects POST/PUT/DELETE requests without it.
+     * @param {Object} headers
+     * @returns {Object} The same headers object.
+     */
+    function withCsrf(headers) {
+        const meta = document.querySelector('meta[name="csrf-token"]');
+        if (meta && meta.content) headers["X-CSRF-Token"] = meta.content;
+        return headers;
+    }
+
     /**
      * Saves a walkway feature.
      * @param {GeoJSON.Feature} feature GeoJSON LineString.
@@ -272,10 +549,10 @@
     async function saveWalkway(feature) {
         const res = await fetch("/api/walkways", {
             method: "POST",
-            headers: { "content-type": "application/json" },
+            headers: withCsrf({ "content-type": "application/json" }),
             body: JSON.stringify(feature)
         });
-        return res.json();
+        return readSaveResponse(res);
     }
 
     /**
@@ -284,10 +561,53 @@
      * @returns {Promise<boolean>} True when ok.
      */
     async function deleteWalkway(id) {
-        const res = await fetch("/api/walkways/" + id, { method: "DELETE" });
+        const res = await fetch("/api/walkways/" + id, { method: "DELETE", headers: withCsrf({}) });
         return res.ok;
     }
 
+    /**
+     * Applies several feature/walkway upserts and deletes in one all-or-nothing request.
+     * @param {Array<{action: "upsert"|"delete", collection: "features"|"walkways", feature?: GeoJSON.Feature, id?: string, expectedVersion?: number}>} operations
+     * @returns {Promise<Array<{index: number, id: string, feature?: GeoJSON.Feature, deleted?: boolean}>>} One result per operation, in order.
+     */
+    async function saveBatch(operations) {
+        const res = await fetch("/api/batch", {
+            method: "POST",
+            headers: withCsrf({ "content-type": "application/json" }),
+            body: JSON.stringify({ operations: operations })
+        });
+        try {
+            const body = await readSaveResponse(res);
+            return body.results || [];
+        } catch (err) {
+            if (err.status === 409) showToast(err.message);
+            throw err;
+        }
+    }
+
+    /**
+     * Loads the trash: deleted features and walkways that can still be restored, most recently deleted first.
+     * @returns {Promise<{retentionDays: number, items: Array<{collection: "features"|"walkways", id: string, deletedAt: string, deletedBy: string|null, feature: GeoJSON.Feature}>}>}
+     */
+    async function fetchTrash() {
+        const res = await fetch("/api/trash");
+        return readSaveResponse(res);
+    }
+
+    /**
+     * Takes a feature or walkway out of the trash.
+     * @param {"features"|"walkways"} collection Collection it was deleted from.
+     * @param {string} id Identifier.
+     * @returns {Promise<GeoJSON.Feature>} The restored copy.
+     */
+    async function restoreFromTrash(collection, id) {
+        const res = await fetch("/api/trash/" + encodeURIComponent(id) + "/restore?collection=" + encodeURIComponent(collection), {
+            method: "POST",
+            headers: withCsrf({})
+        });
+        return readSaveResponse(res);
+    }
+
     /**
      * Build a routing graph from walkway features, including intersections.
      * @param {L.Map} mapInst
@@ -764,7 +1084,7 @@
             recomputeRoute();
         });
 
-        // Build feature index for search
+        // Index features so search results can be resolved to a building's entrances
         featureIndex = buildFeatureIndex();
 
         function buildFeatureIndex() {
@@ -776,8 +1096,7 @@
                 const name = p.name || "";
                 const number = p.number || "";
                 const buildingId = p.buildingId || "";
-                const searchKey = [name, number, buildingId, type].filter(Boolean).join(" ");
-                items.push({ id: id, type: type, name: name, number: number, buildingId: buildingId, geom: f.geometry, searchKey: searchKey, raw: f });
+                items.push({ id: id, type: type, name: name, number: number, buildingId: buildingId, geom: f.geometry, raw: f });
             };
             (walkwaysFc.features || []).forEach(addItem); // entrances may be part of features
             return items;
@@ -821,12 +1140,13 @@
 
         function handleSearch(inputEl, role) {
             if (!inputEl) return;
-            inputEl.addEventListener("change", function () {
-                const q = inputEl.value;
+            inputEl.addEventListener("change", async function () {
+                const q = inputEl.value.trim();
                 if (!q || !featureIndex) return;
-                const matches = simpleSearch(featureIndex, q, 1);
-                if (!matches.length) return;
-                const resolved = resolveFeatureToCoord(matches[0], role);
+                const matches = await searchFeatures(q, { limit: 1 });
+                // Ignore answers to a query the user has since replaced.
+                if (!matches.length || inputEl.value.trim() !== q) return;
+                const resolved = resolveFeatureToCoord({ raw: matches[0].feature }, role);
                 if (!resolved) return;
                 const snapped = snapToWalkways(mapInst, walkwaysFc, resolved.coord, MAX_SNAP_METERS);
                 if (!snapped) return;
@@ -851,6 +1171,11 @@
         handleSearch(startSearchInput, "start");
         handleSearch(endSearchInput, "end");
 
+        // The page patches walkwaysFc from live updates; redraw an open route over the new network.
+        subscribeToChanges(function (change) {
+            if (change.collection === "walkways" && startCoord && endCoord) return recomputeRoute();
+        });
+
         clearRoute();
     }
 
@@ -864,6 +1189,12 @@
         const scrim = document.getElementById("utility-scrim");
         if (!toggle || !drawer) return;
 
+        const exportModal = document.getElementById("export-modal-scrim");
+        const openExport = exportModal ? function () {
+            exportModal.classList.add("open");
+            exportModal.setAttribute("aria-hidden", "false");
+        } : null;
+
         const open = () => {
             drawer.classList.add("open");
             drawer.setAttribute("aria-hidden", "false");
@@ -895,6 +1226,10 @@
             if (!btn) return;
             const action = btn.getAttribute("data-action");
             close();
+            if (action === "download-data" && openExport) {
+                openExport();
+                return;
+            }
             if (window.CR && typeof window.CR.onMenuAction === "function") {
                 window.CR.onMenuAction(action);
             } else {
@@ -927,6 +1262,14 @@
                 modalScrim.classList.add("open");
                 modalScrim.setAttribute("aria-hidden", "false");
                 close();
+                // The public map is served without a CSRF token; fetch one for the login form.
+                const csrfField = modalScrim.querySelector('input[name="_csrf"]');
+                if (csrfField && !csrfField.value) {
+                    fetch("/csrf-token", { credentials: "same-origin" })
+                        .then(function (res) { return res.json(); })
+                        .then(function (body) { csrfField.value = body.csrfToken; })
+                        .catch(function (e) { console.warn("Could not load a CSRF token", e); });
+                }
                 const pwd = modalScrim.querySelector("#modal-password");
                 if (pwd) setTimeout(() => pwd.focus(), 50);
             });
@@ -966,6 +1309,33 @@
                 if (e.key === "Escape") closeSettings();
             });
         }
+
+        // Export modal: the form is a plain GET to /api/export, so the browser handles the download
+        if (exportModal) {
+            const exportForm = document.getElementById("export-form");
+            const exportClose = document.getElementById("export-modal-close");
+            const closeExport = function () {
+                exportModal.classList.remove("open");
+                exportModal.setAttribute("aria-hidden", "true");
+            };
+            if (exportClose) exportClose.addEventListener("click", closeExport);
+            exportModal.addEventListener("click", function (e) {
+                if (e.target === exportModal) closeExport();
+            });
+            document.addEventListener("keydown", function (e) {
+                if (e.key === "Escape") closeExport();
+            });
+            if (exportForm) {
+                exportForm.addEventListener("submit", function (e) {
+                    if (!exportForm.querySelector("input[name=layers]:checked")) {
+                        e.preventDefault();
+                        showToast("Pick at least one layer to export");
+                        return;
+                    }
+                    closeExport();
+                });
+            }
+        }
     }
 
     function setBaseLayer(mapInst, name) {
@@ -982,18 +1352,30 @@
     window.CR = window.CR || {};
     window.CR.initMap = initMap;
     window.CR.fetchFeatures = fetchFeatures;
+    window.CR.fetchFeature = fetchFeature;
+    window.CR.fetchNearest = fetchNearest;
+    window.CR.searchFeatures = searchFeatures;
     window.CR.createFeaturesLayer = createFeaturesLayer;
-    window.CR.saveFeature = saveFeature;
-    window.CR.deleteFeature = deleteFeature;
+    window.CR.saveFeature = trackWrite(saveFeature);
+    window.CR.deleteFeature = trackWrite(deleteFeature);
     window.CR._styleForFeature = styleForFeature;
     window.CR._bindPopupForFeature = bindPopupForFeature;
     window.CR.enableTilePrefetch = enableTilePrefetch;
     window.CR.fetchWalkways = fetchWalkways;
+    window.CR.fetchWalkway = fetchWalkway;
     window.CR.createWalkwaysLayer = createWalkwaysLayer;
-    window.CR.saveWalkway = saveWalkway;
-    window.CR.deleteWalkway = deleteWalkway;
+    window.CR.createCampusTileLayer = createCampusTileLayer;
+    window.CR.saveWalkway = trackWrite(saveWalkway);
+    window.CR.deleteWalkway = trackWrite(deleteWalkway);
+    window.CR.saveBatch = trackWrite(saveBatch);
+    window.CR.fetchTrash = fetchTrash;
+    window.CR.restoreFromTrash = trackWrite(restoreFromTrash);
+    window.CR.subscribeToChanges = subscribeToChanges;
+    window.CR.applyChangeToCollection = applyChangeToCollection;
     window.CR.initRouting = initRouting;
     window.CR.initUtilityDrawer = initUtilityDrawer;
     window.CR.setBaseLayer = setBaseLayer;
+    window.CR.showToast = showToast;
+    window.CR.withCsrf = withCsrf;
 
 })();
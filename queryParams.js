@@ -0,0 +1,29 @@
+// Express query values are a string, an array of strings when the parameter is repeated, or undefined.
+
+/**
+ * The value of a parameter, the last one when it was given more than once.
+ * @param {string|string[]|undefined} value
+ * @returns {string|undefined}
+ */
+function single(value) {
+    return Array.isArray(value) ? value[value.length - 1] : value;
+}
+
+/**
+ * A list parameter, comma-separated and/or repeated: `?type=a,b&type=c` is ["a", "b", "c"].
+ * Takes several parameters when they are aliases of one list (`types` and `type`).
+ * @param {...(string|string[]|undefined)} values
+ * @returns {string[]}
+ */
+function listParam(...values) {
+    return values
+        .flatMap(v => [].concat(v || []))
+        .flatMap(v => String(v).split(","))
+        .map(v => v.trim())
+        .filter(Boolean);
+}
+
+module.exports = {
+    single,
+    listParam
+};
@@ -0,0 +1,384 @@
+const { readAllWalkways } = require("./walkwayStore");
+const { readFeatureById, readFeatures } = require("./store");
+const { cacheUntilChange } = require("./storeEvents");
+const { distanceMeters, closestPointOnSegment, segmentIntersection, roughCentroid } = require("./geo");
+const { HttpError, BadRequestError, NotFoundError } = require("./errors");
+
+const MAX_SNAP_METERS = 150;
+const CONNECT_TOLERANCE_METERS = 2;
+const COORD_PAIR_RE = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+/**
+ * Returns the cached walkway graph, building it from the store on first use after a write.
+ * @returns {Promise<{nodes: Array<[number,number]>, adjacency: Map<number, Array<{to:number, weight:number, walkwayId:string|null}>>, segments: Array<{a:number, b:number, coordA:[number,number], coordB:[number,number], walkwayId:string}>}>}
+ */
+const getWalkwayGraph = cacheUntilChange("walkways", () => readAllWalkways().then(buildWalkwayGraph));
+
+/**
+ * Builds a routing graph from walkway features, splitting lines where they cross.
+ * Mirrors buildWalkwayGraph in public/js/client.js without the Leaflet/turf dependency.
+ * @param {GeoJSON.Feature[]} features
+ */
+function buildWalkwayGraph(features) {
+    const walkways = [];
+    (features || []).forEach((f, idx) => {
+        if (!f || !f.geometry || f.geometry.type !== "LineString") return;
+        const coords = (f.geometry.coordinates || [])
+            .filter(c => Array.isArray(c) && Number.isFinite(c[0]) && Number.isFinite(c[1]))
+            .map(c => [c[0], c[1]]);
+        if (coords.length < 2) return;
+        walkways.push({ id: (f.properties && f.properties._id) || "w" + idx, coords });
+    });
+
+    // Collect crossing points per segment so every intersection becomes a shared node.
+    const segmentIntersections = new Map(); // "wIdx:segIdx" -> Array<{coord, t}>
+    const addIntersection = (wi, si, coord, t) => {
+        const key = wi + ":" + si;
+        if (!segmentIntersections.has(key)) segmentIntersections.set(key, []);
+        segmentIntersections.get(key).push({ coord, t });
+    };
+    const segBox = (a, b) => [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.max(a[0], b[0]), Math.max(a[1], b[1])];
+    const boxesOverlap = (p, q) => p[0] <= q[2] && q[0] <= p[2] && p[1] <= q[3] && q[1] <= p[3];
+    const paramOn = (a, b, p) => {
+        const vx = b[0] - a[0];
+        const vy = b[1] - a[1];
+        const vv = vx * vx + vy * vy || 1e-12;
+        return Math.max(0, Math.min(1, ((p[0] - a[0]) * vx + (p[1] - a[1]) * vy) / vv));
+    };
+
+    const allSegs = [];
+    walkways.forEach((w, wi) => {
+        for (let si = 0; si < w.coords.length - 1; si++) {
+            const a = w.coords[si];
+            const b = w.coords[si + 1];
+            allSegs.push({ wi, si, a, b, box: segBox(a, b) });
+        }
+    });
+    for (let i = 0; i < allSegs.length; i++) {
+        const s1 = allSegs[i];
+        for (let j = i + 1; j < allSegs.length; j++) {
+            const s2 = allSegs[j];
+            if (s1.wi === s2.wi) continue;
+            if (!boxesOverlap(s1.box, s2.box)) continue;
+            const p = segmentIntersection(s1.a, s1.b, s2.a, s2.b);
+            if (!p) continue;
+            addIntersection(s1.wi, s1.si, p, paramOn(s1.a, s1.b, p));
+            addIntersection(s2.wi, s2.si, p, paramOn(s2.a, s2.b, p));
+        }
+    }
+
+    walkways.forEach((w, wi) => {
+        const src = w.coords;
+        const out = [];
+        for (let si = 0; si < src.length - 1; si++) {
+            out.push(src[si]);
+            const list = (segmentIntersections.get(wi + ":" + si) || []).sort((x, y) => x.t - y.t);
+            for (const item of list) {
+                const last = out[out.length - 1];
+                if (Math.abs(item.coord[0] - last[0]) > 1e-10 || Math.abs(item.coord[1] - last[1]) > 1e-10) {
+                    out.push(item.coord);
+                }
+            }
+        }
+        out.push(src[src.length - 1]);
+        w.coords = out;
+    });
+
+    const nodes = [];
+    const nodeIndex = new Map();
+    const adjacency = new Map();
+    const segments = [];
+    const getNodeIndex = (coord) => {
+        const key = coord[0] + "," + coord[1];
+        if (!nodeIndex.has(key)) {
+            nodeIndex.set(key, nodes.length);
+            adjacency.set(nodes.length, []);
+            nodes.push(coord);
+        }
+        return nodeIndex.get(key);
+    };
+
+    walkways.forEach((w) => {
+        const idx = w.coords.map(getNodeIndex);
+        for (let i = 0; i < w.coords.length - 1; i++) {
+            const ia = idx[i];
+            const ib = idx[i + 1];
+            if (ia === ib) continue;
+            const weight = distanceMeters(w.coords[i], w.coords[i + 1]);
+            adjacency.get(ia).push({ to: ib, weight, walkwayId: w.id });
+            adjacency.get(ib).push({ to: ia, weight, walkwayId: w.id });
+            segments.push({ a: ia, b: ib, coordA: w.coords[i], coordB: w.coords[i + 1], walkwayId: w.id });
+        }
+    });
+
+    connectNearbyNodes(nodes, adjacency, CONNECT_TOLERANCE_METERS);
+
+    return { nodes, adjacency, segments };
+}
+
+/**
+ * Links nodes within toleranceMeters of each other so almost-touching lines still connect.
+ * Nodes are sorted by latitude to avoid comparing every pair.
+ */
+function connectNearbyNodes(nodes, adjacency, toleranceMeters) {
+    const latTol = toleranceMeters / 111000;
+    const order = nodes.map((_c, i) => i).sort((i, j) => nodes[i][1] - nodes[j][1]);
+    for (let x = 0; x < order.length; x++) {
+        const i = order[x];
+        for (let y = x + 1; y < order.length; y++) {
+            const j = order[y];
+            if (nodes[j][1] - nodes[i][1] > latTol) break;
+            const d = distanceMeters(nodes[i], nodes[j]);
+            if (d <= toleranceMeters) {
+                adjacency.get(i).push({ to: j, weight: d, walkwayId: null });
+                adjacency.get(j).push({ to: i, weight: d, walkwayId: null });
+            }
+        }
+    }
+}
+
+/**
+ * Shallow copy of a graph that can be modified by insertPointIntoGraph without touching the cache.
+ */
+function cloneGraph(graph) {
+    const adjacency = new Map();
+    graph.adjacency.forEach((edges, k) => adjacency.set(k, edges.slice()));
+    return { nodes: graph.nodes.slice(), adjacency, segments: graph.segments.slice() };
+}
+
+/**
+ * Inserts a point into the graph by splitting the nearest segment.
+ * @param {{nodes:Array, adjacency:Map, segments:Array}} graph Graph to mutate (use a clone).
+ * @param {[number,number]} coord [lon, lat]
+ * @param {number} maxSnapMeters
+ * @returns {{nodeIndex:number, snapped:[number,number], distMeters:number}|null}
+ */
+function insertPointIntoGraph(graph, coord, maxSnapMeters) {
+    let best = null;
+    graph.segments.forEach((seg, idx) => {
+        const hit = closestPointOnSegment(coord, seg.coordA, seg.coordB);
+        if (!best || hit.distMeters < best.distMeters) best = { seg, segIndex: idx, ...hit };
+    });
+    if (!best || (maxSnapMeters && best.distMeters > maxSnapMeters)) return null;
+
+    const { seg } = best;
+    const same = (c1, c2) => Math.abs(c1[0] - c2[0]) < 1e-10 && Math.abs(c1[1] - c2[1]) < 1e-10;
+    if (same(best.coord, seg.coordA)) return { nodeIndex: seg.a, snapped: seg.coordA, distMeters: best.distMeters };
+    if (same(best.coord, seg.coordB)) return { nodeIndex: seg.b, snapped: seg.coordB, distMeters: best.distMeters };
+
+    const newIndex = graph.nodes.length;
+    graph.nodes.push(best.coord);
+    graph.adjacency.set(newIndex, []);
+    graph.adjacency.set(seg.a, graph.adjacency.get(seg.a).filter(e => !(e.to === seg.b && e.walkwayId === seg.walkwayId)));
+    graph.adjacency.set(seg.b, graph.adjacency.get(seg.b).filter(e => !(e.to === seg.a && e.walkwayId === seg.walkwayId)));
+    graph.segments.splice(best.segIndex, 1);
+
+    const dA = distanceMeters(seg.coordA, best.coord);
+    const dB = distanceMeters(best.coord, seg.coordB);
+    graph.adjacency.get(seg.a).push({ to: newIndex, weight: dA, walkwayId: seg.walkwayId });
+    graph.adjacency.get(newIndex).push({ to: seg.a, weight: dA, walkwayId: seg.walkwayId });
+    graph.adjacency.get(seg.b).push({ to: newIndex, weight: dB, walkwayId: seg.walkwayId });
+    graph.adjacency.get(newIndex).push({ to: seg.b, weight: dB, walkwayId: seg.walkwayId });
+    graph.segments.push({ a: seg.a, b: newIndex, coordA: seg.coordA, coordB: best.coord, walkwayId: seg.walkwayId });
+    graph.segments.push({ a: newIndex, b: seg.b, coordA: best.coord, coordB: seg.coordB, walkwayId: seg.walkwayId });
+
+    return { nodeIndex: newIndex, snapped: best.coord, distMeters: best.distMeters };
+}
+
+/**
+ * Dijkstra shortest path using a binary heap.
+ * @returns {{distanceMeters:number, path:number[], edges:Array<{walkwayId:string|null}>}|null}
+ */
+function dijkstraShortestPath(graph, startIndex, endIndex) {
+    const n = graph.nodes.length;
+    const dist = new Array(n).fill(Infinity);
+    const prev = new Array(n).fill(null);
+    const prevEdge = new Array(n).fill(null);
+    const heap = [];
+    const push = (node, d) => {
+        heap.push([d, node]);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const p = (i - 1) >> 1;
+            if (heap[p][0] <= heap[i][0]) break;
+            [heap[p], heap[i]] = [heap[i], heap[p]];
+            i = p;
+        }
+    };
+    const pop = () => {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const l = 2 * i + 1;
+                const r = l + 1;
+                let m = i;
+                if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+                if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+                if (m === i) break;
+                [heap[m], heap[i]] = [heap[i], heap[m]];
+                i = m;
+            }
+        }
+        return top;
+    };
+
+    dist[startIndex] = 0;
+    push(startIndex, 0);
+    while (heap.length) {
+        const [d, u] = pop();
+        if (d > dist[u]) continue;
+        if (u === endIndex) break;
+        for (const edge of graph.adjacency.get(u) || []) {
+            const alt = d + edge.weight;
+            if (alt < dist[edge.to]) {
+                dist[edge.to] = alt;
+                prev[edge.to] = u;
+                prevEdge[edge.to] = edge;
+                push(edge.to, alt);
+            }
+        }
+    }
+
+    if (!Number.isFinite(dist[endIndex])) return null;
+    const path = [];
+    const edges = [];
+    for (let cur = endIndex; cur != null; cur = prev[cur]) {
+        path.push(cur);
+        if (prevEdge[cur]) edges.push(prevEdge[cur]);
+    }
+    path.reverse();
+    edges.reverse();
+    return { distanceMeters: dist[endIndex], path, edges };
+}
+
+/**
+ * Parses a `from`/`to` parameter into either a coordinate or a feature reference.
+ * @param {string} raw "<lon>,<lat>" or a feature id.
+ * @returns {{coord?: [number,number], featureId?: string}|null}
+ */
+function parseEndpoint(raw) {
+    if (raw == null || String(raw).trim() === "") return null;
+    const m = COORD_PAIR_RE.exec(String(raw));
+    if (m) {
+        const lon = Number(m[1]);
+        const lat = Number(m[2]);
+        if (Math.abs(lon) > 180 || Math.abs(lat) > 90) return null;
+        return { coord: [lon, lat] };
+    }
+    return { featureId: String(raw).trim() };
+}
+
+/**
+ * Loads the feature for an endpoint (if any) and returns its anchor coordinate.
+ * @returns {Promise<{coord:[number,number], feature:GeoJSON.Feature|null}|null>} null when the feature does not exist.
+ */
+async function loadEndpoint(parsed) {
+    if (parsed.coord) return { coord: parsed.coord, feature: null };
+    const feature = await readFeatureById(parsed.featureId);
+    if (!feature || !feature.geometry) return null;
+    return { coord: roughCentroid(feature.geometry), feature };
+}
+
+/**
+ * Picks where to start/finish for a feature: buildings (and rooms in them) use the entrance
+ * closest to the other end of the trip, falling back to the feature's own anchor.
+ */
+async function chooseEndpointCoord(endpoint, towards) {
+    const feature = endpoint.feature;
+    if (!feature) return { coord: endpoint.coord, label: null };
+    const p = feature.properties || {};
+    const buildingId = p.type === "building" ? p._id : p.type === "room" ? p.buildingId : null;
+    if (buildingId) {
+        const entrances = (await readFeatures({ types: ["entrance"], buildingId }))
+            .filter(e => e.geometry && e.geometry.type === "Point");
+        if (entrances.length && towards) {
+            entrances.sort((x, y) => distanceMeters(x.geometry.coordinates, towards) - distanceMeters(y.geometry.coordinates, towards));
+        }
+        if (entrances.length) {
+            return { coord: entrances[0].geometry.coordinates, label: entrances[0].properties.name || "Entrance", entranceId: entrances[0].properties._id };
+        }
+    }
+    return { coord: endpoint.coord, label: p.name || null };
+}
+
+/**
+ * Computes a walking route between two endpoints.
+ * @param {string} fromRaw Feature id or "lon,lat".
+ * @param {string} toRaw Feature id or "lon,lat".
+ * @returns {Promise<{status:number, body:Object}>} HTTP status and JSON body.
+ * @throws {HttpError} 400 for malformed endpoints, 404 for unknown feature ids and 422 when no route can be found.
+ */
+async function findRoute(fromRaw, toRaw) {
+    const fromParsed = parseEndpoint(fromRaw);
+    const toParsed = parseEndpoint(toRaw);
+    if (!fromParsed || !toParsed) {
+        throw new BadRequestError("from and to must each be a feature id or lon,lat");
+    }
+
+    const [fromEnd, toEnd] = await Promise.all([loadEndpoint(fromParsed), loadEndpoint(toParsed)]);
+    if (!fromEnd) throw new NotFoundError(`Feature not found: ${fromParsed.featureId}`);
+    if (!toEnd) throw new NotFoundError(`Feature not found: ${toParsed.featureId}`);
+    if (!fromEnd.coord || !toEnd.coord) throw new HttpError(422, "endpoint_without_geometry", "Endpoint feature has no usable geometry");
+
+    const [fromChoice, toChoice] = await Promise.all([
+        chooseEndpointCoord(fromEnd, toEnd.coord),
+        chooseEndpointCoord(toEnd, fromEnd.coord)
+    ]);
+
+    const graph = cloneGraph(await getWalkwayGraph());
+    if (!graph.nodes.length) throw new HttpError(422, "no_walkways", "No walkways available for routing");
+
+    const startInfo = insertPointIntoGraph(graph, fromChoice.coord, MAX_SNAP_METERS);
+    const endInfo = insertPointIntoGraph(graph, toChoice.coord, MAX_SNAP_METERS);
+    if (!startInfo || !endInfo) {
+        throw new HttpError(422, "endpoint_too_far", `Endpoint is more than ${MAX_SNAP_METERS} m from any walkway`);
+    }
+
+    const result = dijkstraShortestPath(graph, startInfo.nodeIndex, endInfo.nodeIndex);
+    if (!result) throw new HttpError(422, "no_path", "No walkway path connects these endpoints");
+
+    const walkwayIds = [];
+    for (const edge of result.edges) {
+        if (edge.walkwayId && walkwayIds[walkwayIds.length - 1] !== edge.walkwayId) walkwayIds.push(edge.walkwayId);
+    }
+    const describe = (raw, end, choice, info) => ({
+        input: String(raw),
+        featureId: end.feature ? end.feature.properties._id : undefined,
+        entranceId: choice.entranceId,
+        label: choice.label || undefined,
+        coordinates: choice.coord,
+        snapped: info.snapped,
+        snapDistanceMeters: Math.round(info.distMeters * 10) / 10
+    });
+
+    return {
+        status: 200,
+        body: {
+            type: "Feature",
+            geometry: {
+                type: "LineString",
+                coordinates: result.path.length > 1
+                    ? result.path.map(i => graph.nodes[i])
+                    : [graph.nodes[result.path[0]], graph.nodes[result.path[0]]]
+            },
+            properties: {
+                distanceMeters: Math.round(result.distanceMeters * 10) / 10,
+                walkwayIds,
+                from: describe(fromRaw, fromEnd, fromChoice, startInfo),
+                to: describe(toRaw, toEnd, toChoice, endInfo)
+            }
+        }
+    };
+}
+
+module.exports = {
+    MAX_SNAP_METERS,
+    getWalkwayGraph,
+    buildWalkwayGraph,
+    insertPointIntoGraph,
+    dijkstraShortestPath,
+    findRoute
+};
@@ -0,0 +1,282 @@
+// A dynamic R-tree over axis-aligned boxes ({ minX, minY, maxX, maxY, ... } items), following
+// rbush: sort-tile-recursive bulk loading, single-item insert with the R*-style split, remove,
+// and best-first k-nearest-neighbour search.
+
+const MAX_ENTRIES = 9;
+const MIN_ENTRIES = 4; // 40% of MAX_ENTRIES, as in the R* paper
+
+function createNode(children, leaf, height) {
+    const node = { children, leaf, height, minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    calcBBox(node);
+    return node;
+}
+
+function extend(a, b) {
+    a.minX = Math.min(a.minX, b.minX);
+    a.minY = Math.min(a.minY, b.minY);
+    a.maxX = Math.max(a.maxX, b.maxX);
+    a.maxY = Math.max(a.maxY, b.maxY);
+    return a;
+}
+
+function calcBBox(node) {
+    node.minX = Infinity;
+    node.minY = Infinity;
+    node.maxX = -Infinity;
+    node.maxY = -Infinity;
+    node.children.forEach(child => extend(node, child));
+}
+
+// Box of children [from, to) of a node.
+function distBBox(node, from, to) {
+    const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    for (let i = from; i < to; i++) extend(box, node.children[i]);
+    return box;
+}
+
+const area = b => (b.maxX - b.minX) * (b.maxY - b.minY);
+const margin = b => (b.maxX - b.minX) + (b.maxY - b.minY);
+const enlargedArea = (a, b) => (Math.max(b.maxX, a.maxX) - Math.min(b.minX, a.minX)) * (Math.max(b.maxY, a.maxY) - Math.min(b.minY, a.minY));
+const contains = (a, b) => a.minX <= b.minX && a.minY <= b.minY && b.maxX <= a.maxX && b.maxY <= a.maxY;
+const compareMinX = (a, b) => a.minX - b.minX;
+const compareMinY = (a, b) => a.minY - b.minY;
+
+function intersectionArea(a, b) {
+    const w = Math.min(a.maxX, b.maxX) - Math.max(a.minX, b.minX);
+    const h = Math.min(a.maxY, b.maxY) - Math.max(a.minY, b.minY);
+    return Math.max(0, w) * Math.max(0, h);
+}
+
+// Sort-tile-recursive packing of one level: vertical slices by x, then runs of MAX_ENTRIES by y.
+function packLevel(entries, leaf, height) {
+    const nodeCount = Math.ceil(entries.length / MAX_ENTRIES);
+    const sliceSize = Math.ceil(Math.sqrt(nodeCount)) * MAX_ENTRIES;
+    const byX = entries.slice().sort((a, b) => (a.minX + a.maxX) - (b.minX + b.maxX));
+    const nodes = [];
+    for (let i = 0; i < byX.length; i += sliceSize) {
+        const slice = byX.slice(i, i + sliceSize).sort((a, b) => (a.minY + a.maxY) - (b.minY + b.maxY));
+        for (let j = 0; j < slice.length; j += MAX_ENTRIES) nodes.push(createNode(slice.slice(j, j + MAX_ENTRIES), leaf, height));
+    }
+    return nodes;
+}
+
+// Binary min-heap of { dist } entries for the nearest-neighbour search.
+class MinQueue {
+    constructor() {
+        this.items = [];
+    }
+
+    get length() {
+        return this.items.length;
+    }
+
+    push(entry) {
+        const items = this.items;
+        let i = items.push(entry) - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].dist <= entry.dist) break;
+            items[i] = items[parent];
+            i = parent;
+        }
+        items[i] = entry;
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length) {
+            let i = 0;
+            for (;;) {
+                let child = 2 * i + 1;
+                if (child >= items.length) break;
+                if (child + 1 < items.length && items[child + 1].dist < items[child].dist) child += 1;
+                if (items[child].dist >= last.dist) break;
+                items[i] = items[child];
+                i = child;
+            }
+            items[i] = last;
+        }
+        return top;
+    }
+}
+
+class RTree {
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        this.root = createNode([], true, 1);
+        this.size = 0;
+    }
+
+    /**
+     * Adds many items at once. Into an empty tree they are packed, which gives a better tree
+     * than inserting them one by one.
+     * @param {Array<{minX: number, minY: number, maxX: number, maxY: number}>} items
+     */
+    load(items) {
+        if (!items.length) return;
+        if (this.size) {
+            items.forEach(item => this.insert(item));
+            return;
+        }
+        let nodes = packLevel(items, true, 1);
+        while (nodes.length > 1) nodes = packLevel(nodes, false, nodes[0].height + 1);
+        this.root = nodes[0];
+        this.size = items.length;
+    }
+
+    /**
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} item
+     */
+    insert(item) {
+        const level = this.root.height - 1;
+        const path = [];
+        let node = this.root;
+        // Descend to the leaf whose box grows least (then the smallest one) to take the item.
+        for (;;) {
+            path.push(node);
+            if (node.leaf || path.length - 1 === level) break;
+            let target = null;
+            let minEnlargement = Infinity;
+            let minArea = Infinity;
+            for (const child of node.children) {
+                const a = area(child);
+                const enlargement = enlargedArea(item, child) - a;
+                if (enlargement < minEnlargement || (enlargement === minEnlargement && a < minArea)) {
+                    minEnlargement = enlargement;
+                    minArea = a;
+                    target = child;
+                }
+            }
+            node = target || node.children[0];
+        }
+        node.children.push(item);
+        extend(node, item);
+
+        let depth = path.length - 1;
+        while (depth >= 0 && path[depth].children.length > MAX_ENTRIES) {
+            this.split(path, depth);
+            depth -= 1;
+        }
+        for (let i = depth; i >= 0; i--) extend(path[i], item);
+        this.size += 1;
+    }
+
+    /**
+     * Removes `item` (compared by identity). Returns false when it was not in the tree.
+     * @param {Object} item
+     * @returns {boolean}
+     */
+    remove(item) {
+        const removeFrom = (node) => {
+            if (node.leaf) {
+                const index = node.children.indexOf(item);
+                if (index === -1) return false;
+                node.children.splice(index, 1);
+                calcBBox(node);
+                return true;
+            }
+            for (let i = 0; i < node.children.length; i++) {
+                const child = node.children[i];
+                if (!contains(child, item) || !removeFrom(child)) continue;
+                if (!child.children.length) node.children.splice(i, 1);
+                calcBBox(node);
+                return true;
+            }
+            return false;
+        };
+        if (!removeFrom(this.root)) return false;
+        this.size -= 1;
+        if (!this.root.children.length) this.clear();
+        return true;
+    }
+
+    /**
+     * The `k` items closest to a query, nearest first, searched best-first over node boxes.
+     * `boxDistance` must never exceed `itemDistance` for an item inside the box, so that
+     * items are found in order of their real distance.
+     * @param {number} k
+     * @param {{boxDistance: (box: Object) => number, itemDistance?: (item: Object) => number, maxDistance?: number, filter?: (item: Object) => boolean}} opts
+     * @returns {Array<{item: Object, distance: number}>}
+     */
+    nearest(k, { boxDistance, itemDistance = boxDistance, maxDistance = Infinity, filter = null }) {
+        const results = [];
+        if (!this.size || k < 1) return results;
+        const queue = new MinQueue();
+        queue.push({ dist: boxDistance(this.root), node: this.root });
+        while (queue.length) {
+            const entry = queue.pop();
+            if (entry.dist > maxDistance) break;
+            if (entry.exact) {
+                results.push({ item: entry.item, distance: entry.dist });
+                if (results.length === k) break;
+            } else if (entry.item) {
+                // Queued by its box; requeue at its real distance, which can only be larger.
+                const dist = itemDistance(entry.item);
+                if (dist <= maxDistance) queue.push({ dist, item: entry.item, exact: true });
+            } else {
+                const { node } = entry;
+                for (const child of node.children) {
+                    if (!node.leaf) queue.push({ dist: boxDistance(child), node: child });
+                    else if (!filter || filter(child)) queue.push({ dist: boxDistance(child), item: child });
+                }
+            }
+        }
+        return results;
+    }
+
+    // Splits the overfull node at path[level] in two along the axis and index with the least overlap.
+    split(path, level) {
+        const node = path[level];
+        const count = node.children.length;
+        const xMargin = this.allDistMargin(node, count, compareMinX);
+        const yMargin = this.allDistMargin(node, count, compareMinY);
+        if (xMargin < yMargin) node.children.sort(compareMinX);
+
+        let splitIndex = count - MIN_ENTRIES;
+        let minOverlap = Infinity;
+        let minArea = Infinity;
+        for (let i = MIN_ENTRIES; i <= count - MIN_ENTRIES; i++) {
+            const left = distBBox(node, 0, i);
+            const right = distBBox(node, i, count);
+            const overlap = intersectionArea(left, right);
+            const total = area(left) + area(right);
+            if (overlap < minOverlap || (overlap === minOverlap && total < minArea)) {
+                minOverlap = overlap;
+                minArea = total;
+                splitIndex = i;
+            }
+        }
+
+        const sibling = createNode(node.children.splice(splitIndex), node.leaf, node.height);
+        calcBBox(node);
+        if (level > 0) {
+            path[level - 1].children.push(sibling);
+        } else {
+            this.root = createNode([node, sibling], false, node.height + 1);
+        }
+    }
+
+    // Sum of the margins of every allowed split after sorting by `compare`; smaller is the better axis.
+    allDistMargin(node, count, compare) {
+        node.children.sort(compare);
+        const left = distBBox(node, 0, MIN_ENTRIES);
+        const right = distBBox(node, count - MIN_ENTRIES, count);
+        let total = margin(left) + margin(right);
+        for (let i = MIN_ENTRIES; i < count - MIN_ENTRIES; i++) {
+            extend(left, node.children[i]);
+            total += margin(left);
+        }
+        for (let i = count - MIN_ENTRIES - 1; i >= MIN_ENTRIES; i--) {
+            extend(right, node.children[i]);
+            total += margin(right);
+        }
+        return total;
+    }
+}
+
+module.exports = { RTree };
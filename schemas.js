@@ -0,0 +1,494 @@
+// JSON Schemas (OpenAPI 3.0 dialect) for the API's payloads, and the checker that applies them.
+// openapi.js publishes these as `components.schemas`, and validation.js and the request validator
+// check incoming data against them, so the document and the server cannot disagree.
+
+const FEATURE_GEOMETRY_TYPES = {
+    building: ["Polygon", "MultiPolygon"],
+    room: ["Polygon", "MultiPolygon"],
+    parking: ["Polygon", "MultiPolygon"],
+    entrance: ["Point"],
+    exit: ["Point"],
+    stairwell: ["Point"],
+    path: ["LineString"]
+};
+const DIRECTIONS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const optionalString = description => ({ type: "string", nullable: true, description });
+
+const SCHEMAS = {
+    Position: {
+        type: "array",
+        description: "[lon, lat] in WGS 84; an optional third value (elevation) is kept but ignored.",
+        items: { type: "number" },
+        minItems: 2,
+        maxItems: 3,
+        example: [-124.1975, 40.6984]
+    },
+    Point: {
+        type: "object",
+        required: ["type", "coordinates"],
+        properties: {
+            type: { type: "string", enum: ["Point"] },
+            coordinates: ref("Position")
+        }
+    },
+    LineString: {
+        type: "object",
+        required: ["type", "coordinates"],
+        properties: {
+            type: { type: "string", enum: ["LineString"] },
+            coordinates: { type: "array", items: ref("Position"), minItems: 2 }
+        }
+    },
+    LinearRing: {
+        type: "array",
+        description: "Closed ring: the first and last positions are equal.",
+        items: ref("Position"),
+        minItems: 4
+    },
+    Polygon: {
+        type: "object",
+        required: ["type", "coordinates"],
+        properties: {
+            type: { type: "string", enum: ["Polygon"] },
+            coordinates: { type: "array", items: ref("LinearRing"), minItems: 1 }
+        }
+    },
+    MultiPolygon: {
+        type: "object",
+        required: ["type", "coordinates"],
+        properties: {
+            type: { type: "string", enum: ["MultiPolygon"] },
+            coordinates: { type: "array", items: { type: "array", items: ref("LinearRing"), minItems: 1 }, minItems: 1 }
+        }
+    },
+    Geometry: {
+        description: "GeoJSON geometry. Every position must lie inside the campus extent (CAMPUS_BBOX).",
+        oneOf: [ref("Point"), ref("LineString"), ref("Polygon"), ref("MultiPolygon")],
+        discriminator: {
+            propertyName: "type",
+            mapping: {
+                Point: "#/components/schemas/Point",
+                LineString: "#/components/schemas/LineString",
+                Polygon: "#/components/schemas/Polygon",
+                MultiPolygon: "#/components/schemas/MultiPolygon"
+            }
+        }
+    },
+    FeatureProperties: {
+        type: "object",
+        description: "Properties of a campus feature. Other keys are stored and returned as given.",
+        required: ["type"],
+        properties: {
+            _id: optionalString("Stable id; assigned by the server when a feature is created without one."),
+            _version: {
+                type: "integer",
+                minimum: 1,
+                nullable: true,
+                description: "Row version, set by the server. Send back the version you read to update a feature (or use If-Match)."
+            },
+            type: {
+                type: "string",
+                enum: Object.keys(FEATURE_GEOMETRY_TYPES),
+                description: "Buildings, rooms and parking are Polygons or MultiPolygons, entrances, exits and stairwells Points, paths LineStrings."
+            },
+            name: optionalString("Display name. Required for buildings and entrances; rooms need a name or a number."),
+            number: optionalString("Room number."),
+            buildingId: optionalString("`_id` of the building a room or entrance belongs to."),
+            prefix: optionalString("Short building code used in entrance and room names, e.g. \"LRC\"."),
+            direction: { type: "string", enum: DIRECTIONS, nullable: true, description: "Side of the building an entrance faces." },
+            aliases: { type: "array", items: { type: "string" }, nullable: true, description: "Other names search should find the feature by." }
+        }
+    },
+    Feature: {
+        type: "object",
+        description: "A building, room, parking lot, entrance, exit, stairwell or path.",
+        required: ["type", "geometry", "properties"],
+        properties: {
+            type: { type: "string", enum: ["Feature"] },
+            geometry: ref("Geometry"),
+            properties: ref("FeatureProperties")
+        }
+    },
+    WalkwayProperties: {
+        type: "object",
+        description: "Properties of a walkway segment. Other keys are stored and returned as given.",
+        properties: {
+            _id: optionalString("Stable id; assigned by the server when a segment is created without one."),
+            _version: {
+                type: "integer",
+                minimum: 1,
+                nullable: true,
+                description: "Row version, set by the server. Send back the version you read to update a segment (or use If-Match)."
+            },
+            type: { type: "string", enum: ["walkway"], nullable: true },
+            name: optionalString("Display name."),
+            curved: { type: "boolean", nullable: true, description: "The line was drawn as a curve through `control`." },
+            segmented: { type: "boolean", nullable: true, description: "The segment is one piece of a longer drawn walkway." },
+            segmentIndex: { type: "integer", minimum: 0, nullable: true, description: "Position of this piece within the drawn walkway." },
+            control: {
+                type: "array",
+                items: ref("Position"),
+                minItems: 2,
+                nullable: true,
+                description: "Control points the editor used to draw a curved walkway."
+            }
+        }
+    },
+    Walkway: {
+        type: "object",
+        description: "A walkable segment of the routing network.",
+        required: ["type", "geometry"],
+        properties: {
+            type: { type: "string", enum: ["Feature"] },
+            geometry: ref("LineString"),
+            properties: { allOf: [ref("WalkwayProperties")], nullable: true }
+        }
+    },
+    FeatureCollection: {
+        type: "object",
+        required: ["type", "features"],
+        properties: {
+            type: { type: "string", enum: ["FeatureCollection"] },
+            features: { type: "array", items: ref("Feature") }
+        }
+    },
+    WalkwayCollection: {
+        type: "object",
+        required: ["type", "features"],
+        properties: {
+            type: { type: "string", enum: ["FeatureCollection"] },
+            features: { type: "array", items: ref("Walkway") }
+        }
+    },
+    BatchOperation: {
+        type: "object",
+        required: ["action", "collection"],
+        properties: {
+            action: { type: "string", enum: ["upsert", "delete"] },
+            collection: { type: "string", enum: ["features", "walkways"] },
+            feature: {
+                type: "object",
+                description: "For upserts: a Feature or a Walkway, depending on `collection`, checked as a single save would be."
+            },
+            id: { type: "string", description: "For deletes: the `_id` to delete." },
+            expectedVersion: {
+                anyOf: [{ type: "integer", minimum: 1 }, { type: "string", enum: ["*"] }],
+                description: "Version the change is based on, like If-Match; `*` overwrites whatever is stored. Upserts default to the feature's `_version`."
+            }
+        }
+    },
+    BatchRequest: {
+        type: "object",
+        required: ["operations"],
+        properties: {
+            operations: { type: "array", items: ref("BatchOperation"), minItems: 1, maxItems: 500 }
+        }
+    },
+    BatchResult: {
+        type: "object",
+        properties: {
+            results: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        index: { type: "integer" },
+                        action: { type: "string", enum: ["upsert", "delete"] },
+                        collection: { type: "string", enum: ["features", "walkways"] },
+                        id: { type: "string" },
+                        feature: { type: "object", description: "The saved copy, for upserts." },
+                        deleted: { type: "boolean", description: "For deletes: false when the id no longer existed." }
+                    }
+                }
+            }
+        }
+    },
+    ImportRequest: {
+        type: "object",
+        description: "A GeoJSON FeatureCollection. Each feature is checked on its own and failures are listed in the report.",
+        required: ["type", "features"],
+        properties: {
+            type: { type: "string", enum: ["FeatureCollection"] },
+            features: { type: "array", items: { type: "object" } }
+        }
+    },
+    ImportReport: {
+        type: "object",
+        properties: {
+            collection: { type: "string", enum: ["features", "walkways"] },
+            mode: { type: "string", enum: ["append", "upsert", "replace"] },
+            dryRun: { type: "boolean" },
+            summary: {
+                type: "object",
+                properties: {
+                    added: { type: "integer" },
+                    changed: { type: "integer" },
+                    unchanged: { type: "integer" },
+                    deleted: { type: "integer" },
+                    failed: { type: "integer" }
+                }
+            },
+            added: { type: "array", items: { type: "object" } },
+            changed: { type: "array", items: { type: "object" } },
+            deleted: { type: "array", items: { type: "object" } },
+            failed: { type: "array", items: { type: "object" }, description: "Rows that failed validation, with their `problems`." }
+        }
+    },
+    Revision: {
+        type: "object",
+        properties: {
+            id: { type: "string" },
+            collection: { type: "string", enum: ["features", "walkways"] },
+            featureId: { type: "string" },
+            action: { type: "string", enum: ["create", "update", "delete"] },
+            before: { type: "object", nullable: true, description: "Stored copy before the change; null for creates." },
+            after: { type: "object", nullable: true, description: "Stored copy after the change; null for deletes." },
+            actorId: { type: "string", nullable: true },
+            actor: { type: "string", nullable: true },
+            requestId: { type: "string", nullable: true },
+            reverts: { type: "string", nullable: true, description: "Id of the revision this change undid." },
+            createdAt: { type: "string", format: "date-time" }
+        }
+    },
+    TrashItem: {
+        type: "object",
+        required: ["collection", "id", "deletedAt", "feature"],
+        properties: {
+            collection: { type: "string", enum: ["features", "walkways"] },
+            id: { type: "string" },
+            deletedAt: { type: "string", format: "date-time", description: "Items deleted together share this time." },
+            deletedBy: { type: "string", nullable: true, description: "Username of whoever deleted it." },
+            feature: { type: "object", description: "The copy that was deleted; a Feature or a Walkway." }
+        }
+    },
+    RouteEndpoint: {
+        type: "object",
+        properties: {
+            input: { type: "string" },
+            featureId: { type: "string" },
+            entranceId: { type: "string", description: "Entrance the route starts or ends at, for buildings and rooms." },
+            label: { type: "string" },
+            coordinates: ref("Position"),
+            snapped: ref("Position"),
+            snapDistanceMeters: { type: "number" }
+        }
+    },
+    Route: {
+        type: "object",
+        description: "The walking route as a LineString Feature.",
+        properties: {
+            type: { type: "string", enum: ["Feature"] },
+            geometry: ref("LineString"),
+            properties: {
+                type: "object",
+                properties: {
+                    distanceMeters: { type: "number" },
+                    walkwayIds: { type: "array", items: { type: "string" } },
+                    from: ref("RouteEndpoint"),
+                    to: ref("RouteEndpoint")
+                }
+            }
+        }
+    },
+    SearchResult: {
+        type: "object",
+        properties: {
+            feature: ref("Feature"),
+            score: { type: "number" },
+            highlights: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        field: { type: "string", enum: ["name", "number", "prefix", "code", "aliases", "building"] },
+                        value: { type: "string" },
+                        ranges: {
+                            type: "array",
+                            items: { type: "array", items: { type: "integer" }, minItems: 2, maxItems: 2 },
+                            description: "[start, end) character offsets into `value`."
+                        }
+                    }
+                }
+            }
+        }
+    },
+    Problem: {
+        type: "object",
+        description: "One thing wrong with a submitted feature.",
+        required: ["path", "code", "message"],
+        properties: {
+            path: { type: "string", description: "Where in the body, e.g. `properties.name` or `geometry.coordinates[0][3]`; empty for the body itself." },
+            code: { type: "string", example: "required" },
+            message: { type: "string" }
+        }
+    },
+    Error: {
+        type: "object",
+        description: "Body of every API error response.",
+        required: ["code", "message", "requestId"],
+        properties: {
+            code: { type: "string", description: "Stable snake_case code to branch on, e.g. `validation_failed` or `conflict`." },
+            message: { type: "string", description: "Human-readable explanation." },
+            details: {
+                type: "object",
+                description: "More context, depending on `code`: `problems` (validation_failed), `current` (conflict, precondition_required), `errors` (batch_rejected, batch_rolled_back) or an import report (import_rejected)."
+            },
+            requestId: { type: "string", description: "Same as the X-Request-Id response header." }
+        }
+    }
+};
+
+function describe(schema) {
+    if (schema.enum && schema.enum.length === 1) return JSON.stringify(schema.enum[0]);
+    if (schema.enum) return `one of ${schema.enum.map(v => JSON.stringify(v)).join(", ")}`;
+    if (schema.type === "integer") return "an integer";
+    if (schema.type === "array") return "an array";
+    if (schema.type === "object") return "an object";
+    return `a ${schema.type}`;
+}
+
+function typeMatches(type, value) {
+    switch (type) {
+    case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "array": return Array.isArray(value);
+    case "integer": return Number.isInteger(value);
+    case "number": return typeof value === "number" && Number.isFinite(value);
+    case "string": return typeof value === "string";
+    case "boolean": return typeof value === "boolean";
+    default: return true;
+    }
+}
+
+function resolve(schema) {
+    if (!schema.$ref) return schema;
+    const resolved = SCHEMAS[schema.$ref.replace("#/components/schemas/", "")];
+    if (!resolved) throw new Error(`Unknown schema reference ${schema.$ref}`);
+    return resolved;
+}
+
+function check(schema, value, path, problems) {
+    schema = resolve(schema);
+    const label = path || "body";
+    if (value === null && schema.nullable) return;
+    if (value === undefined) return;
+
+    if (schema.allOf) schema.allOf.forEach(s => check(s, value, path, problems));
+    if (schema.anyOf) {
+        if (!schema.anyOf.some(s => !validateSchema(s, value, path).length)) {
+            const options = schema.anyOf.map(s => describe(resolve(s))).join(" or ");
+            problems.push({ path, code: "invalid_value", message: `${label} must be ${options}` });
+        }
+        return;
+    }
+    if (schema.oneOf) {
+        // Only discriminated unions are used, which report the errors of the one matching branch.
+        const { propertyName, mapping } = schema.discriminator;
+        if (!typeMatches("object", value)) {
+            problems.push({ path, code: "invalid_type", message: `${label} must be an object` });
+            return;
+        }
+        const branch = mapping[value[propertyName]];
+        const at = path ? `${path}.${propertyName}` : propertyName;
+        if (!branch) {
+            const allowed = Object.keys(mapping);
+            problems.push({
+                path: at,
+                code: value[propertyName] == null ? "required" : "invalid_value",
+                message: `${at} must be ${describe({ enum: allowed })}`
+            });
+            return;
+        }
+        check({ $ref: branch }, value, path, problems);
+        return;
+    }
+    if (schema.type && !typeMatches(schema.type, value)) {
+        problems.push({ path, code: "invalid_type", message: `${label} must be ${describe({ type: schema.type })}` });
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push({ path, code: "invalid_value", message: `${label} must be ${describe(schema)}` });
+        return;
+    }
+
+    if (typeof value === "number") {
+        if (schema.minimum != null && value < schema.minimum) {
+            problems.push({ path, code: "out_of_range", message: `${label} must be at least ${schema.minimum}` });
+        }
+        if (schema.maximum != null && value > schema.maximum) {
+            problems.push({ path, code: "out_of_range", message: `${label} must be at most ${schema.maximum}` });
+        }
+    }
+    if (typeof value === "string") {
+        if (schema.minLength != null && value.length < schema.minLength) {
+            problems.push({ path, code: schema.minLength === 1 ? "required" : "too_short", message: `${label} must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength != null && value.length > schema.maxLength) {
+            problems.push({ path, code: "too_long", message: `${label} must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            problems.push({ path, code: "invalid_value", message: `${label} is not in the expected format` });
+        }
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems != null && value.length < schema.minItems) {
+            problems.push({ path, code: "too_few_items", message: `${label} needs at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}` });
+        }
+        if (schema.maxItems != null && value.length > schema.maxItems) {
+            problems.push({ path, code: "too_many_items", message: `${label} allows at most ${schema.maxItems} items` });
+        }
+        if (schema.items) value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, problems));
+    }
+    if (typeMatches("object", value)) {
+        const props = schema.properties || {};
+        (schema.required || []).forEach((key) => {
+            if (value[key] === undefined || (value[key] === null && !resolve(props[key] || {}).nullable)) {
+                const at = path ? `${path}.${key}` : key;
+                problems.push({ path: at, code: "required", message: `${at} is required` });
+            }
+        });
+        // A GeoJSON object whose `type` tag is wrong is the wrong kind of object; its other members would only add noise.
+        const tag = props.type && resolve(props.type);
+        if (tag && tag.enum && tag.enum.length === 1 && value.type != null && !tag.enum.includes(value.type)) {
+            check(tag, value.type, path ? `${path}.type` : "type", problems);
+            return;
+        }
+        Object.keys(value).forEach((key) => {
+            const at = path ? `${path}.${key}` : key;
+            if (props[key]) {
+                if (value[key] !== null || !(schema.required || []).includes(key)) check(props[key], value[key], at, problems);
+            } else if (schema.additionalProperties === false) {
+                problems.push({ path: at, code: "unknown_property", message: `${at} is not allowed` });
+            }
+        });
+    }
+}
+
+/**
+ * Checks a value against one of SCHEMAS (or an inline schema).
+ * Supports the keywords those schemas use: `$ref`, `type`, `nullable`, `enum`, `allOf`, `anyOf`,
+ * `oneOf` with a discriminator, number and string bounds, `pattern`, array bounds and `items`, `properties`,
+ * `required` and `additionalProperties: false`.
+ * @param {string|Object} schema Schema name or schema object.
+ * @param {*} value
+ * @param {string} [path] Where `value` sits, prefixed to every problem's path.
+ * @returns {Array<{path: string, code: string, message: string}>} Empty when valid.
+ */
+function validateSchema(schema, value, path = "") {
+    const problems = [];
+    // Missing properties are the `required` keyword's business; a missing value as a whole is always a problem.
+    if (value === undefined) {
+        problems.push({ path, code: "required", message: `${path || "body"} is required` });
+        return problems;
+    }
+    check(typeof schema === "string" ? ref(schema) : schema, value, path, problems);
+    return problems;
+}
+
+module.exports = {
+    FEATURE_GEOMETRY_TYPES,
+    DIRECTIONS,
+    SCHEMAS,
+    validateSchema
+};
@@ -0,0 +1,229 @@
+const { readAllFeatures } = require("./store");
+const { cacheUntilChange } = require("./storeEvents");
+const { BadRequestError } = require("./errors");
+const { single, listParam } = require("./queryParams");
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const MAX_QUERY_LENGTH = 100;
+
+// How much a hit in each field counts; "building" is the parent building of rooms and entrances.
+const FIELD_WEIGHTS = { name: 1, number: 1, code: 0.9, aliases: 0.9, prefix: 0.8, building: 0.6 };
+// Equal text matches are ranked by what people usually look for.
+const TYPE_WEIGHTS = { building: 1, parking: 0.85, room: 0.8, entrance: 0.7, exit: 0.6, stairwell: 0.6, path: 0.5 };
+const OTHER_TYPE_WEIGHT = 0.5;
+
+function fold(text) {
+    return String(text).normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+/**
+ * Splits text into lowercase tokens with their character ranges in the original string.
+ * Letters and digits are separate tokens, so "HU101" and "HU 101" tokenize the same.
+ * @param {string} text
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+function tokenize(text) {
+    const tokens = [];
+    const re = /[\p{L}]+|[\p{N}]+/gu;
+    let m;
+    while ((m = re.exec(text))) tokens.push({ text: fold(m[0]), start: m.index, end: m.index + m[0].length });
+    return tokens;
+}
+
+// Short code for a building, the same rule the admin editor uses to name entrances ("Humanities" -> "HU").
+function buildingCode(p) {
+    if (p.prefix) return String(p.prefix);
+    const words = String(p.name || "").trim().split(/\s+/).filter(Boolean);
+    if (!words.length) return null;
+    if (words.length === 1) return words[0].slice(0, 2).toUpperCase();
+    return words.map(w => w[0]).join("").toUpperCase().slice(0, 3);
+}
+
+function aliasesOf(p) {
+    if (Array.isArray(p.aliases)) return p.aliases.filter(a => typeof a === "string" && a.trim());
+    return [];
+}
+
+function buildIndex(features) {
+    const buildings = new Map();
+    features.forEach((f) => {
+        const p = f.properties || {};
+        if (p.type === "building") buildings.set(p._id, p);
+    });
+
+    const docs = [];
+    const postings = new Map(); // token -> [{ doc, field, token }]
+    features.forEach((feature) => {
+        const p = feature.properties || {};
+        const values = [];
+        const add = (field, value) => {
+            if (value != null && String(value).trim()) values.push({ field, value: String(value) });
+        };
+        add("name", p.name);
+        add("number", p.number);
+        add("prefix", p.prefix);
+        aliasesOf(p).forEach(a => add("aliases", a));
+        if (p.type === "building" && !p.prefix) add("code", buildingCode(p));
+        const parent = p.buildingId && buildings.get(p.buildingId);
+        if (parent && parent !== p) {
+            add("building", parent.name);
+            add("building", buildingCode(parent));
+        }
+
+        const doc = { feature, type: p.type, fields: values.map(v => ({ ...v, folded: fold(v.value), tokens: tokenize(v.value) })) };
+        const docIndex = docs.push(doc) - 1;
+        doc.fields.forEach((field, fieldIndex) => {
+            field.tokens.forEach((token, tokenIndex) => {
+                if (!postings.has(token.text)) postings.set(token.text, []);
+                postings.get(token.text).push({ doc: docIndex, field: fieldIndex, token: tokenIndex });
+            });
+        });
+    });
+    return { docs, postings };
+}
+
+const getIndex = cacheUntilChange("features", () => readAllFeatures().then(buildIndex));
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions), giving up above `max`.
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev2 = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+            if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+            cur.push(d);
+            rowMin = Math.min(rowMin, d);
+        }
+        if (rowMin > max) return max + 1;
+        prev2 = prev;
+        prev = cur;
+    }
+    return prev[b.length];
+}
+
+// Typos allowed for a query token: none for short ones, where a single edit matches almost anything.
+function allowedEdits(length) {
+    if (length <= 3) return 0;
+    return length <= 6 ? 1 : 2;
+}
+
+/**
+ * How well a query token matches an indexed token: exact, as a prefix (the user is still typing),
+ * or within a few typos of the whole token or of its start. `length` is how much of the indexed
+ * token to highlight.
+ * @returns {{score: number, length: number}|null}
+ */
+function matchToken(q, t) {
+    if (t === q) return { score: 1, length: t.length };
+    if (t.startsWith(q)) return { score: 0.75 + 0.2 * (q.length / t.length), length: q.length };
+    const max = allowedEdits(q.length);
+    if (!max) return null;
+    const whole = editDistance(q, t, max);
+    if (whole <= max) return { score: 0.7 - 0.15 * whole, length: t.length };
+    if (t.length > q.length) {
+        const start = editDistance(q, t.slice(0, q.length), max);
+        if (start <= max) return { score: 0.55 - 0.15 * start, length: Math.min(q.length, t.length) };
+    }
+    return null;
+}
+
+function mergeRanges(ranges) {
+    const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+    const out = [];
+    for (const r of sorted) {
+        const last = out[out.length - 1];
+        if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+        else out.push([r[0], r[1]]);
+    }
+    return out;
+}
+
+/**
+ * Parses `q`, `types` (comma-separated or repeated; `type` is accepted too) and `limit` for searchFeatures.
+ * @param {Object} query Express query object.
+ * @returns {{q: string, types: string[]|null, limit: number}}
+ * @throws {BadRequestError} When a parameter is missing or malformed.
+ */
+function parseSearchQuery(query) {
+    const q = String(single(query.q) ?? "").trim();
+    if (!q) throw new BadRequestError("q is required");
+    if (q.length > MAX_QUERY_LENGTH) throw new BadRequestError(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+
+    const types = listParam(query.types, query.type);
+
+    let limit = DEFAULT_LIMIT;
+    const rawLimit = single(query.limit);
+    if (rawLimit != null && rawLimit !== "") {
+        limit = Number(rawLimit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            throw new BadRequestError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+        }
+    }
+    return { q, types: types.length ? types : null, limit };
+}
+
+/**
+ * Ranked, typo-tolerant search over feature names, numbers, prefixes, aliases and the name of
+ * the building a feature belongs to. Every word of the query must match somewhere; words match
+ * exactly, as a prefix, or within one or two typos. Matches at the start of a field and fields
+ * that start with the whole query rank higher, and buildings rank above entrances.
+ * Each result lists the matched ranges (`[start, end)` character offsets) per field for highlighting.
+ * @param {{q: string, types?: string[]|null, limit?: number}} opts
+ * @returns {Promise<Array<{feature: GeoJSON.Feature, score: number, highlights: Array<{field: string, value: string, ranges: Array<[number, number]>}>}>>}
+ */
+async function searchFeatures({ q, types = null, limit = DEFAULT_LIMIT }) {
+    const { docs, postings } = await getIndex();
+    const queryTokens = [...new Set(tokenize(q).map(t => t.text))];
+    if (!queryTokens.length) return [];
+    const foldedQuery = fold(q).trim();
+
+    // Per document: the best score for each query token, plus what to highlight.
+    const hits = new Map();
+    queryTokens.forEach((qt, qi) => {
+        for (const [token, entries] of postings) {
+            const match = matchToken(qt, token);
+            if (!match) continue;
+            for (const e of entries) {
+                const doc = docs[e.doc];
+                if (types && !types.includes(doc.type)) continue;
+                const field = doc.fields[e.field];
+                const positionBoost = e.token === 0 ? 1.1 : 1;
+                const score = match.score * FIELD_WEIGHTS[field.field] * positionBoost;
+                if (!hits.has(e.doc)) hits.set(e.doc, { best: new Array(queryTokens.length).fill(0), ranges: new Map() });
+                const hit = hits.get(e.doc);
+                hit.best[qi] = Math.max(hit.best[qi], score);
+                const start = field.tokens[e.token].start;
+                if (!hit.ranges.has(e.field)) hit.ranges.set(e.field, []);
+                hit.ranges.get(e.field).push([start, start + match.length]);
+            }
+        }
+    });
+
+    const results = [];
+    for (const [docIndex, hit] of hits) {
+        if (hit.best.some(s => s === 0)) continue;
+        const doc = docs[docIndex];
+        let text = hit.best.reduce((a, b) => a + b, 0) / queryTokens.length;
+        if (doc.fields.some(f => f.folded.startsWith(foldedQuery))) text += 0.25;
+        const score = text * (TYPE_WEIGHTS[doc.type] ?? OTHER_TYPE_WEIGHT);
+        const highlights = [...hit.ranges].map(([fieldIndex, ranges]) => {
+            const field = doc.fields[fieldIndex];
+            return { field: field.field, value: field.value, ranges: mergeRanges(ranges) };
+        });
+        results.push({ feature: doc.feature, score: Math.round(score * 1000) / 1000, highlights });
+    }
+    const nameOf = r => String(r.feature.properties.name || "");
+    results.sort((a, b) => b.score - a.score || nameOf(a).localeCompare(nameOf(b)));
+    return results.slice(0, limit);
+}
+
+module.exports = {
+    parseSearchQuery,
+    searchFeatures
+};
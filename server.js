@@ -1,15 +1,43 @@
 const express = require("express");
 const path = require("path");
+const { createHash, randomUUID } = require("crypto");
 const session = require("express-session");
-const PgStore = require("connect-pg-simple")(session);
-const { pool } = require("./db");
 const flash = require("connect-flash");
 const compression = require("compression");
 const helmet = require("helmet");
-const morgan = require("morgan");
 const dotenv = require("dotenv");
-const { readAllFeatures, upsertFeature, deleteFeatureById } = require("./store");
-const { readAllWalkways, upsertWalkway, deleteWalkwayById } = require("./walkwayStore");
+const { readFeatures, readFeatureById, upsertFeature, deleteFeatureById } = require("./store");
+const { readWalkways, readWalkwayById, upsertWalkway, deleteWalkwayById } = require("./walkwayStore");
+const { findRoute } = require("./routing");
+const { parseNearestQuery, findNearest } = require("./nearest");
+const { parseSearchQuery, searchFeatures } = require("./search");
+const { runBatch, scopesForBatch } = require("./batch");
+const { importCollection } = require("./importer");
+const { EXPORT_FORMATS, parseLayers, exportDataset } = require("./exporters");
+const { readDatasetVersion } = require("./datasetVersion");
+const { single, listParam } = require("./queryParams");
+const { PUBLIC_DIR, STATIC_PREFIX, assetUrl, setStaticCacheHeaders } = require("./assets");
+const { parseTileCoords, tileDataVersion, getTile } = require("./tiles");
+const { handleEventStream } = require("./liveEvents");
+const { createSessionStore } = require("./sessionStore");
+const { runMigrations } = require("./migrate");
+const { handleHealthz, handleReadyz } = require("./health");
+const { recordRequestMetrics, countLoginFailure, handleMetrics } = require("./metrics");
+const { logger, logRequests } = require("./logger");
+const { ValidationError, BadRequestError, ForbiddenError, NotFoundError } = require("./errors");
+const { asyncHandler, toHttpError, sendError, handleApiNotFound, rejectUnroutedApiRequests } = require("./apiErrors");
+const { validateRequest, assertRoutesDocumented, handleOpenApi } = require("./openapi");
+const { expectedVersionFrom, parseIfMatch, setVersionTag } = require("./concurrency");
+const { listRevisionsFor, listRevisionsSince, readRevisionById } = require("./history");
+const { TRASH_RETENTION_DAYS, listTrash, restoreFromTrash, startTrashPurge } = require("./trash");
+const { hasRole, authenticate, requireRole } = require("./auth");
+const { exposeCsrfToken, exposeCsrfTokenToUsers, handleCsrfToken, verifyCsrfToken } = require("./csrf");
+const { SCOPES, createToken, readTokens, readTokenById, revokeToken } = require("./tokenStore");
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require("./loginThrottle");
+const { ROLES, readUsers, countAdmins, verifyCredentials, createUser, updateUser, deleteUserById, readUserById } = require("./userStore");
+
+const MAX_PAGE_SIZE = 5000;
+const IMPORT_PATH = "/api/import";
 
 
 dotenv.config();
@@ -23,7 +51,9 @@ function createApp() {
 
     app.set("view engine", "ejs");
     app.set("views", path.join(__dirname, "views"));
-    app.disable("etag"); // force fresh responses
+    app.set("etag", "strong");
+    app.locals.asset = assetUrl;
+    if (process.env.TRUST_PROXY) app.set("trust proxy", process.env.TRUST_PROXY === "true" ? true : process.env.TRUST_PROXY);
 
     app.use(
         helmet({
@@ -61,24 +91,26 @@ function createApp() {
             }
         })
     );
+    app.use(assignRequestId);
+    app.use(recordRequestMetrics);
     app.use(compression());
-    app.use(morgan("dev"));
-    app.use((req, res, next) => {
-        res.setHeader("Cache-Control", "no-store");
-        next();
-    });
-    app.use(express.json({ limit: "2mb" }));
+    // Probes and scrapes come every few seconds; they sit before the request log and the session.
+    app.get("/healthz", handleHealthz);
+    app.get("/readyz", handleReadyz);
+    app.get("/metrics", asyncHandler(handleMetrics));
+    app.use(logRequests);
+    // Static files are served before sessions so they never touch the session store.
+    app.use(STATIC_PREFIX, express.static(PUBLIC_DIR, { setHeaders: setStaticCacheHeaders }));
+    const jsonParser = express.json({ limit: "2mb" });
+    // Imports get their own, larger limit once the caller is authenticated (see the route below).
+    app.use((req, res, next) => (req.path === IMPORT_PATH ? next() : jsonParser(req, res, next)));
     app.use(express.urlencoded({ extended: true }));
     app.use(
         session({
             secret: process.env.SESSION_SECRET || "dev-secret",
             resave: false,
             saveUninitialized: false,
-            store: new PgStore({
-                pool,
-                tableName: "session",
-                createTableIfMissing: true
-            }),
+            store: createSessionStore(session),
             cookie: {
                 sameSite: "lax",
                 maxAge: Number(process.env.SESSION_COOKIE_MS || 1000 * 60 * 60 * 24 * 7), // default 7 days
@@ -88,45 +120,128 @@ function createApp() {
         })
     );
     app.use(flash());
+    app.use(authenticate);
+    app.use(rejectUnroutedApiRequests);
+    app.use(verifyCsrfToken);
+    app.use(setCacheControl);
 
-    app.use("/static", express.static(path.join(__dirname, "public")));
-
-    app.get("/", handleHome);
-    app.get("/admin", requireAuth, handleAdmin);
-    app.post("/login", handleLogin);
+    app.get("/", exposeCsrfTokenToUsers, handleHome);
+    app.get("/csrf-token", handleCsrfToken);
+    app.get("/admin", requireRole("viewer"), exposeCsrfToken, handleAdmin);
+    app.get("/admin/users", requireRole("admin"), exposeCsrfToken, asyncHandler(handleUsers));
+    app.post("/admin/users", requireRole("admin"), asyncHandler(handleCreateUser));
+    app.post("/admin/users/:id", requireRole("admin"), asyncHandler(handleUpdateUser));
+    app.post("/admin/users/:id/delete", requireRole("admin"), asyncHandler(handleDeleteUser));
+    app.get("/admin/tokens", requireRole("viewer"), exposeCsrfToken, asyncHandler((req, res) => handleTokens(req, res)));
+    app.post("/admin/tokens", requireRole("viewer"), exposeCsrfToken, asyncHandler(handleCreateToken));
+    app.post("/admin/tokens/:id/revoke", requireRole("viewer"), asyncHandler(handleRevokeToken));
+    app.post("/login", asyncHandler(handleLogin));
     app.post("/logout", handleLogout);
 
-    app.get("/api/features", apiGetFeatures);
-    app.post("/api/features", requireAuth, apiCreateOrUpdateFeature);
-    app.delete("/api/features/:id", requireAuth, apiDeleteFeature);
+    app.get("/api/openapi.json", handleOpenApi);
+    app.get("/api/features", validateRequest, asyncHandler(apiGetFeatures));
+    app.get("/api/features/:id", validateRequest, asyncHandler(apiGetFeature));
+    app.get("/api/features/:id/history", requireRole("viewer", "read"), validateRequest, asyncHandler(apiGetFeatureHistory));
+    app.post("/api/features", requireRole("editor", "features:write"), validateRequest, asyncHandler(apiCreateOrUpdateFeature));
+    app.delete("/api/features/:id", requireRole("editor", "features:write"), validateRequest, asyncHandler(apiDeleteFeature));
 
-    app.get("/api/walkways", async (_req, res) => {
-        const features = await readAllWalkways();
+    app.get("/api/walkways", validateRequest, asyncHandler(async (req, res) => {
+        const filter = parseCollectionQuery(req.query);
+        if (await sendNotModified(req, res, "walkways")) return;
+        const features = await readWalkways(filter);
         res.json({ type: "FeatureCollection", features });
-    });
-    app.post("/api/walkways", requireAuth, async (req, res) => {
-        const saved = await upsertWalkway(req.body);
+    }));
+    app.get("/api/walkways/:id", validateRequest, asyncHandler(async (req, res) => {
+        const feature = await readWalkwayById(req.params.id);
+        if (!feature) throw new NotFoundError("Walkway not found");
+        setVersionTag(res, feature);
+        if (req.fresh) return res.status(304).end();
+        res.json(feature);
+    }));
+    app.post("/api/walkways", requireRole("editor", "walkways:write"), validateRequest, asyncHandler(async (req, res) => {
+        const saved = await upsertWalkway(req.body, { expectedVersion: expectedVersionFrom(req), audit: auditFrom(req) });
+        setVersionTag(res, saved);
         res.json(saved);
-    });
-    app.delete("/api/walkways/:id", requireAuth, async (req, res) => {
-        await deleteWalkwayById(req.params.id);
+    }));
+    app.delete("/api/walkways/:id", requireRole("editor", "walkways:write"), validateRequest, asyncHandler(async (req, res) => {
+        const deleted = await deleteWalkwayById(req.params.id, {
+            expectedVersion: parseIfMatch(req.get("If-Match")),
+            audit: auditFrom(req)
+        });
+        if (!deleted) throw new NotFoundError("Walkway not found");
         res.json({ ok: true });
-    });
+    }));
+    app.get("/api/walkways/:id/history", requireRole("viewer", "read"), validateRequest, asyncHandler(async (req, res) => {
+        const revisions = await listRevisionsFor("walkways", req.params.id, { limit: req.query.limit });
+        if (!revisions.length && !(await readWalkwayById(req.params.id))) throw new NotFoundError("Walkway not found");
+        res.json({ featureId: req.params.id, revisions });
+    }));
+
+    app.post(
+        IMPORT_PATH,
+        requireRole("editor", req => [`${req.query.collection === "walkways" ? "walkways" : "features"}:write`]),
+        express.json({ limit: process.env.IMPORT_MAX_BODY || "20mb" }),
+        validateRequest,
+        asyncHandler(apiImport)
+    );
+    app.get("/api/export", validateRequest, asyncHandler(apiExport));
+    app.post("/api/batch", requireRole("editor", req => scopesForBatch(req.body && req.body.operations)), validateRequest, asyncHandler(apiBatch));
+
+    app.get("/api/history", requireRole("viewer", "read"), validateRequest, asyncHandler(apiGetHistory));
+    app.post("/api/history/:revisionId/revert", requireRole("admin"), validateRequest, asyncHandler(apiRevertRevision));
+
+    app.get("/api/trash", requireRole("viewer", "read"), validateRequest, asyncHandler(apiGetTrash));
+    app.post(
+        "/api/trash/:id/restore",
+        requireRole("editor", req => [`${req.query.collection === "walkways" ? "walkways" : "features"}:write`]),
+        validateRequest,
+        asyncHandler(apiRestoreFromTrash)
+    );
+
+    app.get("/api/route", validateRequest, asyncHandler(apiGetRoute));
+    app.get("/api/nearest", validateRequest, asyncHandler(apiGetNearest));
+    app.get("/api/search", validateRequest, asyncHandler(apiSearch));
+    app.get("/api/events", handleEventStream);
+    app.get("/tiles/campus/:z/:x/:y.mvt", validateRequest, asyncHandler(handleCampusTile));
 
+    app.use("/api", handleApiNotFound);
     app.use(handleNotFound);
     app.use(handleError);
 
+    assertRoutesDocumented(app);
+
     return app;
 }
 
+/**
+ * Sets the default Cache-Control for dynamic responses. Pages under /admin and any page shown to a
+ * signed-in user carry their data and CSRF token, so they are never stored; everything else may be
+ * kept but must be revalidated, which the ETags make cheap.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+function setCacheControl(req, res, next) {
+    const isPage = !req.path.startsWith("/api/") && !req.path.startsWith("/tiles/");
+    if (req.path.startsWith("/admin") || (req.user && isPage)) {
+        res.setHeader("Cache-Control", "no-store");
+    } else {
+        res.setHeader("Cache-Control", req.user ? "private, no-cache" : "no-cache");
+    }
+    next();
+}
+
 /**
  * Renders the public map view.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  */
 function handleHome(req, res) {
-    const messages = { success: req.flash("success"), error: req.flash("error") };
-    res.render("map", { isAdmin: !!req.session.isAdmin, messages });
+    // Reading flash messages writes to the session; skip it when there are none so an anonymous visit sets no cookie.
+    const messages = req.session.flash
+        ? { success: req.flash("success"), error: req.flash("error") }
+        : { success: [], error: [] };
+    res.render("map", { isAdmin: !!req.user, messages, vectorTiles: process.env.MAP_VECTOR_TILES === "true" });
 }
 
 /**
@@ -136,93 +251,545 @@ function handleHome(req, res) {
  */
 function handleAdmin(req, res) {
     const messages = { success: req.flash("success"), error: req.flash("error") };
-    res.render("admin", { isAdmin: !!req.session.isAdmin, messages });
+    res.render("admin", { isAdmin: !!req.user, messages });
 }
 
 /**
- * Authenticates a user using a shared admin password.
+ * Authenticates a user by username and password and records their id in the session.
+ * Repeated failures from one IP or against one account are locked out with exponential backoff.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  */
-function handleLogin(req, res) {
-    const { password } = req.body;
-    if ((process.env.ADMIN_PASSWORD || "admin") === password) {
-        req.session.regenerate((err) => {
-            if (err) {
-                console.error("Session regenerate failed", err);
+async function handleLogin(req, res) {
+    const { username, password } = req.body;
+    let user;
+    try {
+        const gate = await checkLoginAllowed(req.ip, username);
+        if (!gate.allowed) {
+            countLoginFailure("locked_out");
+            req.log.warn("Login blocked", { username, ip: req.ip, retryAfterSeconds: gate.retryAfterSeconds });
+            req.flash("error", `Too many failed attempts. Try again in ${formatWait(gate.retryAfterSeconds)}.`);
+            return res.redirect("/");
+        }
+        user = await verifyCredentials(username, password);
+        if (!user) {
+            countLoginFailure("invalid_credentials");
+            const { failures, lockedForSeconds } = await recordLoginFailure(req.ip, username);
+            req.log.warn("Failed login", { username, ip: req.ip, failures, lockedForSeconds });
+            req.flash("error", lockedForSeconds
+                ? `Too many failed attempts. Try again in ${formatWait(lockedForSeconds)}.`
+                : "Invalid username or password.");
+            return res.redirect("/");
+        }
+        await recordLoginSuccess(user.username);
+    } catch (err) {
+        req.log.error("Credential check failed", { err });
+        req.flash("error", "Login failed. Please try again.");
+        return res.redirect("/");
+    }
+    req.session.regenerate((err) => {
+        if (err) {
+            req.log.error("Session regenerate failed", { err });
+            req.flash("error", "Login failed. Please try again.");
+            return res.redirect("/");
+        }
+        req.session.userId = user.id;
+        req.session.save((saveErr) => {
+            if (saveErr) {
+                req.log.error("Session save failed", { err: saveErr });
                 req.flash("error", "Login failed. Please try again.");
                 return res.redirect("/");
             }
-            req.session.isAdmin = true;
-            req.session.save((saveErr) => {
-                if (saveErr) {
-                    console.error("Session save failed", saveErr);
-                    req.flash("error", "Login failed. Please try again.");
-                    return res.redirect("/");
-                }
-                req.flash("success", "Logged in.");
-                res.redirect("/admin");
-            });
+            req.flash("success", `Logged in as ${user.username}.`);
+            res.redirect("/admin");
         });
-    } else {
-        req.flash("error", "Invalid password.");
+    });
+}
+
+/**
+ * Formats a lockout duration for a flash message.
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatWait(seconds) {
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? "" : "s"}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+}
+
+/**
+ * Logs out by starting a fresh session, so the old session id and its CSRF token stop working.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+function handleLogout(req, res, next) {
+    req.session.regenerate((err) => {
+        if (err) return next(err);
+        req.flash("success", "Logged out.");
         res.redirect("/");
+    });
+}
+
+/**
+ * Renders the user management page.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function handleUsers(req, res) {
+    const users = await readUsers();
+    const messages = { success: req.flash("success"), error: req.flash("error") };
+    res.render("users", { isAdmin: true, messages, users, roles: ROLES });
+}
+
+/**
+ * Creates a user from the management page form.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function handleCreateUser(req, res) {
+    const { username, password, role } = req.body;
+    try {
+        const user = await createUser({ username, password, role });
+        req.flash("success", `Created ${user.username}.`);
+    } catch (err) {
+        if (!(err instanceof ValidationError)) throw err;
+        req.flash("error", err.problems.map(p => p.message).join(" "));
+    }
+    res.redirect("/admin/users");
+}
+
+/**
+ * Changes a user's role and/or resets their password. Blank password fields are ignored.
+ * Refuses to demote the last remaining admin.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function handleUpdateUser(req, res) {
+    const target = await readUserById(req.params.id);
+    if (!target) {
+        req.flash("error", "User not found.");
+        return res.redirect("/admin/users");
+    }
+    const changes = {};
+    if (req.body.role && req.body.role !== target.role) changes.role = req.body.role;
+    if (req.body.password) changes.password = req.body.password;
+    if (target.role === "admin" && changes.role && (await countAdmins()) <= 1) {
+        req.flash("error", "At least one admin account is required.");
+        return res.redirect("/admin/users");
+    }
+    try {
+        await updateUser(target.id, changes);
+        req.flash("success", `Updated ${target.username}.`);
+    } catch (err) {
+        if (!(err instanceof ValidationError)) throw err;
+        req.flash("error", err.problems.map(p => p.message).join(" "));
+    }
+    res.redirect("/admin/users");
+}
+
+/**
+ * Deletes a user. Admins cannot delete their own account.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function handleDeleteUser(req, res) {
+    if (req.params.id === req.user.id) {
+        req.flash("error", "You cannot delete your own account.");
+        return res.redirect("/admin/users");
+    }
+    const deleted = await deleteUserById(req.params.id);
+    req.flash(deleted ? "success" : "error", deleted ? "User deleted." : "User not found.");
+    res.redirect("/admin/users");
+}
+
+/**
+ * Renders the API token page: the caller's own tokens, or every token for admins.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string|null} [newToken] Plaintext of a token just created, shown once.
+ */
+async function handleTokens(req, res, newToken = null) {
+    const isAdminUser = hasRole(req.user, "admin");
+    const tokens = await readTokens(isAdminUser ? {} : { userId: req.user.id });
+    const messages = { success: req.flash("success"), error: req.flash("error") };
+    res.render("tokens", { isAdmin: true, messages, tokens, scopes: SCOPES, newToken, showOwner: isAdminUser });
+}
+
+/**
+ * Issues a token for the signed-in user and shows its plaintext once.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function handleCreateToken(req, res) {
+    try {
+        const { token, record } = await createToken({ userId: req.user.id, name: req.body.name, scopes: req.body.scopes });
+        req.log.info("API token created", { tokenName: record.name, tokenPrefix: record.displayPrefix, user: req.user.username });
+        req.flash("success", `Created ${record.name}. Copy it now; it will not be shown again.`);
+        return handleTokens(req, res, token);
+    } catch (err) {
+        if (!(err instanceof ValidationError)) throw err;
+        req.flash("error", err.problems.map(p => p.message).join(" "));
+        res.redirect("/admin/tokens");
     }
 }
 
 /**
- * Logs out the current session.
+ * Revokes a token. Users may revoke their own tokens; admins may revoke any.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  */
-function handleLogout(req, res) {
-    req.session.isAdmin = false;
-    req.flash("success", "Logged out.");
-    res.redirect("/");
+async function handleRevokeToken(req, res) {
+    const token = await readTokenById(req.params.id);
+    if (!token || (token.userId !== req.user.id && !hasRole(req.user, "admin"))) {
+        req.flash("error", "Token not found.");
+        return res.redirect("/admin/tokens");
+    }
+    const revoked = await revokeToken(token.id);
+    if (revoked) req.log.info("API token revoked", { tokenName: token.name, tokenPrefix: token.displayPrefix, user: req.user.username });
+    req.flash(revoked ? "success" : "error", revoked ? `Revoked ${token.name}.` : "Token was already revoked.");
+    res.redirect("/admin/tokens");
 }
 
 /**
- * Express middleware that ensures the user is authenticated.
+ * Tags each request with an id (the caller's X-Request-Id when it looks sane) and echoes it back.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  * @param {import('express').NextFunction} next
  */
-function requireAuth(req, res, next) {
-    if (req.session?.isAdmin) return next();
-    return res.status(401).json({ error: "Unauthorized" });
+function assignRequestId(req, res, next) {
+    const incoming = req.get("X-Request-Id");
+    req.id = incoming && /^[\w.-]{1,128}$/.test(incoming) ? incoming : randomUUID();
+    res.setHeader("X-Request-Id", req.id);
+    next();
 }
 
 /**
- * Returns all stored GeoJSON features.
- * @param {import('express').Request} _req
+ * Who is making this change, for the revision log.
+ * @param {import('express').Request} req
+ * @returns {{actorId: string|null, actor: string|null, requestId: string}}
+ */
+function auditFrom(req) {
+    return { actorId: req.user ? req.user.id : null, actor: req.user ? req.user.username : null, requestId: req.id };
+}
+
+/**
+ * Parses the shared collection filters (`bbox`, `type`, `buildingId`, `limit`, `offset`).
+ * @param {Object} q Express query object.
+ * @returns {Object} Store filter.
+ * @throws {BadRequestError} When a parameter is malformed.
+ */
+function parseCollectionQuery(q) {
+    const filter = {};
+
+    const bbox = single(q.bbox);
+    if (bbox != null && bbox !== "") {
+        const parts = String(bbox).split(",").map(Number);
+        if (parts.length !== 4 || !parts.every(Number.isFinite)) {
+            throw new BadRequestError("bbox must be minLon,minLat,maxLon,maxLat");
+        }
+        const [minLon, minLat, maxLon, maxLat] = parts;
+        if (minLon > maxLon || minLat > maxLat) {
+            throw new BadRequestError("bbox min values must not exceed max values");
+        }
+        filter.bbox = { minLon, minLat, maxLon, maxLat };
+    }
+
+    const types = listParam(q.type);
+    if (types.length) filter.types = types;
+
+    const buildingId = single(q.buildingId);
+    if (buildingId) filter.buildingId = String(buildingId);
+
+    const limit = single(q.limit);
+    if (limit != null && limit !== "") {
+        const n = Number(limit);
+        if (!Number.isInteger(n) || n < 1 || n > MAX_PAGE_SIZE) {
+            throw new BadRequestError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+        }
+        filter.limit = n;
+    }
+
+    const offset = single(q.offset);
+    if (offset != null && offset !== "") {
+        const n = Number(offset);
+        if (!Number.isInteger(n) || n < 0) {
+            throw new BadRequestError("offset must be a non-negative integer");
+        }
+        filter.offset = n;
+    }
+
+    return filter;
+}
+
+/**
+ * Returns stored GeoJSON features, optionally filtered by viewport and attributes.
+ * @param {import('express').Request} req
  * @param {import('express').Response} res
  */
-async function apiGetFeatures(_req, res) {
-    const features = await readAllFeatures();
+async function apiGetFeatures(req, res) {
+    const filter = parseCollectionQuery(req.query);
+    if (await sendNotModified(req, res, "features")) return;
+    const features = await readFeatures(filter);
     res.json({ type: "FeatureCollection", features });
 }
 
+/**
+ * Ranked, typo-tolerant feature search for the search box.
+ * Query: `q` (required), `types` (comma-separated or repeated) and `limit` (default 10, at most 50).
+ * Responds with `{ query, results: [{ feature, score, highlights }] }`, best match first; each highlight
+ * is `{ field, value, ranges }` with `[start, end)` character ranges of `value` that matched.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function apiSearch(req, res) {
+    const query = parseSearchQuery(req.query);
+    const results = await searchFeatures(query);
+    res.json({ query: query.q, results });
+}
+
+/**
+ * Returns a single stored feature by id.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function apiGetFeature(req, res) {
+    const feature = await readFeatureById(req.params.id);
+    if (!feature) throw new NotFoundError("Feature not found");
+    setVersionTag(res, feature);
+    if (req.fresh) return res.status(304).end();
+    res.json(feature);
+}
+
 /**
  * Creates or updates a GeoJSON feature.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  */
 async function apiCreateOrUpdateFeature(req, res) {
-    const feature = req.body;
-    const saved = await upsertFeature(feature);
+    const saved = await upsertFeature(req.body, { expectedVersion: expectedVersionFrom(req), audit: auditFrom(req) });
+    setVersionTag(res, saved);
     res.json(saved);
 }
 
 /**
- * Deletes a feature by id.
+ * Tags a collection read with the collection's dataset version and answers 304 when the
+ * client's copy is still current, before anything is read from the table.
+ * The query string is part of the tag because filtered and paged reads differ in content.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {"features"|"walkways"} collection
+ * @returns {Promise<boolean>} true when the 304 has been sent.
+ */
+async function sendNotModified(req, res, collection) {
+    const version = await readDatasetVersion(collection);
+    const search = req.originalUrl.includes("?") ? req.originalUrl.slice(req.originalUrl.indexOf("?") + 1) : "";
+    const variant = createHash("sha256").update(search).digest("base64url").slice(0, 10);
+    res.set("ETag", `"${collection}-${version}-${variant}"`);
+    if (!req.fresh) return false;
+    res.status(304).end();
+    return true;
+}
+
+/**
+ * Moves a feature to the trash (see trash.js). Buildings can only be deleted by admins.
  * @param {import('express').Request} req
  * @param {import('express').Response} res
  */
 async function apiDeleteFeature(req, res) {
-    await deleteFeatureById(req.params.id);
+    const existing = await readFeatureById(req.params.id);
+    if (!existing) throw new NotFoundError("Feature not found");
+    if (existing.properties.type === "building" && !hasRole(req.user, "admin")) {
+        throw new ForbiddenError("Requires the admin role to delete buildings");
+    }
+    const deleted = await deleteFeatureById(req.params.id, {
+        expectedVersion: parseIfMatch(req.get("If-Match")),
+        audit: auditFrom(req)
+    });
+    if (!deleted) throw new NotFoundError("Feature not found");
     res.json({ ok: true });
 }
 
+/**
+ * Applies a list of feature and walkway upserts/deletes atomically.
+ * Body: `{ operations: [{ action, collection, feature | id, expectedVersion? }] }`.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function apiBatch(req, res) {
+    const { status, body } = await runBatch(req.body && req.body.operations, {
+        audit: auditFrom(req),
+        canDeleteBuildings: hasRole(req.user, "admin")
+    });
+    res.status(status).json(body);
+}
+
+/**
+ * Imports a GeoJSON FeatureCollection.
+ * Query: `collection` (features|walkways), `mode` (append|upsert|replace, default upsert),
+ * `dryRun=true` to only report the diff, `skipInvalid=true` to import valid rows despite failures.
+ * Replacing a whole collection deletes rows, so it needs the admin role.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function apiImport(req, res) {
+    const flag = (v) => v === "true" || v === "1";
+    const mode = req.query.mode || "upsert";
+    if (mode === "replace" && !hasRole(req.user, "admin")) {
+        throw new ForbiddenError("Requires the admin role to replace a collection");
+    }
+    const { status, body } = await importCollection(req.body, {
+        collection: req.query.collection,
+        mode,
+        dryRun: flag(req.query.dryRun),
+        skipInvalid: flag(req.query.skipInvalid),
+        audit: auditFrom(req)
+    });
+    res.status(status).json(body);
+}
+
+/**
+ * Downloads the dataset as a file.
+ * Query: `format` (geojson|kml|gpx|csv|shp, default geojson) and `layers`
+ * (features and/or walkways, comma-separated or repeated; default both).
+ * CSV only carries point features; `shp` is a zip with one shapefile per geometry type.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function apiExport(req, res) {
+    const format = String(req.query.format || "geojson").toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new BadRequestError(`format must be one of ${EXPORT_FORMATS.join(", ")}`);
+    }
+    const parsed = parseLayers(req.query.layers);
+    if (parsed.error) throw new BadRequestError(parsed.error);
+    const { contentType, filename, body } = await exportDataset(format, parsed.layers);
+    res.type(contentType);
+    res.attachment(filename);
+    if (Buffer.isBuffer(body)) return res.send(body);
+    body.on("error", (err) => {
+        req.log.error("Export stream failed", { format, err });
+        res.destroy(err);
+    });
+    body.pipe(res);
+}
+
+/**
+ * Lists the revisions of one feature, newest first. A seeded feature that was never edited has
+ * none yet; an id with neither revisions nor a stored feature is a 404.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function apiGetFeatureHistory(req, res) {
+    const revisions = await listRevisionsFor("features", req.params.id, { limit: req.query.limit });
+    if (!revisions.length && !(await readFeatureById(req.params.id))) throw new NotFoundError("Feature not found");
+    res.json({ featureId: req.params.id, revisions });
+}
+
+/**
+ * Lists revisions across features and walkways, oldest first.
+ * Query: `since` (ISO timestamp, inclusive) and `limit`.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function apiGetHistory(req, res) {
+    let since = null;
+    if (req.query.since) {
+        since = new Date(String(req.query.since));
+        if (Number.isNaN(since.getTime())) throw new BadRequestError("since must be an ISO 8601 timestamp");
+    }
+    const revisions = await listRevisionsSince({ since, limit: req.query.limit });
+    res.json({ revisions });
+}
+
+/**
+ * Undoes a revision by restoring the copy stored before it (or deleting what it created).
+ * The revert is itself recorded as a new revision. Send If-Match to guard against
+ * reverting over a newer edit; without it the current copy is replaced unconditionally.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function apiRevertRevision(req, res) {
+    const revision = await readRevisionById(req.params.revisionId);
+    if (!revision) throw new NotFoundError("Revision not found");
+    const isWalkway = revision.collection === "walkways";
+    const audit = { ...auditFrom(req), reverts: revision.id };
+    const ifMatch = parseIfMatch(req.get("If-Match"));
+    if (!revision.before) {
+        const remove = isWalkway ? deleteWalkwayById : deleteFeatureById;
+        const deleted = await remove(revision.featureId, { expectedVersion: ifMatch, audit });
+        return res.json({ ok: true, deleted, featureId: revision.featureId });
+    }
+    const upsert = isWalkway ? upsertWalkway : upsertFeature;
+    const saved = await upsert(revision.before, { expectedVersion: ifMatch ?? "*", audit });
+    setVersionTag(res, saved);
+    res.json(saved);
+}
+
+/**
+ * Lists deleted features and walkways that can still be restored, most recently deleted first.
+ * Query: `collection` (features|walkways, default both) and `limit`.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function apiGetTrash(req, res) {
+    const items = await listTrash({ collection: req.query.collection, limit: req.query.limit });
+    res.json({ retentionDays: TRASH_RETENTION_DAYS, items });
+}
+
+/**
+ * Restores a deleted feature, or a walkway with `collection=walkways`. The restore is recorded as a new revision.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function apiRestoreFromTrash(req, res) {
+    const collection = req.query.collection || "features";
+    const restored = await restoreFromTrash(collection, req.params.id, { audit: auditFrom(req) });
+    if (!restored) throw new NotFoundError(`${collection === "walkways" ? "Walkway" : "Feature"} is not in the trash`);
+    setVersionTag(res, restored);
+    res.json(restored);
+}
+
+/**
+ * Returns a walking route between two features or coordinates as a GeoJSON LineString.
+ * Query: `from` and `to`, each a feature id or "lon,lat".
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function apiGetRoute(req, res) {
+    const { status, body } = await findRoute(req.query.from, req.query.to);
+    res.status(status).json(body);
+}
+
+/**
+ * Returns the features closest to a point as a FeatureCollection, nearest first, each with `distanceMeters`.
+ * Query: `lon`, `lat` (required), `type` (comma-separated or repeated), `k` (default 5, at most 50)
+ * and `maxMeters`.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function apiGetNearest(req, res) {
+    const features = await findNearest(parseNearestQuery(req.query));
+    res.json({ type: "FeatureCollection", features });
+}
+
+/**
+ * Serves a Mapbox Vector Tile of the campus with layers buildings, parking, entrances and walkways.
+ * Tiles are built on demand and cached in-process until the next write; the ETag is the dataset versions.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+async function handleCampusTile(req, res) {
+    const coords = parseTileCoords(req.params.z, req.params.x, req.params.y);
+    if (!coords) throw new BadRequestError("Tile coordinates out of range");
+    const version = await tileDataVersion();
+    res.set("ETag", `"tile-${version}"`);
+    if (req.fresh) return res.status(304).end();
+    const tile = await getTile(coords, version);
+    res.type("application/vnd.mapbox-vector-tile");
+    res.send(tile);
+}
+
 /**
  * Handles 404 responses.
  * @param {import('express').Request} _req
@@ -233,18 +800,38 @@ function handleNotFound(_req, res) {
 }
 
 /**
- * Global error handler.
+ * Global error handler. Answers with the standard error body `{ code, message, details?, requestId }`;
+ * errors that are not HttpErrors become a 500 (or a 503 when the database is unreachable) and are
+ * logged with the request id, which the client also has from X-Request-Id.
  * @param {Error} err
- * @param {import('express').Request} _req
+ * @param {import('express').Request} req
  * @param {import('express').Response} res
  * @param {import('express').NextFunction} _next
  */
-function handleError(err, _req, res, _next) {
-    console.error(err);
-    res.status(500).json({ error: "Internal Server Error" });
+function handleError(err, req, res, _next) {
+    const httpError = toHttpError(err);
+    const log = req.log || logger;
+    if (httpError.status >= 500) log.error("Unhandled error", { method: req.method, path: req.path, err });
+    else if (httpError !== err) log.debug("Request rejected", { method: req.method, path: req.path, err });
+    if (res.headersSent) return res.destroy(); // too late for an error body; cut the response short instead
+    sendError(req, res, httpError);
+}
+
+if (require.main === module) {
+    const port = process.env.PORT || 5000;
+    // Migrations run before the server accepts requests; set MIGRATE_ON_START=false to leave them to `npm run migrate`.
+    const migrated = process.env.MIGRATE_ON_START === "false" ? Promise.resolve() : runMigrations();
+    migrated
+        .then(() => {
+            createApp().listen(port, () => {
+                logger.info("CR WebApp listening", { url: `http://localhost:${port}` });
+            });
+            startTrashPurge();
+        })
+        .catch((err) => {
+            logger.error("Not starting", { err });
+            process.exit(1);
+        });
 }
 
-const port = process.env.PORT || 5000;
-createApp().listen(port, () => {
-    console.log(`CR WebApp listening on http://localhost:${port}`);
-});
+module.exports = { createApp };
@@ -0,0 +1,72 @@
+const { documents, withTransaction } = require("./storage");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Touches only write when the stored expiry is this far behind, so browsing does not rewrite the sessions file.
+const TOUCH_AFTER_MS = 60 * 60 * 1000;
+const PRUNE_EVERY_MS = 15 * 60 * 1000;
+
+function expiryOf(sess) {
+    const expires = sess && sess.cookie && sess.cookie.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + DAY_MS;
+}
+
+/**
+ * Builds the express-session store for the configured storage backend:
+ * connect-pg-simple on Postgres, otherwise a store over the "sessions" document table.
+ * @param {typeof import('express-session')} session
+ * @returns {import('express-session').Store}
+ */
+function createSessionStore(session) {
+    if (!documents) {
+        const PgStore = require("connect-pg-simple")(session);
+        return new PgStore({
+            pool: require("./db").pool,
+            tableName: "session" // created by migrations/003_session.sql
+        });
+    }
+
+    class DocumentSessionStore extends session.Store {
+        constructor() {
+            super();
+            this.lastPrune = 0;
+        }
+
+        get(sid, callback) {
+            documents.get("sessions", sid).then((row) => {
+                if (!row || row.expires < Date.now()) return callback(null, null);
+                callback(null, row.sess);
+            }, callback);
+        }
+
+        set(sid, sess, callback = () => {}) {
+            this.write(async tx => tx.put("sessions", sid, { sess, expires: expiryOf(sess) }), callback);
+        }
+
+        touch(sid, sess, callback = () => {}) {
+            const expires = expiryOf(sess);
+            this.write(async (tx) => {
+                const row = tx.get("sessions", sid);
+                if (row && expires - row.expires > TOUCH_AFTER_MS) tx.put("sessions", sid, { ...row, expires });
+            }, callback);
+        }
+
+        destroy(sid, callback = () => {}) {
+            this.write(async tx => tx.remove("sessions", sid), callback);
+        }
+
+        // Expired sessions are swept up alongside other writes, at most every PRUNE_EVERY_MS.
+        write(work, callback) {
+            const now = Date.now();
+            const prune = now - this.lastPrune > PRUNE_EVERY_MS;
+            if (prune) this.lastPrune = now;
+            withTransaction(async (tx) => {
+                await work(tx);
+                if (prune) tx.list("sessions").filter(r => r.expires < now).forEach(r => tx.remove("sessions", r.id));
+            }).then(() => callback(null), callback);
+        }
+    }
+
+    return new DocumentSessionStore();
+}
+
+module.exports = { createSessionStore };
@@ -0,0 +1,165 @@
+// Minimal ESRI Shapefile writer (points, polylines and polygons in WGS84) for exports.
+// Spec: https://www.esri.com/content/dam/esrisites/sitecore-archive/Files/Pdfs/library/whitepapers/pdfs/shapefile.pdf
+
+const SHAPE_TYPES = { point: 1, polyline: 3, polygon: 5 };
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],'
+    + 'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+function signedArea(ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return sum / 2;
+}
+
+// Shapefiles want outer rings clockwise and holes counter-clockwise, the reverse of GeoJSON.
+function orientRing(ring, outer) {
+    const clockwise = signedArea(ring) < 0;
+    return clockwise === outer ? ring : ring.slice().reverse();
+}
+
+/**
+ * Splits a GeoJSON geometry into shapefile parts (arrays of [x, y]).
+ * @returns {Array<Array<[number, number]>>}
+ */
+function partsOf(geom) {
+    const c = geom.coordinates;
+    switch (geom.type) {
+    case "Point": return [[c]];
+    case "MultiPoint": return [c];
+    case "LineString": return [c];
+    case "MultiLineString": return c;
+    case "Polygon": return c.map((ring, i) => orientRing(ring, i === 0));
+    case "MultiPolygon": return c.flatMap(poly => poly.map((ring, i) => orientRing(ring, i === 0)));
+    default: return [];
+    }
+}
+
+function boundsOf(points) {
+    let xmin = Infinity, ymin = Infinity, xmax = -Infinity, ymax = -Infinity;
+    for (const [x, y] of points) {
+        if (x < xmin) xmin = x;
+        if (y < ymin) ymin = y;
+        if (x > xmax) xmax = x;
+        if (y > ymax) ymax = y;
+    }
+    return Number.isFinite(xmin) ? [xmin, ymin, xmax, ymax] : [0, 0, 0, 0];
+}
+
+function recordContent(shapeType, parts) {
+    const points = parts.flat();
+    if (shapeType === SHAPE_TYPES.point) {
+        const buf = Buffer.alloc(20);
+        buf.writeInt32LE(shapeType, 0);
+        buf.writeDoubleLE(points[0][0], 4);
+        buf.writeDoubleLE(points[0][1], 12);
+        return buf;
+    }
+    const buf = Buffer.alloc(44 + 4 * parts.length + 16 * points.length);
+    buf.writeInt32LE(shapeType, 0);
+    boundsOf(points).forEach((v, i) => buf.writeDoubleLE(v, 4 + 8 * i));
+    buf.writeInt32LE(parts.length, 36);
+    buf.writeInt32LE(points.length, 40);
+    let start = 0;
+    parts.forEach((part, i) => {
+        buf.writeInt32LE(start, 44 + 4 * i);
+        start += part.length;
+    });
+    let pos = 44 + 4 * parts.length;
+    for (const [x, y] of points) {
+        buf.writeDoubleLE(x, pos);
+        buf.writeDoubleLE(y, pos + 8);
+        pos += 16;
+    }
+    return buf;
+}
+
+function fileHeader(shapeType, byteLength, bbox) {
+    const buf = Buffer.alloc(100);
+    buf.writeInt32BE(9994, 0);
+    buf.writeInt32BE(byteLength / 2, 24); // length in 16-bit words
+    buf.writeInt32LE(1000, 28);
+    buf.writeInt32LE(shapeType, 32);
+    bbox.forEach((v, i) => buf.writeDoubleLE(v, 36 + 8 * i));
+    return buf;
+}
+
+// Cuts a string to at most `bytes` UTF-8 bytes without splitting a character.
+function fitBytes(str, bytes) {
+    let s = String(str == null ? "" : str);
+    while (Buffer.byteLength(s, "utf8") > bytes) s = s.slice(0, -1);
+    return s;
+}
+
+function dbfFile(fields, rows) {
+    const recordLength = 1 + fields.reduce((n, f) => n + f.length, 0);
+    const headerLength = 32 + 32 * fields.length + 1;
+    const buf = Buffer.alloc(headerLength + recordLength * rows.length + 1, 0x20);
+    const now = new Date();
+    buf.fill(0, 0, headerLength);
+    buf.writeUInt8(0x03, 0);
+    buf.writeUInt8(now.getFullYear() - 1900, 1);
+    buf.writeUInt8(now.getMonth() + 1, 2);
+    buf.writeUInt8(now.getDate(), 3);
+    buf.writeUInt32LE(rows.length, 4);
+    buf.writeUInt16LE(headerLength, 8);
+    buf.writeUInt16LE(recordLength, 10);
+    fields.forEach((f, i) => {
+        const at = 32 + 32 * i;
+        buf.write(f.name.slice(0, 10), at, "latin1");
+        buf.write("C", at + 11, "latin1");
+        buf.writeUInt8(f.length, at + 16);
+    });
+    buf.writeUInt8(0x0d, headerLength - 1);
+    rows.forEach((row, r) => {
+        let pos = headerLength + r * recordLength + 1; // byte 0 is the deletion flag, left as a space
+        fields.forEach((f) => {
+            buf.write(fitBytes(f.value(row), f.length), pos, "utf8");
+            pos += f.length;
+        });
+    });
+    buf.writeUInt8(0x1a, buf.length - 1);
+    return buf;
+}
+
+/**
+ * Writes one shapefile set (.shp, .shx, .dbf, .prj, .cpg) for features of a single shape kind.
+ * Attribute columns are text; values longer than the column are truncated.
+ * @param {string} basename File name without extension.
+ * @param {"point"|"polyline"|"polygon"} kind
+ * @param {GeoJSON.Feature[]} features
+ * @param {Array<{name: string, length: number, value: (f: GeoJSON.Feature) => string}>} fields DBF columns (names up to 10 chars).
+ * @returns {Array<{name: string, data: Buffer|string}>}
+ */
+function writeShapefile(basename, kind, features, fields) {
+    const shapeType = SHAPE_TYPES[kind];
+    const records = features.map(f => recordContent(shapeType, partsOf(f.geometry)));
+    const bbox = boundsOf(features.flatMap(f => partsOf(f.geometry).flat()));
+
+    const shpLength = 100 + records.reduce((n, r) => n + 8 + r.length, 0);
+    const shp = [fileHeader(shapeType, shpLength, bbox)];
+    const shx = [fileHeader(shapeType, 100 + 8 * records.length, bbox)];
+    let offset = 100;
+    records.forEach((content, i) => {
+        const head = Buffer.alloc(8);
+        head.writeInt32BE(i + 1, 0);
+        head.writeInt32BE(content.length / 2, 4);
+        shp.push(head, content);
+        const idx = Buffer.alloc(8);
+        idx.writeInt32BE(offset / 2, 0);
+        idx.writeInt32BE(content.length / 2, 4);
+        shx.push(idx);
+        offset += 8 + content.length;
+    });
+
+    return [
+        { name: `${basename}.shp`, data: Buffer.concat(shp) },
+        { name: `${basename}.shx`, data: Buffer.concat(shx) },
+        { name: `${basename}.dbf`, data: dbfFile(fields, features) },
+        { name: `${basename}.prj`, data: WGS84_PRJ },
+        { name: `${basename}.cpg`, data: "UTF-8" }
+    ];
+}
+
+module.exports = { writeShapefile };
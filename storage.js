@@ -0,0 +1,274 @@
+require("dotenv").config();
+const { randomUUID } = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const { createDocumentStore } = require("./documentStore");
+const { logger } = require("./logger");
+
+// "postgres" (default), "json" (files under JSON_DATA_DIR, default ./data/local) or "memory" (lost on restart).
+const BACKENDS = ["postgres", "json", "memory"];
+const BACKEND = (process.env.STORAGE_BACKEND || "postgres").trim().toLowerCase();
+if (!BACKENDS.includes(BACKEND)) {
+    throw new Error(`STORAGE_BACKEND must be one of ${BACKENDS.join(", ")} (got "${process.env.STORAGE_BACKEND}")`);
+}
+
+// The shipped seed data is only read. The json backend works on its own copy in JSON_DATA_DIR, made on
+// first start, so running the app never rewrites files under version control.
+const SEED_DIR = path.join(__dirname, "data");
+const JSON_DATA_DIR = path.resolve(process.env.JSON_DATA_DIR || path.join(SEED_DIR, "local"));
+// The collections keep the GeoJSON layout of the seed files;
+// everything else (users, tokens, revisions, sessions, ...) is app state and lives beside them.
+const COLLECTION_FILES = { features: "features.json", walkways: "walkways.json" };
+const STATE_DIR = path.join(JSON_DATA_DIR, "state");
+// Tables whose rows are only ever added. They are kept one row per line and appended to rather than rewritten.
+const APPEND_ONLY_TABLES = ["revisions"];
+
+function fileFor(table) {
+    if (COLLECTION_FILES[table]) return path.join(JSON_DATA_DIR, COLLECTION_FILES[table]);
+    return path.join(STATE_DIR, APPEND_ONLY_TABLES.includes(table) ? `${table}.jsonl` : `${table}.json`);
+}
+
+async function readJsonFile(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw new Error(`Could not read ${file}: ${err.message}`);
+    }
+}
+
+// Writes every value to a temporary file next to its target; nothing is replaced until `replace()`
+// renames them over their targets, and `discard()` removes them instead. Readers never see a half-written
+// file and a failed write (disk full, permissions) changes none of them, but there is no atomicity across
+// files: a crash between two renames leaves the earlier ones replaced.
+async function stageJsonFiles(entries) {
+    const staged = [];
+    const discard = () => Promise.all(staged.splice(0).map(s => fs.unlink(s.tmp).catch(() => {})));
+    try {
+        for (const { file, value } of entries) {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            const tmp = `${file}.${process.pid}.${randomUUID().slice(0, 8)}.tmp`;
+            staged.push({ tmp, file });
+            await fs.writeFile(tmp, JSON.stringify(value, null, 2));
+        }
+    } catch (err) {
+        await discard();
+        throw err;
+    }
+    return {
+        async replace() {
+            try {
+                while (staged.length) {
+                    await fs.rename(staged[0].tmp, staged[0].file);
+                    staged.shift();
+                }
+            } catch (err) {
+                await discard();
+                throw err;
+            }
+        },
+        discard
+    };
+}
+
+// Adds one line per row. A failed append cuts the file back to where it was, so a partial line
+// cannot end up in front of the next one.
+async function appendJsonLines(file, rows) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const handle = await fs.open(file, "a");
+    let size = null;
+    try {
+        size = (await handle.stat()).size;
+        await handle.appendFile(rows.map(row => `${JSON.stringify(row)}\n`).join(""));
+    } catch (err) {
+        if (size != null) await handle.truncate(size).catch(() => {});
+        throw err;
+    } finally {
+        await handle.close();
+    }
+}
+
+// Reads a file written by appendJsonLines. Text after the last newline is an append a crash cut
+// short, whose transaction never committed; it is dropped and cut off the file.
+async function readJsonLines(file) {
+    let text;
+    try {
+        text = await fs.readFile(file, "utf8");
+    } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw new Error(`Could not read ${file}: ${err.message}`);
+    }
+    const end = text.lastIndexOf("\n") + 1;
+    if (end < text.length) {
+        logger.warn("Dropping an incomplete last line", { file });
+        await fs.truncate(file, Buffer.byteLength(text.slice(0, end)));
+    }
+    return text.slice(0, end).split("\n").filter(line => line.trim()).map((line, i) => {
+        try {
+            return JSON.parse(line);
+        } catch (err) {
+            throw new Error(`Could not read ${file} line ${i + 1}: ${err.message}`);
+        }
+    });
+}
+
+// A feature's row is the GeoJSON itself; `_version` is kept in its properties on disk.
+function featureToRow(feature) {
+    const props = { ...(feature.properties || {}) };
+    const id = props._id || randomUUID();
+    const version = Number.isInteger(props._version) && props._version > 0 ? props._version : 1;
+    delete props._version;
+    return { id, version, data: { ...feature, properties: { ...props, _id: id } } };
+}
+
+function rowToStoredFeature(row) {
+    return { ...row.data, properties: { ...(row.data.properties || {}), _version: row.version } };
+}
+
+// Deleted features wait for the purge in a `trash` member next to `features`, which GeoJSON readers ignore.
+function trashEntryToRow(entry) {
+    return { ...featureToRow(entry.feature), deleted_at: entry.deletedAt, deleted_by: entry.deletedBy || null };
+}
+
+function rowToTrashEntry(row) {
+    return { deletedAt: row.deleted_at, deletedBy: row.deleted_by, feature: rowToStoredFeature(row) };
+}
+
+async function loadCollection(table, dir = JSON_DATA_DIR) {
+    const fc = await readJsonFile(path.join(dir, COLLECTION_FILES[table]));
+    const features = (fc && Array.isArray(fc.features) ? fc.features : []).filter(f => f && f.geometry);
+    const trash = (fc && Array.isArray(fc.trash) ? fc.trash : []).filter(e => e && e.deletedAt && e.feature && e.feature.geometry);
+    const rows = features.map(featureToRow).concat(trash.map(trashEntryToRow));
+    return { rows, found: fc != null, assignedIds: features.some(f => !(f.properties && f.properties._id)) };
+}
+
+async function pathExists(file) {
+    return fs.access(file).then(() => true, () => false);
+}
+
+// Before JSON_DATA_DIR defaulted to data/local, app state lived in data/state and edits went straight
+// into the seed files. Moving that state over keeps accounts and history; the edited seed files are
+// copied like any others.
+async function adoptLegacyState() {
+    const legacy = path.join(SEED_DIR, "state");
+    if (process.env.JSON_DATA_DIR || await pathExists(STATE_DIR) || !await pathExists(legacy)) return;
+    await fs.mkdir(JSON_DATA_DIR, { recursive: true });
+    await fs.rename(legacy, STATE_DIR);
+    logger.info("Moved json backend state", { from: legacy, to: STATE_DIR });
+}
+
+// revisions.json from before the table was append-only becomes the first lines of revisions.jsonl.
+async function convertToJsonLines(table) {
+    const legacy = path.join(STATE_DIR, `${table}.json`);
+    const rows = await readJsonFile(legacy);
+    if (!Array.isArray(rows) || await pathExists(fileFor(table))) return;
+    const tmp = `${fileFor(table)}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, rows.map(row => `${JSON.stringify(row)}\n`).join(""));
+    await fs.rename(tmp, fileFor(table));
+    await fs.unlink(legacy);
+}
+
+async function loadJsonTables() {
+    await adoptLegacyState();
+    const tables = {};
+    for (const table of Object.keys(COLLECTION_FILES)) {
+        let loaded = await loadCollection(table);
+        const seeded = !loaded.found;
+        if (seeded) loaded = await loadCollection(table, SEED_DIR);
+        tables[table] = loaded.rows;
+        // A fresh copy of the seed is written out, as are ids handed out on load: they must survive
+        // a restart, or links and revisions would point at nothing.
+        if (seeded || loaded.assignedIds) {
+            const staged = await stageJsonFiles([{ file: fileFor(table), value: collectionFileContent(loaded.rows) }]);
+            await staged.replace();
+        }
+    }
+    for (const table of APPEND_ONLY_TABLES) await convertToJsonLines(table);
+    let names = [];
+    try {
+        names = await fs.readdir(STATE_DIR);
+    } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+    }
+    for (const name of names) {
+        const table = name.replace(/\.jsonl?$/, "");
+        if (table === name || fileFor(table) !== path.join(STATE_DIR, name)) continue;
+        const rows = APPEND_ONLY_TABLES.includes(table) ? await readJsonLines(fileFor(table)) : await readJsonFile(fileFor(table));
+        tables[table] = Array.isArray(rows) ? rows : [];
+    }
+    return tables;
+}
+
+function collectionFileContent(rows) {
+    const trashed = rows.filter(r => r.deleted_at);
+    const value = { features: rows.filter(r => !r.deleted_at).map(rowToStoredFeature) };
+    if (trashed.length) value.trash = trashed.map(rowToTrashEntry);
+    return value;
+}
+
+// Every table one transaction changed is written in one go: the rewritten tables are staged (see
+// stageJsonFiles), then new rows are appended to the append-only ones, then the staged files replace
+// the old ones. A failure before the last step leaves every file as it was.
+async function persistJsonTables(changes) {
+    const appends = changes.filter(c => APPEND_ONLY_TABLES.includes(c.table));
+    for (const { table, written } of appends) {
+        if ([...written.values()].includes(null)) throw new Error(`${table} is append-only; rows cannot be removed`);
+    }
+    const staged = await stageJsonFiles(changes.filter(c => !appends.includes(c)).map(({ table, rows }) => ({
+        file: fileFor(table),
+        value: COLLECTION_FILES[table] ? collectionFileContent(rows) : rows
+    })));
+    try {
+        for (const { table, written } of appends) await appendJsonLines(fileFor(table), [...written.values()]);
+    } catch (err) {
+        await staged.discard();
+        throw err;
+    }
+    await staged.replace();
+}
+
+// The memory backend starts empty unless SEED_FROM_JSON asks for the shipped data, as it does for Postgres.
+async function loadMemoryTables() {
+    if (process.env.SEED_FROM_JSON !== "true") return {};
+    const tables = {};
+    for (const table of Object.keys(COLLECTION_FILES)) {
+        tables[table] = (await loadCollection(table, SEED_DIR)).rows;
+    }
+    return tables;
+}
+
+let documents = null;
+if (BACKEND === "json") {
+    documents = createDocumentStore({ load: loadJsonTables, persist: persistJsonTables });
+} else if (BACKEND === "memory") {
+    documents = createDocumentStore({ load: loadMemoryTables });
+}
+
+/**
+ * Runs `work` in a transaction of whichever backend is configured. See db.withTransaction;
+ * with the json and memory backends `work` gets a document transaction (get/list/put/remove) instead of a pg client.
+ * @template T
+ * @param {(client: Object) => Promise<T>} work
+ * @param {Object} [outer]
+ * @returns {Promise<T>}
+ */
+function withTransaction(work, outer) {
+    if (documents) return documents.withTransaction(work, outer);
+    return require("./db").withTransaction(work, outer);
+}
+
+/**
+ * SQL query against Postgres. Only valid when the postgres backend is selected.
+ */
+function query(text, params) {
+    return require("./db").query(text, params);
+}
+
+module.exports = {
+    BACKEND,
+    JSON_DATA_DIR,
+    /** Document store for the json and memory backends; null when Postgres is in use. */
+    documents,
+    query,
+    withTransaction
+};
@@ -1,14 +1,23 @@
 const { randomUUID: cryptoRandomUUID } = require("crypto");
 const fs = require("fs/promises");
 const path = require("path");
-const { query } = require("./db");
+const { documents, query, withTransaction } = require("./storage");
+const { storeEvents } = require("./storeEvents");
+const { logger } = require("./logger");
+const { validateFeature } = require("./validation");
+const { ValidationError } = require("./errors");
+const { assertExpectedVersion } = require("./concurrency");
+const { pageRows, compareIds } = require("./documentStore");
+const { recordRevision } = require("./history");
+const { bumpDatasetVersion } = require("./datasetVersion");
 let uuidv4 = null;
 try { uuidv4 = require("uuid").v4; } catch (_) { /* optional */ }
 
 const DATA_DIR = path.join(__dirname, "data");
 const DATA_PATH = path.join(DATA_DIR, "features.json");
-let tablesReady = false;
+let seeded = false;
 const SHOULD_SEED_FROM_JSON = process.env.SEED_FROM_JSON === "true";
+const SELECT_COLUMNS = "id, type, name, number, building_id, prefix, direction, data, geom, version, deleted_at, deleted_by";
 
 function makeId() {
     if (typeof cryptoRandomUUID === "function") return cryptoRandomUUID();
@@ -43,42 +52,10 @@ function getBBox(geom) {
     return { minLon, minLat, maxLon, maxLat };
 }
 
-async function ensureTables() {
-    if (tablesReady) return;
-    await query(`
-        CREATE TABLE IF NOT EXISTS features (
-            id TEXT PRIMARY KEY,
-            type TEXT,
-            name TEXT,
-            number TEXT,
-            building_id TEXT,
-            prefix TEXT,
-            direction TEXT,
-            point_lon DOUBLE PRECISION,
-            point_lat DOUBLE PRECISION,
-            bbox_min_lon DOUBLE PRECISION,
-            bbox_min_lat DOUBLE PRECISION,
-            bbox_max_lon DOUBLE PRECISION,
-            bbox_max_lat DOUBLE PRECISION,
-            data JSONB,
-            geom JSONB
-        );
-    `);
-    const addCol = async (col, def) => query(`ALTER TABLE features ADD COLUMN IF NOT EXISTS ${col} ${def};`);
-    await addCol("type", "TEXT");
-    await addCol("name", "TEXT");
-    await addCol("number", "TEXT");
-    await addCol("building_id", "TEXT");
-    await addCol("prefix", "TEXT");
-    await addCol("direction", "TEXT");
-    await addCol("point_lon", "DOUBLE PRECISION");
-    await addCol("point_lat", "DOUBLE PRECISION");
-    await addCol("bbox_min_lon", "DOUBLE PRECISION");
-    await addCol("bbox_min_lat", "DOUBLE PRECISION");
-    await addCol("bbox_max_lon", "DOUBLE PRECISION");
-    await addCol("bbox_max_lat", "DOUBLE PRECISION");
-    await addCol("geom", "JSONB");
-    tablesReady = true;
+// The table itself comes from migrations/; the shipped JSON is loaded into it on first use when SEED_FROM_JSON is set.
+async function ensureSeeded() {
+    if (seeded || documents) return;
+    seeded = true;
     if (SHOULD_SEED_FROM_JSON) {
         await maybeImportFromJson();
     }
@@ -89,7 +66,7 @@ async function maybeImportFromJson() {
         const countRes = await query("SELECT COUNT(*)::int AS n FROM features");
         if ((countRes.rows[0].n || 0) > 0) return;
     } catch (e) {
-        console.warn("Count check failed, skipping import", e);
+        logger.warn("Feature count check failed, skipping JSON import", { err: e });
         return;
     }
 
@@ -135,49 +112,161 @@ async function maybeImportFromJson() {
             );
             imported += 1;
         }
-        console.log(`Imported ${imported} features from JSON`);
+        if (imported > 0) {
+            await bumpDatasetVersion({ query }, "features");
+            storeEvents.emit("change", { collection: "features", action: "import" });
+        }
+        logger.info("Imported features from JSON", { imported, file: DATA_PATH });
     } catch (e) {
-        console.warn("Feature JSON import skipped", e.message);
+        logger.warn("Feature JSON import skipped", { file: DATA_PATH, err: e });
     }
 }
 
+// Rows in the trash (deleted_at set) are left out of every read except the trash listing.
+function buildFilterClause(filter) {
+    const where = ["deleted_at IS NULL"];
+    const params = [];
+    const f = filter || {};
+    if (f.bbox) {
+        params.push(f.bbox.minLon, f.bbox.maxLon, f.bbox.minLat, f.bbox.maxLat);
+        const n = params.length;
+        where.push(`bbox_max_lon >= $${n - 3} AND bbox_min_lon <= $${n - 2} AND bbox_max_lat >= $${n - 1} AND bbox_min_lat <= $${n}`);
+    }
+    if (f.types && f.types.length) {
+        params.push(f.types);
+        where.push(`type = ANY($${params.length})`);
+    }
+    if (f.buildingId) {
+        params.push(f.buildingId);
+        where.push(`building_id = $${params.length}`);
+    }
+    if (f.ids) {
+        params.push(f.ids);
+        where.push(`id = ANY($${params.length})`);
+    }
+    let sql = ` WHERE ${where.join(" AND ")}`;
+    sql += " ORDER BY id";
+    if (f.limit != null) {
+        params.push(f.limit);
+        sql += ` LIMIT $${params.length}`;
+    }
+    if (f.offset) {
+        params.push(f.offset);
+        sql += ` OFFSET $${params.length}`;
+    }
+    return { sql, params };
+}
+
 async function readAllFeatures() {
-    await ensureTables();
-    const res = await query("SELECT id, type, name, number, building_id, prefix, direction, data, geom FROM features");
-    return res.rows.map(r => {
-        if (r.data) return r.data;
-        return {
-            type: "Feature",
-            geometry: r.geom || null,
-            properties: {
-                _id: r.id,
-                type: r.type,
-                name: r.name,
-                number: r.number,
-                buildingId: r.building_id,
-                prefix: r.prefix,
-                direction: r.direction
-            }
-        };
-    });
+    return readFeatures({});
 }
 
-async function upsertFeature(feature) {
-    await ensureTables();
-    const id = feature?.properties?._id || makeId();
-    const withId = { ...feature, properties: { ...(feature.properties || {}), _id: id } };
+// Document-backend counterpart of buildFilterClause's WHERE.
+function matchesFilter(row, filter) {
+    const f = filter || {};
+    const p = row.data.properties || {};
+    if (row.deleted_at) return false;
+    if (f.bbox) {
+        const b = getBBox(row.data.geometry);
+        if (!b || b.maxLon < f.bbox.minLon || b.minLon > f.bbox.maxLon || b.maxLat < f.bbox.minLat || b.minLat > f.bbox.maxLat) return false;
+    }
+    if (f.types && f.types.length && !f.types.includes(p.type)) return false;
+    if (f.buildingId && p.buildingId !== f.buildingId) return false;
+    if (f.ids && !f.ids.includes(String(row.id))) return false;
+    return true;
+}
+
+async function readFeatures(filter) {
+    await ensureSeeded();
+    if (documents) {
+        const rows = await documents.list("features");
+        return pageRows(rows.filter(r => matchesFilter(r, filter)), filter).map(rowToFeature);
+    }
+    const clause = buildFilterClause(filter);
+    const res = await query(`SELECT ${SELECT_COLUMNS} FROM features${clause.sql}`, clause.params);
+    return res.rows.map(rowToFeature);
+}
+
+/**
+ * Bounding box, type and geometry of every feature that has a geometry, for the spatial index.
+ * Reads the bbox columns rather than whole rows. Pass `ids` to read only those features.
+ * @param {{ids?: string[]}} [filter]
+ * @returns {Promise<Array<{id: string, type: string|null, minLon: number, minLat: number, maxLon: number, maxLat: number, geometry: GeoJSON.Geometry}>>}
+ */
+async function readFeatureBoxes({ ids } = {}) {
+    await ensureSeeded();
+    if (documents) {
+        const rows = await documents.list("features");
+        return rows
+            .filter(r => !r.deleted_at && (!ids || ids.includes(String(r.id))))
+            .map((r) => {
+                const bbox = getBBox(r.data.geometry);
+                return bbox && { id: String(r.id), type: r.data.properties?.type ?? null, ...bbox, geometry: r.data.geometry };
+            })
+            .filter(Boolean);
+    }
+    const res = await query(
+        `SELECT id, type, bbox_min_lon, bbox_min_lat, bbox_max_lon, bbox_max_lat, geom FROM features
+         WHERE deleted_at IS NULL AND bbox_min_lon IS NOT NULL${ids ? " AND id = ANY($1)" : ""}`,
+        ids ? [ids] : []
+    );
+    return res.rows.map(r => ({
+        id: r.id,
+        type: r.type,
+        minLon: r.bbox_min_lon,
+        minLat: r.bbox_min_lat,
+        maxLon: r.bbox_max_lon,
+        maxLat: r.bbox_max_lat,
+        geometry: r.geom
+    }));
+}
+
+async function countFeatures() {
+    await ensureSeeded();
+    if (documents) return (await documents.list("features")).filter(r => !r.deleted_at).length;
+    const res = await query("SELECT COUNT(*)::int AS n FROM features WHERE deleted_at IS NULL");
+    return res.rows[0].n;
+}
+
+/**
+ * Reads one row by id, or null (also when it is in the trash). Pass `client` to read inside an open transaction.
+ */
+async function readFeatureById(id, { client } = {}) {
+    await ensureSeeded();
+    if (documents) {
+        const row = await (client || documents).get("features", id);
+        return row && !row.deleted_at ? rowToFeature(row) : null;
+    }
+    const res = await (client || { query }).query(`SELECT ${SELECT_COLUMNS} FROM features WHERE id = $1 AND deleted_at IS NULL`, [id]);
+    return res.rows.length ? rowToFeature(res.rows[0]) : null;
+}
+
+// Stored row inside a write transaction, locked on Postgres until it commits. Trashed rows are
+// returned too: a write to their id takes them out of the trash.
+async function readRowForUpdate(client, id) {
+    if (documents) return client.get("features", id);
+    const cur = await client.query(`SELECT ${SELECT_COLUMNS} FROM features WHERE id = $1 FOR UPDATE`, [id]);
+    return cur.rows[0] || null;
+}
+
+async function writeFeatureRow(client, withId, version) {
+    const id = withId.properties._id;
+    if (documents) {
+        client.put("features", id, { data: withId, version });
+        return;
+    }
     const p = withId.properties || {};
     const geom = withId.geometry || null;
     const bbox = getBBox(geom);
     const isPoint = geom && geom.type === "Point" && Array.isArray(geom.coordinates);
     const pointLon = isPoint ? geom.coordinates[0] : null;
     const pointLat = isPoint ? geom.coordinates[1] : null;
-    await query(
+    await client.query(
         `INSERT INTO features (id, type, name, number, building_id, prefix, direction,
                                point_lon, point_lat,
                                bbox_min_lon, bbox_min_lat, bbox_max_lon, bbox_max_lat,
-                               data, geom)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15)
+                               data, geom, version)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
          ON CONFLICT (id) DO UPDATE SET
             type = EXCLUDED.type,
             name = EXCLUDED.name,
@@ -192,7 +281,10 @@ async function upsertFeature(feature) {
             bbox_max_lon = EXCLUDED.bbox_max_lon,
             bbox_max_lat = EXCLUDED.bbox_max_lat,
             data = EXCLUDED.data,
-            geom = EXCLUDED.geom`,
+            geom = EXCLUDED.geom,
+            version = EXCLUDED.version,
+            deleted_at = NULL,
+            deleted_by = NULL`,
         [
             id,
             p.type || null,
@@ -208,19 +300,164 @@ async function upsertFeature(feature) {
             bbox ? bbox.maxLon : null,
             bbox ? bbox.maxLat : null,
             toJsonb(withId),
-            toJsonb(geom || {})
+            toJsonb(geom || {}),
+            version
         ]
     );
-    return withId;
 }
 
-async function deleteFeatureById(id) {
-    await ensureTables();
-    await query("DELETE FROM features WHERE id = $1", [id]);
+function rowToFeature(r) {
+    if (r.data) return { ...r.data, properties: { ...(r.data.properties || {}), _version: r.version } };
+    return {
+        type: "Feature",
+        geometry: r.geom || null,
+        properties: {
+            _id: r.id,
+            type: r.type,
+            name: r.name,
+            number: r.number,
+            buildingId: r.building_id,
+            prefix: r.prefix,
+            direction: r.direction,
+            _version: r.version
+        }
+    };
+}
+
+/**
+ * Inserts or updates a feature.
+ * `expectedVersion` is the `_version` the caller last saw: null for a new feature,
+ * "*" to overwrite unconditionally. Stale versions throw ConflictError.
+ * `audit` ({ actorId, actor, requestId, reverts }) is recorded on the revision row written with the change.
+ * Pass `client` to run inside a caller's open transaction (see storage.withTransaction).
+ */
+async function upsertFeature(feature, { expectedVersion = null, audit, client: outer } = {}) {
+    const problems = validateFeature(feature);
+    if (problems.length) throw new ValidationError(problems, "Invalid feature");
+    await ensureSeeded();
+    const id = feature?.properties?._id || makeId();
+    const props = { ...(feature.properties || {}), _id: id };
+    delete props._version; // lives in its own column
+    const withId = { ...feature, properties: props };
+    const version = await withTransaction(async (client) => {
+        const stored = await readRowForUpdate(client, id);
+        const current = stored && !stored.deleted_at ? rowToFeature(stored) : null;
+        assertExpectedVersion(current, expectedVersion, "Feature");
+        // Overwriting a trashed copy counts as creating the feature again; its version keeps counting up.
+        const nextVersion = stored ? stored.version + 1 : 1;
+        await writeFeatureRow(client, withId, nextVersion);
+        const after = { ...withId, properties: { ...withId.properties, _version: nextVersion } };
+        await recordRevision(client, { collection: "features", featureId: id, before: current, after }, audit);
+        await bumpDatasetVersion(client, "features");
+        client.afterCommit(() => storeEvents.emit("change", { collection: "features", action: "upsert", id, created: !current, version: nextVersion, requestId: audit?.requestId }));
+        return nextVersion;
+    }, outer);
+    return { ...withId, properties: { ...withId.properties, _version: version } };
+}
+
+/**
+ * Moves a feature to the trash. Returns false when it did not exist or is already there.
+ * A non-null `expectedVersion` must match the stored version or ConflictError is thrown.
+ * The row stays in the table, hidden from reads, until restoreFeatureById or the trash purge;
+ * the deleted copy is also kept as a revision.
+ * Pass `client` to run inside a caller's open transaction.
+ */
+async function deleteFeatureById(id, { expectedVersion = null, audit, client: outer } = {}) {
+    await ensureSeeded();
+    const deleted = await withTransaction(async (client) => {
+        const stored = await readRowForUpdate(client, id);
+        if (!stored || stored.deleted_at) return false;
+        const current = rowToFeature(stored);
+        if (expectedVersion != null) assertExpectedVersion(current, expectedVersion, "Feature");
+        const deletedBy = audit?.actor || null;
+        if (documents) {
+            client.put("features", id, { ...stored, deleted_at: client.now, deleted_by: deletedBy });
+        } else {
+            await client.query("UPDATE features SET deleted_at = now(), deleted_by = $2 WHERE id = $1", [id, deletedBy]);
+        }
+        await recordRevision(client, { collection: "features", featureId: id, before: current, after: null }, audit);
+        await bumpDatasetVersion(client, "features");
+        client.afterCommit(() => storeEvents.emit("change", { collection: "features", action: "delete", id, requestId: audit?.requestId }));
+        return true;
+    }, outer);
+    return deleted;
+}
+
+function rowToTrashEntry(r) {
+    return { id: String(r.id), deletedAt: new Date(r.deleted_at).toISOString(), deletedBy: r.deleted_by || null, feature: rowToFeature(r) };
+}
+
+/**
+ * Features in the trash, most recently deleted first.
+ * @param {{limit?: number}} [opts]
+ * @returns {Promise<Array<{id: string, deletedAt: string, deletedBy: string|null, feature: GeoJSON.Feature}>>}
+ */
+async function readTrashedFeatures({ limit } = {}) {
+    await ensureSeeded();
+    if (documents) {
+        const rows = (await documents.list("features"))
+            .filter(r => r.deleted_at)
+            .sort((a, b) => Date.parse(b.deleted_at) - Date.parse(a.deleted_at) || compareIds(a, b));
+        return (limit != null ? rows.slice(0, limit) : rows).map(rowToTrashEntry);
+    }
+    const res = await query(
+        `SELECT ${SELECT_COLUMNS} FROM features WHERE deleted_at IS NOT NULL
+         ORDER BY deleted_at DESC, id${limit != null ? " LIMIT $1" : ""}`,
+        limit != null ? [limit] : []
+    );
+    return res.rows.map(rowToTrashEntry);
+}
+
+/**
+ * Takes a feature out of the trash. The restore is a write like any other: the version goes up,
+ * a revision is recorded and listeners see the feature created again.
+ * @returns {Promise<GeoJSON.Feature|null>} The restored feature, or null when the id is not in the trash.
+ */
+async function restoreFeatureById(id, { audit, client: outer } = {}) {
+    await ensureSeeded();
+    return withTransaction(async (client) => {
+        const stored = await readRowForUpdate(client, id);
+        if (!stored || !stored.deleted_at) return null;
+        const feature = rowToFeature(stored);
+        delete feature.properties._version;
+        const nextVersion = stored.version + 1;
+        await writeFeatureRow(client, feature, nextVersion);
+        const after = { ...feature, properties: { ...feature.properties, _version: nextVersion } };
+        await recordRevision(client, { collection: "features", featureId: id, before: null, after }, audit);
+        await bumpDatasetVersion(client, "features");
+        client.afterCommit(() => storeEvents.emit("change", { collection: "features", action: "upsert", id, created: true, version: nextVersion, requestId: audit?.requestId }));
+        return after;
+    }, outer);
+}
+
+/**
+ * Permanently removes features that were put in the trash before `cutoff`.
+ * Their last copy remains in the revision history.
+ * @param {Date} cutoff
+ * @returns {Promise<number>} How many were removed.
+ */
+async function purgeTrashedFeatures(cutoff) {
+    await ensureSeeded();
+    if (documents) {
+        return withTransaction(async (client) => {
+            const expired = client.list("features").filter(r => r.deleted_at && Date.parse(r.deleted_at) < cutoff.getTime());
+            expired.forEach(r => client.remove("features", r.id));
+            return expired.length;
+        });
+    }
+    const res = await query("DELETE FROM features WHERE deleted_at < $1", [cutoff]);
+    return res.rowCount;
 }
 
 module.exports = {
     readAllFeatures,
+    readFeatures,
+    readFeatureById,
+    readFeatureBoxes,
+    countFeatures,
     upsertFeature,
-    deleteFeatureById
+    deleteFeatureById,
+    readTrashedFeatures,
+    restoreFeatureById,
+    purgeTrashedFeatures
 };
@@ -0,0 +1,40 @@
+const { EventEmitter } = require("events");
+
+/**
+ * In-process notifications for store writes.
+ * Emits "change" with { collection: "features"|"walkways", action: "upsert"|"delete"|"import", id?, created?, version?, requestId? }
+ * after the write has completed, so listeners can drop anything derived from the old data.
+ * Upserts carry `created` (no row existed before) and the new `version`; `requestId` is the
+ * id of the HTTP request that made the change, when there was one.
+ */
+const storeEvents = new EventEmitter();
+storeEvents.setMaxListeners(0);
+
+/**
+ * Builds something derived from a collection (an index, a graph) on first use and keeps it until
+ * the collection changes. `invalidates(evt)` picks which changes drop it; by default, all of them.
+ * A failed build is not kept, so the next call retries.
+ * @template T
+ * @param {"features"|"walkways"} collection
+ * @param {() => Promise<T>} build
+ * @param {(evt: Object) => boolean} [invalidates]
+ * @returns {() => Promise<T>}
+ */
+function cacheUntilChange(collection, build, invalidates = () => true) {
+    let cached = null;
+    storeEvents.on("change", (evt) => {
+        if (evt.collection === collection && invalidates(evt)) cached = null;
+    });
+    return function () {
+        if (!cached) {
+            const pending = build();
+            cached = pending;
+            pending.catch(() => {
+                if (cached === pending) cached = null;
+            });
+        }
+        return cached;
+    };
+}
+
+module.exports = { storeEvents, cacheUntilChange };
@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.STORAGE_BACKEND = "memory";
+process.env.SEED_FROM_JSON = "false";
+const { runBatch } = require("../batch");
+const { validateFeature, validateWalkway } = require("../validation");
+const { readFeatureById, upsertFeature } = require("../store");
+const { readWalkways } = require("../walkwayStore");
+
+const rejection = (status, code) => (err) => {
+    assert.equal(err.status, status);
+    assert.equal(err.code, code);
+    return true;
+};
+
+test("a missing feature is a validation problem, not a crash", () => {
+    assert.deepEqual(validateFeature(undefined), [{ path: "", code: "required", message: "body is required" }]);
+    assert.deepEqual(validateWalkway(undefined).map(p => p.code), ["required"]);
+});
+
+test("an upsert without a feature rejects the batch", async () => {
+    await assert.rejects(runBatch([{ action: "upsert", collection: "features" }]), (err) => {
+        rejection(400, "batch_rejected")(err);
+        assert.deepEqual(err.details.errors, [{ index: 0, status: 400, code: "bad_request", message: "upsert needs a feature" }]);
+        return true;
+    });
+});
+
+const entrance = (id, name) => ({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [-124.1990, 40.6985] },
+    properties: { _id: id, type: "entrance", name }
+});
+const segment = { type: "Feature", geometry: { type: "LineString", coordinates: [[-124.1990, 40.6985], [-124.1985, 40.6986]] }, properties: {} };
+
+test.before(async () => {
+    await upsertFeature(entrance("kept", "Kept-N1"));
+});
+
+test("every rejected operation is listed by index and nothing is saved", async () => {
+    await assert.rejects(runBatch([
+        { action: "upsert", collection: "walkways", feature: segment },
+        { action: "delete", collection: "features" },
+        { action: "upsert", collection: "features", feature: { ...entrance("x"), properties: { _id: "x", type: "entrance" } } },
+        { action: "move", collection: "features", id: "kept" },
+        { action: "delete", collection: "rooms", id: "kept" }
+    ]), (err) => {
+        rejection(400, "batch_rejected")(err);
+        assert.deepEqual(err.details.errors.map(e => [e.index, e.code, e.message]), [
+            [1, "bad_request", "delete needs an id"],
+            [2, "validation_failed", "Invalid feature"],
+            [3, "bad_request", "action must be \"upsert\" or \"delete\""],
+            [4, "bad_request", "collection must be \"features\" or \"walkways\""]
+        ]);
+        assert.deepEqual(err.details.errors[1].details.problems.map(p => p.path), ["properties.name"]);
+        return true;
+    });
+    assert.equal((await readWalkways({})).length, 0);
+});
+
+test("a stale expectedVersion rolls back the writes before it", async () => {
+    await assert.rejects(runBatch([
+        { action: "upsert", collection: "walkways", feature: segment },
+        { action: "upsert", collection: "features", feature: entrance("new", "New-S1") },
+        { action: "upsert", collection: "features", feature: entrance("kept", "Kept-N2"), expectedVersion: 99 }
+    ]), (err) => {
+        rejection(409, "batch_rolled_back")(err);
+        assert.deepEqual(err.details.errors.map(e => [e.index, e.status, e.code]), [[2, 409, "conflict"]]);
+        assert.equal(err.details.errors[0].details.current.properties.name, "Kept-N1");
+        return true;
+    });
+    assert.equal((await readWalkways({})).length, 0);
+    assert.equal(await readFeatureById("new"), null);
+    assert.equal((await readFeatureById("kept")).properties.name, "Kept-N1");
+});
+
+test("an update without a version is refused with 428, a delete with a stale one with 409", async () => {
+    await assert.rejects(runBatch([{ action: "upsert", collection: "features", feature: entrance("kept", "Kept-N2") }]), (err) => {
+        rejection(428, "batch_rolled_back")(err);
+        assert.equal(err.details.errors[0].code, "precondition_required");
+        return true;
+    });
+    await assert.rejects(
+        runBatch([{ action: "delete", collection: "features", id: "kept", expectedVersion: 99 }]),
+        rejection(409, "batch_rolled_back")
+    );
+    assert.ok(await readFeatureById("kept"));
+});
+
+test("a batch that passes is saved as a whole", async () => {
+    const version = (await readFeatureById("kept")).properties._version;
+    const { status, body } = await runBatch([
+        { action: "upsert", collection: "walkways", feature: segment },
+        { action: "upsert", collection: "features", feature: entrance("kept", "Kept-N2"), expectedVersion: version },
+        { action: "delete", collection: "features", id: "missing" }
+    ]);
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map(r => [r.index, r.action, r.collection]), [[0, "upsert", "walkways"], [1, "upsert", "features"], [2, "delete", "features"]]);
+    assert.equal(body.results[1].feature.properties._version, version + 1);
+    assert.equal(body.results[2].deleted, false);
+    assert.equal((await readWalkways({})).length, 1);
+    assert.equal((await readFeatureById("kept")).properties.name, "Kept-N2");
+});
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createDocumentStore } = require("../documentStore");
+
+test("a transaction's tables are persisted in one call", async () => {
+    const calls = [];
+    const store = createDocumentStore({ persist: async changes => calls.push(changes) });
+    await store.withTransaction(async (tx) => {
+        tx.put("features", "a", { name: "A" });
+        tx.put("revisions", tx.nextId("revisions"), { feature_id: "a" });
+    });
+    assert.equal(calls.length, 1);
+    assert.deepEqual(calls[0].map(c => c.table).sort(), ["features", "revisions"]);
+    assert.deepEqual(calls[0].find(c => c.table === "features").rows, [{ name: "A", id: "a" }]);
+    assert.deepEqual([...calls[0].find(c => c.table === "revisions").written.keys()], ["1"]);
+});
+
+test("a failed persist leaves every table as it was", async () => {
+    let fail = false;
+    const store = createDocumentStore({
+        persist: async () => {
+            if (fail) throw new Error("disk full");
+        }
+    });
+    await store.withTransaction(async tx => tx.put("features", "a", { name: "A" }));
+    fail = true;
+    await assert.rejects(store.withTransaction(async (tx) => {
+        tx.put("features", "a", { name: "B" });
+        tx.put("walkways", "w", { name: "W" });
+    }), /disk full/);
+    assert.deepEqual(await store.get("features", "a"), { name: "A", id: "a" });
+    assert.equal(await store.count("walkways"), 0);
+});
+
+test("writes without a persist callback stay in memory", async () => {
+    const store = createDocumentStore();
+    await store.withTransaction(async (tx) => {
+        tx.put("features", "a", { name: "A" });
+        tx.put("features", "b", { name: "B" });
+        tx.remove("features", "a");
+    });
+    assert.deepEqual(await store.list("features"), [{ name: "B", id: "b" }]);
+});
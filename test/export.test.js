@@ -0,0 +1,150 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { inflateRawSync, crc32 } = require("zlib");
+const { createZip } = require("../zip");
+const { writeShapefile } = require("../shapefile");
+
+// Reads an archive back through its central directory, checking each entry against its local header.
+function readZip(buf) {
+    const end = buf.length - 22;
+    assert.equal(buf.readUInt32LE(end), 0x06054b50);
+    const count = buf.readUInt16LE(end + 10);
+    let pos = buf.readUInt32LE(end + 16);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(buf.readUInt32LE(pos), 0x02014b50);
+        const method = buf.readUInt16LE(pos + 10);
+        const crc = buf.readUInt32LE(pos + 16);
+        const compressedSize = buf.readUInt32LE(pos + 20);
+        const size = buf.readUInt32LE(pos + 24);
+        const nameLength = buf.readUInt16LE(pos + 28);
+        const localOffset = buf.readUInt32LE(pos + 42);
+        const name = buf.toString("utf8", pos + 46, pos + 46 + nameLength);
+
+        assert.equal(buf.readUInt32LE(localOffset), 0x04034b50);
+        assert.equal(buf.readUInt32LE(localOffset + 14), crc);
+        const dataStart = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+        const body = buf.subarray(dataStart, dataStart + compressedSize);
+        const data = method === 8 ? inflateRawSync(body) : Buffer.from(body);
+        assert.equal(data.length, size);
+        assert.equal(crc32(data), crc);
+        entries.push({ name, method, flags: buf.readUInt16LE(pos + 8), time: buf.readUInt16LE(pos + 12), day: buf.readUInt16LE(pos + 14), data });
+        pos += 46 + nameLength;
+    }
+    return entries;
+}
+
+test("zip entries round-trip, deflated only when that is smaller", () => {
+    const text = "campus ".repeat(200);
+    const entries = readZip(createZip([
+        { name: "big.txt", data: text },
+        { name: "tiny.bin", data: Buffer.from([1, 2, 3]) },
+        { name: "café/Ünïcode.txt", data: "" }
+    ], new Date(2024, 4, 17, 13, 45, 30)));
+    assert.deepEqual(entries.map(e => [e.name, e.method]), [["big.txt", 8], ["tiny.bin", 0], ["café/Ünïcode.txt", 0]]);
+    assert.equal(entries[0].data.toString("utf8"), text);
+    assert.deepEqual([...entries[1].data], [1, 2, 3]);
+    assert.ok(entries.every(e => e.flags & 0x0800), "names are flagged as UTF-8");
+    assert.equal(entries[0].day, ((2024 - 1980) << 9) | (5 << 5) | 17);
+    assert.equal(entries[0].time, (13 << 11) | (45 << 5) | 15);
+});
+
+test("an empty zip is just the end record", () => {
+    const buf = createZip([]);
+    assert.equal(buf.length, 22);
+    assert.deepEqual(readZip(buf), []);
+});
+
+const FIELDS = [
+    { name: "id", length: 8, value: f => f.properties._id },
+    { name: "name", length: 6, value: f => f.properties.name }
+];
+const feature = (geometry, properties) => ({ type: "Feature", geometry, properties });
+const files = entries => Object.fromEntries(entries.map(e => [e.name.split(".").pop(), Buffer.from(e.data)]));
+
+// [[x, y], ...] per part of each record in a .shp, using the .shx to find them.
+function readShapes(shp, shx) {
+    const shapes = [];
+    for (let pos = 100; pos < shx.length; pos += 8) {
+        const offset = shx.readInt32BE(pos) * 2;
+        const length = shx.readInt32BE(pos + 4) * 2;
+        assert.equal(shp.readInt32BE(offset + 4) * 2, length);
+        const content = shp.subarray(offset + 8, offset + 8 + length);
+        const type = content.readInt32LE(0);
+        if (type === 1) {
+            shapes.push([[[content.readDoubleLE(4), content.readDoubleLE(12)]]]);
+            continue;
+        }
+        const numParts = content.readInt32LE(36);
+        const numPoints = content.readInt32LE(40);
+        const starts = Array.from({ length: numParts }, (_, i) => content.readInt32LE(44 + 4 * i)).concat(numPoints);
+        const points = Array.from({ length: numPoints }, (_, i) => {
+            const at = 44 + 4 * numParts + 16 * i;
+            return [content.readDoubleLE(at), content.readDoubleLE(at + 8)];
+        });
+        shapes.push(starts.slice(0, -1).map((s, i) => points.slice(s, starts[i + 1])));
+    }
+    return shapes;
+}
+
+test("points get a complete shapefile set with matching headers", () => {
+    const entries = writeShapefile("pts", "point", [
+        feature({ type: "Point", coordinates: [-124.2, 40.7] }, { _id: "a", name: "A" }),
+        feature({ type: "Point", coordinates: [-124.1, 40.6] }, { _id: "b", name: "B" })
+    ], FIELDS);
+    assert.deepEqual(entries.map(e => e.name), ["pts.shp", "pts.shx", "pts.dbf", "pts.prj", "pts.cpg"]);
+    const { shp, shx, prj, cpg } = files(entries);
+    for (const f of [shp, shx]) {
+        assert.equal(f.readInt32BE(0), 9994);
+        assert.equal(f.readInt32LE(28), 1000);
+        assert.equal(f.readInt32LE(32), 1);
+        assert.deepEqual([36, 44, 52, 60].map(at => f.readDoubleLE(at)), [-124.2, 40.6, -124.1, 40.7]);
+    }
+    assert.equal(shp.readInt32BE(24) * 2, shp.length);
+    assert.equal(shx.readInt32BE(24) * 2, shx.length);
+    assert.deepEqual(readShapes(shp, shx), [[[[-124.2, 40.7]]], [[[-124.1, 40.6]]]]);
+    assert.match(prj.toString(), /^GEOGCS\["GCS_WGS_1984"/);
+    assert.equal(cpg.toString(), "UTF-8");
+});
+
+test("polygon rings are turned to the shapefile's winding order", () => {
+    // GeoJSON: outer ring counter-clockwise, hole clockwise.
+    const outer = [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]];
+    const hole = [[1, 1], [1, 2], [2, 2], [2, 1], [1, 1]];
+    const { shp, shx } = files(writeShapefile("poly", "polygon", [
+        feature({ type: "Polygon", coordinates: [outer, hole] }, {}),
+        feature({ type: "MultiPolygon", coordinates: [[outer], [hole]] }, {})
+    ], FIELDS));
+    const [polygon, multi] = readShapes(shp, shx);
+    assert.deepEqual(polygon, [outer.slice().reverse(), hole.slice().reverse()]);
+    // Every polygon of a MultiPolygon starts with an outer ring.
+    assert.deepEqual(multi, [outer.slice().reverse(), hole]);
+});
+
+test("lines keep their parts", () => {
+    const { shp, shx } = files(writeShapefile("lines", "polyline", [
+        feature({ type: "LineString", coordinates: [[0, 0], [1, 1], [2, 0]] }, {})
+    ], FIELDS));
+    assert.equal(shp.readInt32LE(32), 3);
+    assert.deepEqual(readShapes(shp, shx), [[[[0, 0], [1, 1], [2, 0]]]]);
+});
+
+test("attributes go into the dbf, cut to the column without splitting characters", () => {
+    const { dbf } = files(writeShapefile("pts", "point", [
+        feature({ type: "Point", coordinates: [0, 0] }, { _id: "a", name: "Café Ü" }),
+        feature({ type: "Point", coordinates: [1, 1] }, { _id: "b" })
+    ], FIELDS));
+    assert.equal(dbf.readUInt8(0), 0x03);
+    assert.equal(dbf.readUInt32LE(4), 2);
+    const headerLength = dbf.readUInt16LE(8);
+    const recordLength = dbf.readUInt16LE(10);
+    assert.equal(headerLength, 32 + 32 * FIELDS.length + 1);
+    assert.equal(recordLength, 1 + 8 + 6);
+    assert.equal(dbf.toString("latin1", 32, 34), "id");
+    assert.equal(dbf.toString("latin1", 64, 68), "name");
+    const record = r => dbf.subarray(headerLength + r * recordLength + 1, headerLength + (r + 1) * recordLength);
+    // "Café Ü" is 8 bytes in UTF-8; the 6 that fit are "Café ".
+    assert.equal(record(0).toString("utf8"), "a       Café ");
+    assert.equal(record(1).toString("utf8"), "b             ");
+    assert.equal(dbf[dbf.length - 1], 0x1a);
+});
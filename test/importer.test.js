@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.STORAGE_BACKEND = "memory";
+process.env.SEED_FROM_JSON = "false";
+const { readFeatures, upsertFeature } = require("../store");
+const { readWalkways } = require("../walkwayStore");
+const { importCollection } = require("../importer");
+
+const point = (lon, lat) => ({ type: "Point", coordinates: [lon, lat] });
+const entrance = (id, name, lon = -124.1990) => ({
+    type: "Feature",
+    geometry: point(lon, 40.6985),
+    properties: { ...(id ? { _id: id } : {}), type: "entrance", name }
+});
+const collection = features => ({ type: "FeatureCollection", features });
+const storedIds = async () => (await readFeatures({})).map(f => f.properties._id).sort();
+
+test.before(async () => {
+    for (const [id, name, lon] of [["a", "A-N1", -124.1990], ["b", "B-N1", -124.1980], ["c", "C-N1", -124.1970]]) {
+        await upsertFeature(entrance(id, name, lon));
+    }
+});
+
+test("a dry run reports what upsert would do and writes nothing", async () => {
+    const [a] = await readFeatures({ ids: ["a"] });
+    // The same feature with another _version and key order is unchanged.
+    const sameAsA = { properties: { name: "A-N1", type: "entrance", _id: "a", _version: 7 }, geometry: a.geometry, type: "Feature" };
+    const { status, body } = await importCollection(
+        collection([sameAsA, entrance("b", "B-N2", -124.1980), entrance("new", "New-S1"), entrance(null, "Anonymous-E1")]),
+        { collection: "features", mode: "upsert", dryRun: true }
+    );
+    assert.equal(status, 200);
+    assert.equal(body.dryRun, true);
+    assert.deepEqual(body.summary, { added: 2, changed: 1, unchanged: 1, deleted: 0, failed: 0 });
+    assert.deepEqual(body.changed, [{ index: 1, id: "b" }]);
+    assert.deepEqual(body.added, [{ index: 2, id: "new" }, { index: 3, id: null }]);
+    assert.deepEqual(await storedIds(), ["a", "b", "c"]);
+});
+
+test("append ignores incoming ids", async () => {
+    const { body } = await importCollection(collection([entrance("a", "A-N1")]), { collection: "features", mode: "append", dryRun: true });
+    assert.deepEqual(body.summary, { added: 1, changed: 0, unchanged: 0, deleted: 0, failed: 0 });
+    assert.deepEqual(body.added, [{ index: 0, id: null }]);
+});
+
+test("replace deletes what the import leaves out, but not rows it failed to read", async () => {
+    const invalidC = { type: "Feature", geometry: point(-124.1970, 40.6985), properties: { _id: "c", type: "entrance" } };
+    const { body } = await importCollection(collection([entrance("a", "A-N1"), invalidC]), { collection: "features", mode: "replace", dryRun: true });
+    assert.deepEqual(body.deleted, [{ id: "b" }]);
+    assert.equal(body.failed.length, 1);
+    assert.deepEqual(body.failed[0].problems.map(p => p.path), ["properties.name"]);
+});
+
+test("a repeated _id fails every time after its first use", async () => {
+    const { body } = await importCollection(
+        collection([entrance("x", "X-N1"), entrance("x", "X-N2"), entrance("x", "X-N3")]),
+        { collection: "features", mode: "upsert", dryRun: true }
+    );
+    assert.deepEqual(body.added, [{ index: 0, id: "x" }]);
+    assert.deepEqual(body.failed.map(f => [f.index, f.problems[0].code]), [[1, "duplicate_id"], [2, "duplicate_id"]]);
+});
+
+test("an invalid row rejects the whole import unless skipInvalid is set", async () => {
+    const rows = [entrance("d", "D-N1"), { type: "Feature", geometry: point(0, 0), properties: { type: "entrance", name: "Far away" } }];
+    await assert.rejects(importCollection(collection(rows), { collection: "features", mode: "upsert" }), (err) => {
+        assert.equal(err.status, 400);
+        assert.equal(err.code, "import_rejected");
+        assert.equal(err.details.summary.failed, 1);
+        return true;
+    });
+    assert.deepEqual(await storedIds(), ["a", "b", "c"]);
+
+    const { body } = await importCollection(collection(rows), { collection: "features", mode: "upsert", skipInvalid: true });
+    assert.deepEqual(body.summary, { added: 1, changed: 0, unchanged: 0, deleted: 0, failed: 1 });
+    assert.deepEqual(await storedIds(), ["a", "b", "c", "d"]);
+});
+
+test("replace writes the plan and reports the ids it assigned", async () => {
+    const { body } = await importCollection(
+        collection([entrance("a", "A-N2"), entrance(null, "Fresh-W1")]),
+        { collection: "features", mode: "replace" }
+    );
+    assert.equal(body.dryRun, false);
+    assert.deepEqual(body.summary, { added: 1, changed: 1, unchanged: 0, deleted: 3, failed: 0 });
+    const freshId = body.added[0].id;
+    assert.ok(freshId);
+    assert.deepEqual(await storedIds(), ["a", freshId].sort());
+    const [a] = await readFeatures({ ids: ["a"] });
+    assert.equal(a.properties.name, "A-N2");
+});
+
+test("walkways are planned against their own table", async () => {
+    const segment = { type: "Feature", geometry: { type: "LineString", coordinates: [[-124.1990, 40.6985], [-124.1985, 40.6986]] }, properties: {} };
+    const { body } = await importCollection(collection([segment]), { collection: "walkways", mode: "replace", dryRun: true });
+    assert.deepEqual(body.summary, { added: 1, changed: 0, unchanged: 0, deleted: 0, failed: 0 });
+    assert.equal((await readWalkways({})).length, 0);
+});
+
+test("rejects unknown collections, modes and bodies", async () => {
+    const fc = collection([]);
+    await assert.rejects(importCollection(fc, { collection: "rooms", mode: "upsert" }), /collection must be/);
+    await assert.rejects(importCollection(fc, { collection: "features", mode: "merge" }), /mode must be one of/);
+    await assert.rejects(importCollection({ features: [] }, { collection: "features", mode: "upsert" }), /FeatureCollection/);
+});
@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { encodeTile } = require("../mvt");
+
+// Just enough of a protobuf reader to take a tile apart again: [{ field, value }] for one message.
+function readFields(buf) {
+    const fields = [];
+    let pos = 0;
+    const varint = () => {
+        let result = 0;
+        let scale = 1;
+        let byte;
+        do {
+            byte = buf[pos++];
+            result += (byte & 0x7f) * scale;
+            scale *= 128;
+        } while (byte & 0x80);
+        return result;
+    };
+    while (pos < buf.length) {
+        const tag = varint();
+        const wireType = tag & 0x7;
+        let value;
+        if (wireType === 0) {
+            value = varint();
+        } else if (wireType === 1) {
+            value = buf.readDoubleLE(pos);
+            pos += 8;
+        } else if (wireType === 2) {
+            const length = varint();
+            value = buf.subarray(pos, pos + length);
+            pos += length;
+        } else {
+            throw new Error(`Unexpected wire type ${wireType}`);
+        }
+        fields.push({ field: tag >> 3, value });
+    }
+    return fields;
+}
+
+function readPacked(buf) {
+    const out = [];
+    let result = 0;
+    let scale = 1;
+    for (const byte of buf) {
+        result += (byte & 0x7f) * scale;
+        scale *= 128;
+        if (!(byte & 0x80)) {
+            out.push(result);
+            result = 0;
+            scale = 1;
+        }
+    }
+    return out;
+}
+
+const all = (fields, n) => fields.filter(f => f.field === n).map(f => f.value);
+const one = (fields, n) => all(fields, n)[0];
+
+function decodeValue(buf) {
+    const [{ field, value }] = readFields(buf);
+    if (field === 1) return value.toString("utf8");
+    if (field === 7) return value === 1;
+    return value;
+}
+
+function decodeTile(buf) {
+    return all(readFields(buf), 3).map((layerBuf) => {
+        const layer = readFields(layerBuf);
+        const keys = all(layer, 3).map(k => k.toString("utf8"));
+        const values = all(layer, 4).map(decodeValue);
+        return {
+            version: one(layer, 15),
+            name: one(layer, 1).toString("utf8"),
+            extent: one(layer, 5),
+            keys,
+            values,
+            features: all(layer, 2).map((featureBuf) => {
+                const feature = readFields(featureBuf);
+                const tags = feature.some(f => f.field === 2) ? readPacked(one(feature, 2)) : [];
+                const properties = {};
+                for (let i = 0; i < tags.length; i += 2) properties[keys[tags[i]]] = values[tags[i + 1]];
+                return { type: one(feature, 3), geometry: readPacked(one(feature, 4)), properties };
+            })
+        };
+    });
+}
+
+test("a tile without features is empty", () => {
+    assert.equal(encodeTile([]).length, 0);
+    assert.equal(encodeTile([{ name: "features", extent: 4096, features: [] }]).length, 0);
+});
+
+test("geometry is encoded as in the spec's examples", () => {
+    const [layer] = decodeTile(encodeTile([{
+        name: "examples",
+        extent: 4096,
+        features: [
+            { type: "point", geometry: [[25, 17]] },
+            { type: "linestring", geometry: [[[2, 2], [2, 10], [10, 10]]] },
+            { type: "polygon", geometry: [[[3, 6], [8, 12], [20, 34]]] }
+        ]
+    }]));
+    assert.deepEqual(layer.features.map(f => f.type), [1, 2, 3]);
+    assert.deepEqual(layer.features[0].geometry, [9, 50, 34]);
+    assert.deepEqual(layer.features[1].geometry, [9, 4, 4, 18, 0, 16, 16, 0]);
+    assert.deepEqual(layer.features[2].geometry, [9, 6, 12, 18, 10, 12, 24, 44, 15]);
+});
+
+test("cursor positions carry over between the parts of one feature", () => {
+    const [layer] = decodeTile(encodeTile([{
+        name: "multi",
+        extent: 4096,
+        features: [{ type: "point", geometry: [[5, 7], [3, 2]] }]
+    }]));
+    // MoveTo x2, then (5,7) and the delta (-2,-5) zigzag-encoded.
+    assert.deepEqual(layer.features[0].geometry, [17, 10, 14, 3, 9]);
+});
+
+test("layers carry version, name, extent and de-duplicated properties", () => {
+    const layers = decodeTile(encodeTile([
+        {
+            name: "features",
+            extent: 4096,
+            features: [
+                { type: "point", geometry: [[1, 1]], properties: { type: "room", floor: 2, open: true, area: 12.5, note: "" } },
+                { type: "point", geometry: [[2, 2]], properties: { type: "room", floor: 2, name: "Café" } },
+                { type: "point", geometry: [[3, 3]], properties: { name: null } }
+            ]
+        },
+        { name: "empty", extent: 4096, features: [] },
+        { name: "walkways", extent: 512, features: [{ type: "linestring", geometry: [[[0, 0], [1, 1]]] }] }
+    ]));
+    assert.deepEqual(layers.map(l => [l.version, l.name, l.extent]), [[2, "features", 4096], [2, "walkways", 512]]);
+    const [features] = layers;
+    assert.deepEqual(features.keys, ["type", "floor", "open", "area", "name"]);
+    assert.deepEqual(features.values, ["room", 2, true, 12.5, "Café"]);
+    assert.deepEqual(features.features.map(f => f.properties), [
+        { type: "room", floor: 2, open: true, area: 12.5 },
+        { type: "room", floor: 2, name: "Café" },
+        {}
+    ]);
+});
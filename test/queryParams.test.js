@@ -0,0 +1,16 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { single, listParam } = require("../queryParams");
+
+test("single takes the last of a repeated parameter", () => {
+    assert.equal(single("5"), "5");
+    assert.equal(single(["5", "7"]), "7");
+    assert.equal(single(undefined), undefined);
+});
+
+test("listParam joins comma-separated, repeated and aliased values", () => {
+    assert.deepEqual(listParam("building, entrance"), ["building", "entrance"]);
+    assert.deepEqual(listParam(["building", "room,,"], undefined, "entrance"), ["building", "room", "entrance"]);
+    assert.deepEqual(listParam(undefined), []);
+    assert.deepEqual(listParam(""), []);
+});
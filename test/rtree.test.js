@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { RTree } = require("../rtree");
+
+// Deterministic pseudo-random numbers, so a failure can be reproduced.
+function random(seed) {
+    let s = seed;
+    return () => {
+        s = (s * 1103515245 + 12345) % 2147483648;
+        return s / 2147483648;
+    };
+}
+
+function boxes(count, seed) {
+    const next = random(seed);
+    return Array.from({ length: count }, (_, i) => {
+        const x = next() * 1000;
+        const y = next() * 1000;
+        return { minX: x, minY: y, maxX: x + next() * 10, maxY: y + next() * 10, id: i };
+    });
+}
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+const distanceFrom = (x, y) => b => Math.hypot(x - clamp(x, b.minX, b.maxX), y - clamp(y, b.minY, b.maxY));
+
+function bruteForce(items, x, y, k, filter = () => true) {
+    const d = distanceFrom(x, y);
+    return items.filter(filter).map(item => d(item)).sort((a, b) => a - b).slice(0, k);
+}
+
+function nearestDistances(tree, x, y, k, opts = {}) {
+    return tree.nearest(k, { boxDistance: distanceFrom(x, y), ...opts }).map(r => r.distance);
+}
+
+test("nearest matches a brute-force search on a packed tree", () => {
+    const items = boxes(500, 1);
+    const tree = new RTree();
+    tree.load(items);
+    assert.equal(tree.size, 500);
+    for (const [x, y] of [[0, 0], [500, 500], [999, 10], [250.5, 730.25]]) {
+        assert.deepEqual(nearestDistances(tree, x, y, 7), bruteForce(items, x, y, 7));
+    }
+});
+
+test("results come back nearest first with their items", () => {
+    const tree = new RTree();
+    const items = [
+        { minX: 10, minY: 0, maxX: 11, maxY: 1, id: "far" },
+        { minX: 1, minY: 0, maxX: 2, maxY: 1, id: "near" },
+        { minX: 5, minY: 0, maxX: 6, maxY: 1, id: "middle" }
+    ];
+    tree.load(items);
+    const found = tree.nearest(3, { boxDistance: distanceFrom(0, 0) });
+    assert.deepEqual(found.map(r => r.item.id), ["near", "middle", "far"]);
+    assert.deepEqual(found.map(r => r.distance), [1, 5, 10]);
+});
+
+test("insert and remove keep the tree searchable", () => {
+    const items = boxes(300, 2);
+    const tree = new RTree();
+    tree.load(items.slice(0, 100));
+    items.slice(100).forEach(item => tree.insert(item));
+    assert.equal(tree.size, 300);
+
+    const removed = items.filter((_, i) => i % 3 === 0);
+    removed.forEach(item => assert.equal(tree.remove(item), true));
+    assert.equal(tree.remove(removed[0]), false);
+    assert.equal(tree.remove({ ...items[1] }), false, "items are removed by identity");
+
+    const kept = items.filter((_, i) => i % 3 !== 0);
+    assert.equal(tree.size, kept.length);
+    for (const [x, y] of [[100, 900], [640, 320]]) {
+        assert.deepEqual(nearestDistances(tree, x, y, 10), bruteForce(kept, x, y, 10));
+    }
+});
+
+test("maxDistance and filter narrow the results", () => {
+    const items = boxes(400, 3);
+    const tree = new RTree();
+    tree.load(items);
+    const within = nearestDistances(tree, 500, 500, 50, { maxDistance: 40 });
+    assert.deepEqual(within, bruteForce(items, 500, 500, 50).filter(d => d <= 40));
+
+    const even = item => item.id % 2 === 0;
+    const found = tree.nearest(5, { boxDistance: distanceFrom(500, 500), filter: even });
+    assert.ok(found.every(r => even(r.item)));
+    assert.deepEqual(found.map(r => r.distance), bruteForce(items, 500, 500, 5, even));
+});
+
+test("an empty tree finds nothing", () => {
+    const tree = new RTree();
+    tree.load([]);
+    assert.deepEqual(tree.nearest(3, { boxDistance: distanceFrom(0, 0) }), []);
+});
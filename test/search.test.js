@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.STORAGE_BACKEND = "memory";
+process.env.SEED_FROM_JSON = "false";
+const { upsertFeature, deleteFeatureById } = require("../store");
+const { parseSearchQuery, searchFeatures } = require("../search");
+
+const square = (lon, lat, size = 0.0001) => ({
+    type: "Polygon",
+    coordinates: [[[lon, lat], [lon + size, lat], [lon + size, lat + size], [lon, lat + size], [lon, lat]]]
+});
+const point = (lon, lat) => ({ type: "Point", coordinates: [lon, lat] });
+const feature = (geometry, properties) => ({ type: "Feature", geometry, properties });
+const ids = results => results.map(r => r.feature.properties._id);
+
+test.before(async () => {
+    await upsertFeature(feature(square(-124.1990, 40.6985), { _id: "lrc", type: "building", name: "Learning Resource Center", prefix: "LRC" }));
+    await upsertFeature(feature(square(-124.1980, 40.6985), { _id: "gym", type: "building", name: "Gymnasium", aliases: ["Field House"] }));
+    await upsertFeature(feature(square(-124.19895, 40.69855, 0.00002), { _id: "lrc-101", type: "room", number: "101", buildingId: "lrc" }));
+    await upsertFeature(feature(point(-124.1990, 40.6986), { _id: "lrc-n1", type: "entrance", name: "LRC-N1", buildingId: "lrc", direction: "N" }));
+    await upsertFeature(feature(square(-124.1970, 40.6980), { _id: "lot-a", type: "parking", name: "Parking Lot A" }));
+});
+
+test("finds a feature by name and highlights the match", async () => {
+    const [first] = await searchFeatures({ q: "learning" });
+    assert.equal(first.feature.properties._id, "lrc");
+    assert.deepEqual(first.highlights.find(h => h.field === "name"), { field: "name", value: "Learning Resource Center", ranges: [[0, 8]] });
+});
+
+test("tolerates typos and unfinished words", async () => {
+    assert.equal(ids(await searchFeatures({ q: "gymnaisum" }))[0], "gym");
+    assert.equal(ids(await searchFeatures({ q: "Gymnsium" }))[0], "gym");
+    assert.equal(ids(await searchFeatures({ q: "gymn" }))[0], "gym");
+    // Three letters or fewer must match exactly or as a prefix.
+    assert.deepEqual(await searchFeatures({ q: "gmy" }), []);
+});
+
+test("matches aliases, accents and the parent building", async () => {
+    const [alias] = await searchFeatures({ q: "field house" });
+    assert.equal(alias.feature.properties._id, "gym");
+    assert.deepEqual(alias.highlights.map(h => h.field), ["aliases"]);
+    assert.equal(ids(await searchFeatures({ q: "Gýmnasium" }))[0], "gym");
+    // Every word has to match: "lrc" via the room's building, "101" via its number.
+    assert.deepEqual(ids(await searchFeatures({ q: "lrc 101" })), ["lrc-101"]);
+});
+
+test("ranks buildings above entrances and filters by type", async () => {
+    const all = ids(await searchFeatures({ q: "lrc" }));
+    assert.equal(all[0], "lrc");
+    assert.ok(all.indexOf("lrc") < all.indexOf("lrc-n1"));
+    assert.deepEqual(ids(await searchFeatures({ q: "lrc", types: ["entrance"] })), ["lrc-n1"]);
+    assert.equal((await searchFeatures({ q: "lrc", limit: 1 })).length, 1);
+});
+
+test("sees writes made after the index was built", async () => {
+    assert.deepEqual(await searchFeatures({ q: "student union" }), []);
+    await upsertFeature(feature(square(-124.1960, 40.6990), { _id: "su", type: "building", name: "Student Union" }));
+    assert.deepEqual(ids(await searchFeatures({ q: "student union" })), ["su"]);
+    await deleteFeatureById("su");
+    assert.deepEqual(await searchFeatures({ q: "student union" }), []);
+});
+
+test("parseSearchQuery reads q, types and limit", () => {
+    assert.deepEqual(parseSearchQuery({ q: "  lrc " }), { q: "lrc", types: null, limit: 10 });
+    assert.deepEqual(
+        parseSearchQuery({ q: "lrc", types: ["room,entrance", "building"], type: "parking", limit: "5" }),
+        { q: "lrc", types: ["room", "entrance", "building", "parking"], limit: 5 }
+    );
+    assert.throws(() => parseSearchQuery({}), /q is required/);
+    assert.throws(() => parseSearchQuery({ q: "x".repeat(101) }), /at most 100/);
+    for (const limit of ["0", "51", "2.5", "ten"]) {
+        assert.throws(() => parseSearchQuery({ q: "lrc", limit }), /limit must be/);
+    }
+});
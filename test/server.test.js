@@ -0,0 +1,186 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.STORAGE_BACKEND = "memory";
+process.env.SEED_FROM_JSON = "false";
+process.env.ADMIN_PASSWORD = "change-me";
+process.env.LOG_LEVEL = "error";
+const { createApp } = require("../server");
+const { createUser } = require("../userStore");
+const { createToken } = require("../tokenStore");
+
+let server;
+let base;
+
+test.before(async () => {
+    server = createApp().listen(0);
+    await new Promise(resolve => server.once("listening", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+// A browser stand-in: keeps the session cookie and does not follow redirects.
+function browser() {
+    const agent = {
+        cookie: "",
+        async request(path, { method = "GET", headers = {}, form, json } = {}) {
+            const init = { method, redirect: "manual", headers: { ...headers } };
+            if (agent.cookie) init.headers.cookie = agent.cookie;
+            if (form) init.body = new URLSearchParams(form);
+            if (json !== undefined) {
+                init.body = JSON.stringify(json);
+                init.headers["content-type"] = "application/json";
+            }
+            const res = await fetch(base + path, init);
+            const cookies = res.headers.getSetCookie();
+            if (cookies.length) agent.cookie = cookies.map(c => c.split(";")[0]).join("; ");
+            return res;
+        },
+        async csrfToken() {
+            return (await (await agent.request("/csrf-token")).json()).csrfToken;
+        },
+        async login(username = "admin", password = "change-me") {
+            const _csrf = await agent.csrfToken();
+            return agent.request("/login", { method: "POST", form: { _csrf, username, password } });
+        }
+    };
+    return agent;
+}
+
+// A signed-in browser whose requests carry the session's CSRF token, as the editor's do.
+async function signedIn(username, password) {
+    const user = browser();
+    assert.equal((await user.login(username, password)).headers.get("location"), "/admin");
+    const csrf = await user.csrfToken();
+    const request = user.request;
+    user.request = (path, opts = {}) => request(path, { ...opts, headers: { "X-CSRF-Token": csrf, ...opts.headers } });
+    return user;
+}
+
+const entrance = (name, properties = {}) => ({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [-124.1990, 40.6985] },
+    properties: { type: "entrance", name, ...properties }
+});
+
+test("logging out starts a new session with a new CSRF token", async () => {
+    const user = browser();
+    const login = await user.login();
+    assert.equal(login.status, 302);
+    assert.equal(login.headers.get("location"), "/admin");
+    assert.equal((await user.request("/admin")).status, 200);
+    const signedIn = { cookie: user.cookie, token: await user.csrfToken() };
+
+    const logout = await user.request("/logout", { method: "POST", form: { _csrf: signedIn.token } });
+    assert.equal(logout.status, 302);
+    assert.equal(logout.headers.get("location"), "/");
+    assert.notEqual(user.cookie, signedIn.cookie);
+    assert.notEqual(await user.csrfToken(), signedIn.token);
+    assert.equal((await user.request("/admin")).status, 401);
+
+    // The old cookie is worthless now.
+    user.cookie = signedIn.cookie;
+    const replayed = await user.request("/logout", { method: "POST", form: { _csrf: signedIn.token } });
+    assert.equal(replayed.status, 403);
+    assert.equal((await replayed.json()).code, "invalid_csrf_token");
+});
+
+test("an update needs the version it was based on, and a stale one is a conflict", async () => {
+    const editor = await signedIn();
+    const created = await editor.request("/api/features", { method: "POST", json: entrance("Version-N1") });
+    assert.equal(created.status, 200);
+    assert.equal(created.headers.get("etag"), "\"1\"");
+    const id = (await created.json()).properties._id;
+
+    const blind = await editor.request("/api/features", { method: "POST", json: entrance("Version-N2", { _id: id }) });
+    assert.equal(blind.status, 428);
+    assert.equal((await blind.json()).code, "precondition_required");
+
+    const updated = await editor.request("/api/features", { method: "POST", headers: { "If-Match": "\"1\"" }, json: entrance("Version-N2", { _id: id }) });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.headers.get("etag"), "\"2\"");
+
+    const stale = await editor.request("/api/features", { method: "POST", headers: { "If-Match": "\"1\"" }, json: entrance("Version-N3", { _id: id }) });
+    assert.equal(stale.status, 409);
+    const conflict = await stale.json();
+    assert.equal(conflict.code, "conflict");
+    assert.equal(conflict.details.current.properties.name, "Version-N2");
+
+    const staleDelete = await editor.request(`/api/features/${id}`, { method: "DELETE", headers: { "If-Match": "\"1\"" } });
+    assert.equal(staleDelete.status, 409);
+    const deleted = await editor.request(`/api/features/${id}`, { method: "DELETE", headers: { "If-Match": "\"2\"" } });
+    assert.equal(deleted.status, 200);
+});
+
+test("writes from a browser session need the session's CSRF token", async () => {
+    const editor = await signedIn();
+    const forged = async (headers) => {
+        const res = await editor.request("/api/features", { method: "POST", headers, json: entrance("Forged-N1") });
+        assert.equal(res.status, 403);
+        assert.equal((await res.json()).code, "invalid_csrf_token");
+    };
+    await forged({ "X-CSRF-Token": "" });
+    await forged({ "X-CSRF-Token": "not-the-token" });
+    await forged({ "X-CSRF-Token": await browser().csrfToken() }); // another session's token
+
+    const search = await (await editor.request("/api/search?q=Forged")).json();
+    assert.deepEqual(search.results, []);
+
+    const anonymous = browser();
+    const login = await anonymous.request("/login", { method: "POST", form: { username: "admin", password: "change-me" } });
+    assert.equal(login.status, 403);
+});
+
+test("an account is locked after too many failed logins, even for the right password", async () => {
+    await createUser({ username: "locked", password: "right-password-1", role: "editor" });
+    const attacker = browser();
+    const flash = async () => (await (await attacker.request("/")).text()).match(/badge-error">([^<]*)</)[1];
+    for (let i = 0; i < 5; i++) {
+        await attacker.login("locked", "wrong");
+        assert.equal(await flash(), "Invalid username or password.");
+    }
+    await attacker.login("locked", "wrong");
+    assert.equal(await flash(), "Too many failed attempts. Try again in 30 seconds.");
+
+    const owner = browser();
+    const blocked = await owner.login("locked", "right-password-1");
+    assert.equal(blocked.headers.get("location"), "/");
+    assert.equal((await owner.request("/admin")).status, 401);
+    // Other accounts are not affected.
+    await signedIn();
+});
+
+test("an API token can only write what its scopes allow", async () => {
+    const user = await createUser({ username: "scripter", password: "right-password-2", role: "editor" });
+    const readOnly = (await createToken({ userId: user.id, name: "read only", scopes: ["read"] })).token;
+    const writer = (await createToken({ userId: user.id, name: "writer", scopes: ["read", "features:write"] })).token;
+    const script = browser();
+    const post = (token, path, json) => script.request(path, { method: "POST", headers: { Authorization: `Bearer ${token}` }, json });
+
+    const refused = await post(readOnly, "/api/features", entrance("Token-N1"));
+    assert.equal(refused.status, 403);
+    assert.equal((await refused.json()).code, "insufficient_scope");
+
+    // No CSRF token needed: a browser never sends the Authorization header on its own.
+    assert.equal((await post(writer, "/api/features", entrance("Token-N1"))).status, 200);
+
+    const segment = { type: "Feature", geometry: { type: "LineString", coordinates: [[-124.1990, 40.6985], [-124.1985, 40.6986]] }, properties: {} };
+    const batch = await post(writer, "/api/batch", { operations: [{ action: "upsert", collection: "walkways", feature: segment }] });
+    assert.equal(batch.status, 403);
+    assert.equal((await batch.json()).message, "Token lacks the walkways:write scope");
+});
+
+test("history is a 404 for an id that never existed, but not for a deleted one", async () => {
+    const editor = await signedIn();
+    const missing = await editor.request("/api/features/nope/history");
+    assert.equal(missing.status, 404);
+    assert.equal((await missing.json()).code, "not_found");
+    assert.equal((await editor.request("/api/walkways/nope/history")).status, 404);
+
+    const { properties } = await (await editor.request("/api/features", { method: "POST", json: entrance("History-N1") })).json();
+    await editor.request(`/api/features/${properties._id}`, { method: "DELETE" });
+    const history = await editor.request(`/api/features/${properties._id}/history`);
+    assert.equal(history.status, 200);
+    assert.equal((await history.json()).revisions.length, 2);
+});
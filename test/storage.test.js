@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "crwebapp-json-"));
+process.env.STORAGE_BACKEND = "json";
+process.env.JSON_DATA_DIR = dir;
+const { documents } = require("../storage");
+
+const SEED = path.join(__dirname, "..", "data", "features.json");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("the json backend works on a copy of the seed data", async () => {
+    const seed = fs.readFileSync(SEED, "utf8");
+    await documents.ready();
+    assert.ok(fs.existsSync(path.join(dir, "features.json")));
+    assert.ok(fs.existsSync(path.join(dir, "walkways.json")));
+    const [first] = await documents.list("features");
+    await documents.withTransaction(async tx => tx.remove("features", first.id));
+    assert.equal(fs.readFileSync(SEED, "utf8"), seed);
+    const copy = JSON.parse(fs.readFileSync(path.join(dir, "features.json"), "utf8"));
+    assert.equal(copy.features.length, JSON.parse(seed).features.length - 1);
+});
+
+test("revisions are appended one per line instead of rewritten", async () => {
+    for (const note of ["first", "second"]) {
+        await documents.withTransaction(async tx => tx.put("revisions", tx.nextId("revisions"), { note }));
+    }
+    const lines = fs.readFileSync(path.join(dir, "state", "revisions.jsonl"), "utf8").trim().split("\n");
+    assert.deepEqual(lines.map(line => JSON.parse(line).note), ["first", "second"]);
+    assert.equal(fs.existsSync(path.join(dir, "state", "revisions.json")), false);
+});
+
+test("revisions cannot be removed", async () => {
+    await assert.rejects(documents.withTransaction(async tx => tx.remove("revisions", 1)), /append-only/);
+    assert.equal((await documents.list("revisions")).length, 2);
+});
@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { storeEvents, cacheUntilChange } = require("../storeEvents");
+
+test("a cached build is kept until its collection changes", async () => {
+    let builds = 0;
+    const get = cacheUntilChange("walkways", async () => ++builds);
+    assert.equal(await get(), 1);
+    assert.equal(await get(), 1);
+    storeEvents.emit("change", { collection: "features", action: "upsert", id: "a" });
+    assert.equal(await get(), 1);
+    storeEvents.emit("change", { collection: "walkways", action: "upsert", id: "w" });
+    assert.equal(await get(), 2);
+});
+
+test("invalidates picks which changes drop the cache", async () => {
+    let builds = 0;
+    const get = cacheUntilChange("features", async () => ++builds, evt => evt.action === "import");
+    await get();
+    storeEvents.emit("change", { collection: "features", action: "delete", id: "a" });
+    assert.equal(await get(), 1);
+    storeEvents.emit("change", { collection: "features", action: "import" });
+    assert.equal(await get(), 2);
+});
+
+test("a failed build is retried on the next call", async () => {
+    let attempts = 0;
+    const get = cacheUntilChange("features", async () => {
+        if (++attempts === 1) throw new Error("database down");
+        return "index";
+    });
+    await assert.rejects(get(), /database down/);
+    assert.equal(await get(), "index");
+    assert.equal(attempts, 2);
+});
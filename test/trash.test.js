@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.STORAGE_BACKEND = "memory";
+process.env.SEED_FROM_JSON = "false";
+process.env.TRASH_RETENTION_DAYS = "30";
+const { upsertFeature, deleteFeatureById, readFeatureById } = require("../store");
+const { upsertWalkway, deleteWalkwayById, readWalkwayById } = require("../walkwayStore");
+const { TRASH_RETENTION_DAYS, listTrash, restoreFromTrash, purgeTrash } = require("../trash");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const entrance = (id, name) => ({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [-124.1990, 40.6985] },
+    properties: { _id: id, type: "entrance", name }
+});
+const segment = id => ({
+    type: "Feature",
+    geometry: { type: "LineString", coordinates: [[-124.1990, 40.6985], [-124.1985, 40.6986]] },
+    properties: { _id: id }
+});
+const daysFromNow = days => new Date(Date.now() + days * DAY_MS);
+
+test.before(async () => {
+    await upsertFeature(entrance("kept", "Kept-N1"));
+    await upsertFeature(entrance("gone", "Gone-N1"));
+    await upsertFeature(entrance("back", "Back-N1"));
+    await upsertWalkway(segment("w1"));
+    await deleteFeatureById("gone", { audit: { actor: "admin" } });
+    await deleteFeatureById("back");
+    await deleteWalkwayById("w1");
+});
+
+test("deleted items wait in the trash, newest first", async () => {
+    const items = await listTrash();
+    assert.deepEqual(items.map(i => [i.collection, i.id]).sort(), [["features", "back"], ["features", "gone"], ["walkways", "w1"]]);
+    for (let i = 1; i < items.length; i++) assert.ok(Date.parse(items[i - 1].deletedAt) >= Date.parse(items[i].deletedAt));
+    assert.equal(items.find(i => i.id === "gone").deletedBy, "admin");
+    assert.equal(await readFeatureById("gone"), null);
+    assert.deepEqual((await listTrash({ collection: "walkways" })).map(i => i.id), ["w1"]);
+    assert.equal((await listTrash({ limit: 1 })).length, 1);
+    await assert.rejects(listTrash({ collection: "rooms" }), /collection must be/);
+});
+
+test("restoring puts an item back as a new version", async () => {
+    const restored = await restoreFromTrash("features", "back");
+    assert.equal(restored.properties.name, "Back-N1");
+    assert.ok(restored.properties._version > 1);
+    assert.equal((await readFeatureById("back")).properties._id, "back");
+    assert.equal(await restoreFromTrash("features", "back"), null, "it is no longer in the trash");
+    assert.equal(await restoreFromTrash("walkways", "kept"), null);
+});
+
+test("purgeTrash only removes items older than the retention period", async () => {
+    assert.equal(TRASH_RETENTION_DAYS, 30);
+    assert.deepEqual(await purgeTrash({ now: daysFromNow(TRASH_RETENTION_DAYS - 1) }), { features: 0, walkways: 0 });
+    assert.equal((await listTrash()).length, 2);
+
+    assert.deepEqual(await purgeTrash({ now: daysFromNow(TRASH_RETENTION_DAYS + 1) }), { features: 1, walkways: 1 });
+    assert.deepEqual(await listTrash(), []);
+    assert.equal(await restoreFromTrash("features", "gone"), null);
+    assert.equal(await readWalkwayById("w1"), null);
+    assert.equal((await readFeatureById("kept")).properties.name, "Kept-N1");
+    assert.equal((await readFeatureById("back")).properties.name, "Back-N1");
+});
@@ -0,0 +1,340 @@
+const { readAllFeatures } = require("./store");
+const { readAllWalkways } = require("./walkwayStore");
+const { readDatasetVersion } = require("./datasetVersion");
+const { storeEvents } = require("./storeEvents");
+const { encodeTile } = require("./mvt");
+
+const EXTENT = 4096;
+const BUFFER = 64; // tile units drawn past each edge so strokes don't get cut at tile seams
+const MAX_ZOOM = 22;
+const SIMPLIFY_TOLERANCE = 8; // tile units, i.e. half a pixel on a 256px tile at every zoom
+const MIN_RING_AREA = 16; // tile units²; smaller rings are invisible at this zoom
+const CACHE_SIZE = Number(process.env.TILE_CACHE_SIZE || 2000);
+const MAX_LAT = 85.0511287798;
+const TILE_PROPERTIES = ["_id", "type", "name", "number", "buildingId", "prefix", "direction"];
+
+// Which stored rows go into which tile layer, and from what zoom on.
+const LAYERS = [
+    { name: "parking", source: "features", types: ["parking"], minZoom: 12 },
+    { name: "buildings", source: "features", types: ["building"], minZoom: 12 },
+    { name: "walkways", source: "walkways", types: null, minZoom: 14 },
+    { name: "entrances", source: "features", types: ["entrance", "exit", "stairwell"], minZoom: 16 }
+];
+
+const tileCache = new Map();
+let source = null; // { key, items } built from the stores for one pair of dataset versions
+
+storeEvents.on("change", () => {
+    tileCache.clear();
+    source = null;
+});
+
+// Web Mercator, scaled to the unit square: (0, 0) is the north-west corner of the world.
+function project([lon, lat]) {
+    const clamped = Math.max(-MAX_LAT, Math.min(MAX_LAT, lat));
+    const sin = Math.sin(clamped * Math.PI / 180);
+    return [(lon + 180) / 360, 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)];
+}
+
+function toItem(layer, feature) {
+    const geom = feature.geometry;
+    if (!geom || !Array.isArray(geom.coordinates)) return null;
+    let type;
+    let parts;
+    if (geom.type === "Point") {
+        type = "point";
+        parts = [[project(geom.coordinates)]];
+    } else if (geom.type === "LineString") {
+        type = "linestring";
+        parts = [geom.coordinates.map(project)];
+    } else if (geom.type === "Polygon") {
+        type = "polygon";
+        parts = [geom.coordinates.map(ring => ring.map(project))];
+    } else if (geom.type === "MultiPolygon") {
+        type = "polygon";
+        parts = geom.coordinates.map(poly => poly.map(ring => ring.map(project)));
+    } else {
+        return null;
+    }
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const visit = (c) => {
+        if (typeof c[0] === "number") {
+            if (c[0] < minX) minX = c[0];
+            if (c[1] < minY) minY = c[1];
+            if (c[0] > maxX) maxX = c[0];
+            if (c[1] > maxY) maxY = c[1];
+            return;
+        }
+        c.forEach(visit);
+    };
+    visit(parts);
+    if (!Number.isFinite(minX)) return null;
+    const p = feature.properties || {};
+    const properties = {};
+    TILE_PROPERTIES.forEach((k) => { if (p[k] != null) properties[k] = p[k]; });
+    if (layer.source === "walkways") properties.type = "walkway"; // older rows may not carry it
+    return { layer, type, parts, bbox: [minX, minY, maxX, maxY], properties };
+}
+
+async function loadSource(key) {
+    const [features, walkways] = await Promise.all([readAllFeatures(), readAllWalkways()]);
+    const items = [];
+    for (const layer of LAYERS) {
+        const rows = layer.source === "walkways" ? walkways : features;
+        for (const f of rows) {
+            const t = f.properties && f.properties.type;
+            if (layer.types && !layer.types.includes(t)) continue;
+            const item = toItem(layer, f);
+            if (item) items.push(item);
+        }
+    }
+    return { key, items };
+}
+
+// Sutherland–Hodgman against one edge of the clip box; `axis` 0 is x, 1 is y.
+function clipRingEdge(ring, axis, bound, keepBelow) {
+    const out = [];
+    const inside = p => (keepBelow ? p[axis] <= bound : p[axis] >= bound);
+    for (let i = 0; i < ring.length; i++) {
+        const a = ring[i];
+        const b = ring[(i + 1) % ring.length];
+        const aIn = inside(a);
+        const bIn = inside(b);
+        if (aIn) out.push(a);
+        if (aIn !== bIn) {
+            const t = (bound - a[axis]) / (b[axis] - a[axis]);
+            const other = 1 - axis;
+            const p = [];
+            p[axis] = bound;
+            p[other] = a[other] + t * (b[other] - a[other]);
+            out.push(p);
+        }
+    }
+    return out;
+}
+
+function clipRing(ring, min, max) {
+    let r = ring.slice(0, -1); // drop the closing point; the clipper treats rings as closed
+    r = clipRingEdge(r, 0, min, false);
+    r = clipRingEdge(r, 0, max, true);
+    r = clipRingEdge(r, 1, min, false);
+    r = clipRingEdge(r, 1, max, true);
+    return r;
+}
+
+// Liang–Barsky on each segment; a line leaving and re-entering the box becomes several lines.
+function clipLine(line, min, max) {
+    const pieces = [];
+    let current = null;
+    for (let i = 0; i < line.length - 1; i++) {
+        const [x0, y0] = line[i];
+        const [x1, y1] = line[i + 1];
+        const dx = x1 - x0;
+        const dy = y1 - y0;
+        let t0 = 0;
+        let t1 = 1;
+        let visible = true;
+        for (const [p, q] of [[-dx, x0 - min], [dx, max - x0], [-dy, y0 - min], [dy, max - y0]]) {
+            if (p === 0) {
+                if (q < 0) visible = false;
+            } else {
+                const t = q / p;
+                if (p < 0) t0 = Math.max(t0, t);
+                else t1 = Math.min(t1, t);
+            }
+        }
+        if (!visible || t0 > t1) {
+            current = null;
+            continue;
+        }
+        const a = [x0 + t0 * dx, y0 + t0 * dy];
+        const b = [x0 + t1 * dx, y0 + t1 * dy];
+        if (!current || t0 > 0) {
+            current = [a];
+            pieces.push(current);
+        }
+        current.push(b);
+        if (t1 < 1) current = null;
+    }
+    return pieces;
+}
+
+function sqSegmentDistance(p, a, b) {
+    let x = a[0];
+    let y = a[1];
+    let dx = b[0] - x;
+    let dy = b[1] - y;
+    if (dx !== 0 || dy !== 0) {
+        const t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy);
+        if (t > 1) {
+            x = b[0];
+            y = b[1];
+        } else if (t > 0) {
+            x += dx * t;
+            y += dy * t;
+        }
+    }
+    dx = p[0] - x;
+    dy = p[1] - y;
+    return dx * dx + dy * dy;
+}
+
+// Douglas–Peucker; the first and last points are always kept.
+function simplify(points, tolerance) {
+    if (points.length <= 2) return points;
+    const sqTol = tolerance * tolerance;
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];
+    while (stack.length) {
+        const [first, last] = stack.pop();
+        let maxDist = 0;
+        let index = -1;
+        for (let i = first + 1; i < last; i++) {
+            const d = sqSegmentDistance(points[i], points[first], points[last]);
+            if (d > maxDist) {
+                maxDist = d;
+                index = i;
+            }
+        }
+        if (maxDist > sqTol) {
+            keep[index] = 1;
+            stack.push([first, index], [index, last]);
+        }
+    }
+    return points.filter((_, i) => keep[i]);
+}
+
+function roundPoints(points) {
+    const out = [];
+    for (const p of points) {
+        const x = Math.round(p[0]);
+        const y = Math.round(p[1]);
+        const prev = out[out.length - 1];
+        if (!prev || prev[0] !== x || prev[1] !== y) out.push([x, y]);
+    }
+    return out;
+}
+
+function ringArea(ring) {
+    let sum = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const a = ring[i];
+        const b = ring[(i + 1) % ring.length];
+        sum += a[0] * b[1] - b[0] * a[1];
+    }
+    return sum / 2;
+}
+
+// Projects, clips and simplifies one item into tile coordinates. Returns null when nothing is left to draw.
+function tileGeometry(item, z, x, y) {
+    const scale = 2 ** z * EXTENT;
+    const toTile = ([wx, wy]) => [wx * scale - x * EXTENT, wy * scale - y * EXTENT];
+    const min = -BUFFER;
+    const max = EXTENT + BUFFER;
+
+    if (item.type === "point") {
+        const [px, py] = toTile(item.parts[0][0]);
+        if (px < min || px > max || py < min || py > max) return null;
+        return [[Math.round(px), Math.round(py)]];
+    }
+    if (item.type === "linestring") {
+        const lines = clipLine(item.parts[0].map(toTile), min, max)
+            .map(l => roundPoints(simplify(l, SIMPLIFY_TOLERANCE)))
+            .filter(l => l.length >= 2);
+        return lines.length ? lines : null;
+    }
+    const prepareRing = (ring, outer) => {
+        const clipped = clipRing(ring.map(toTile), min, max);
+        if (clipped.length < 3) return null;
+        const r = roundPoints(simplify(clipped.concat([clipped[0]]), SIMPLIFY_TOLERANCE)).slice(0, -1);
+        const area = ringArea(r);
+        if (r.length < 3 || Math.abs(area) < MIN_RING_AREA) return null;
+        if ((area > 0) !== outer) r.reverse(); // exteriors positive, holes negative
+        return r;
+    };
+    const rings = [];
+    for (const [exterior, ...holes] of item.parts) {
+        const outer = prepareRing(exterior, true);
+        if (!outer) continue; // its holes go with it
+        rings.push(outer);
+        holes.forEach((h) => {
+            const hole = prepareRing(h, false);
+            if (hole) rings.push(hole);
+        });
+    }
+    return rings.length ? rings : null;
+}
+
+function buildTile(items, z, x, y) {
+    const size = 1 / 2 ** z;
+    const pad = size * BUFFER / EXTENT;
+    const box = [x * size - pad, y * size - pad, (x + 1) * size + pad, (y + 1) * size + pad];
+    const layers = LAYERS.map(l => ({ name: l.name, extent: EXTENT, features: [] }));
+    for (const item of items) {
+        if (z < item.layer.minZoom) continue;
+        const b = item.bbox;
+        if (b[2] < box[0] || b[0] > box[2] || b[3] < box[1] || b[1] > box[3]) continue;
+        const geometry = tileGeometry(item, z, x, y);
+        if (!geometry) continue;
+        layers[LAYERS.indexOf(item.layer)].features.push({ type: item.type, geometry, properties: item.properties });
+    }
+    return encodeTile(layers);
+}
+
+/**
+ * Parses and range-checks tile coordinates from a URL.
+ * @returns {{z: number, x: number, y: number}|null}
+ */
+function parseTileCoords(z, x, y) {
+    const nums = [z, x, y].map(v => (/^\d+$/.test(String(v)) ? Number(v) : NaN));
+    const [tz, tx, ty] = nums;
+    if (nums.some(n => !Number.isInteger(n)) || tz > MAX_ZOOM) return null;
+    const count = 2 ** tz;
+    if (tx >= count || ty >= count) return null;
+    return { z: tz, x: tx, y: ty };
+}
+
+/**
+ * Versions of the data behind the tiles; changes whenever a feature or walkway is written.
+ * @returns {Promise<string>}
+ */
+async function tileDataVersion() {
+    const [features, walkways] = await Promise.all([readDatasetVersion("features"), readDatasetVersion("walkways")]);
+    return `${features}-${walkways}`;
+}
+
+/**
+ * Returns the encoded tile for z/x/y, from the in-process cache when the data has not changed.
+ * The cache is keyed by the dataset versions, so writes made by another process are picked up too;
+ * local writes also clear it straight away.
+ * @param {{z: number, x: number, y: number}} coords
+ * @param {string} version From tileDataVersion().
+ * @returns {Promise<Buffer>}
+ */
+async function getTile({ z, x, y }, version) {
+    const cacheKey = `${version}/${z}/${x}/${y}`;
+    const hit = tileCache.get(cacheKey);
+    if (hit) {
+        tileCache.delete(cacheKey); // re-insert to keep the Map in least-recently-used order
+        tileCache.set(cacheKey, hit);
+        return hit;
+    }
+    if (!source || source.key !== version) {
+        tileCache.clear();
+        source = await loadSource(version);
+    }
+    const tile = buildTile(source.items, z, x, y);
+    tileCache.set(cacheKey, tile);
+    if (tileCache.size > CACHE_SIZE) tileCache.delete(tileCache.keys().next().value);
+    return tile;
+}
+
+module.exports = {
+    MAX_ZOOM,
+    TILE_LAYERS: LAYERS.map(l => l.name),
+    parseTileCoords,
+    tileDataVersion,
+    getTile
+};
@@ -0,0 +1,163 @@
+const { createHash, randomBytes, randomUUID } = require("crypto");
+const { documents, query, withTransaction } = require("./storage");
+const { ValidationError } = require("./errors");
+
+const TOKEN_PREFIX = "crt_";
+const SCOPES = ["read", "features:write", "walkways:write"];
+const SELECT_COLUMNS = "t.id, t.user_id, t.name, t.display_prefix, t.scopes, t.created_at, t.last_used_at, t.revoked_at";
+
+// Tokens are 256 random bits, so a fast hash is enough; there is nothing to brute-force.
+function hashToken(token) {
+    return createHash("sha256").update(String(token)).digest("hex");
+}
+
+function rowToToken(r) {
+    return {
+        id: r.id,
+        userId: r.user_id,
+        username: r.username,
+        name: r.name,
+        displayPrefix: r.display_prefix,
+        scopes: r.scopes,
+        createdAt: r.created_at,
+        lastUsedAt: r.last_used_at,
+        revokedAt: r.revoked_at
+    };
+}
+
+/**
+ * Issues a new token for `userId`. The plaintext is only ever returned here.
+ * @param {{userId: string, name: string, scopes: string[]}} input
+ * @returns {Promise<{token: string, record: Object}>}
+ */
+async function createToken({ userId, name, scopes }) {
+    const problems = [];
+    const label = String(name || "").trim();
+    if (!label || label.length > 100) {
+        problems.push({ path: "name", code: "required", message: "Give the token a name of up to 100 characters" });
+    }
+    const list = [].concat(scopes || []);
+    if (!list.length || !list.every(s => SCOPES.includes(s))) {
+        problems.push({ path: "scopes", code: "invalid_property", message: `Pick at least one scope from ${SCOPES.join(", ")}` });
+    }
+    if (problems.length) throw new ValidationError(problems, "Invalid token");
+    const token = TOKEN_PREFIX + randomBytes(32).toString("base64url");
+    if (documents) {
+        const row = {
+            id: randomUUID(),
+            user_id: userId,
+            name: label,
+            token_hash: hashToken(token),
+            display_prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+            scopes: [...new Set(list)],
+            created_at: new Date().toISOString(),
+            last_used_at: null,
+            revoked_at: null
+        };
+        await withTransaction(async tx => tx.put("api_tokens", row.id, row));
+        return { token, record: rowToToken(row) };
+    }
+    const res = await query(
+        `INSERT INTO api_tokens AS t (id, user_id, name, token_hash, display_prefix, scopes)
+         VALUES ($1,$2,$3,$4,$5,$6)
+         RETURNING ${SELECT_COLUMNS}`,
+        [randomUUID(), userId, label, hashToken(token), token.slice(0, TOKEN_PREFIX.length + 6), [...new Set(list)]]
+    );
+    return { token, record: rowToToken(res.rows[0]) };
+}
+
+/**
+ * Lists tokens, newest first. Pass a user id to only see that user's tokens.
+ * @param {{userId?: string}} [opts]
+ */
+async function readTokens({ userId } = {}) {
+    if (documents) {
+        const users = new Map((await documents.list("users")).map(u => [u.id, u]));
+        return (await documents.list("api_tokens"))
+            .filter(t => !userId || t.user_id === userId)
+            .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at))
+            .map(t => rowToToken({ ...t, username: users.has(t.user_id) ? users.get(t.user_id).username : null }));
+    }
+    const params = [];
+    let where = "";
+    if (userId) {
+        params.push(userId);
+        where = " WHERE t.user_id = $1";
+    }
+    const res = await query(
+        `SELECT ${SELECT_COLUMNS}, u.username FROM api_tokens t LEFT JOIN users u ON u.id = t.user_id${where}
+         ORDER BY t.created_at DESC`,
+        params
+    );
+    return res.rows.map(rowToToken);
+}
+
+async function readTokenById(id) {
+    if (documents) {
+        const row = await documents.get("api_tokens", id);
+        return row ? rowToToken(row) : null;
+    }
+    const res = await query(`SELECT ${SELECT_COLUMNS} FROM api_tokens t WHERE t.id = $1`, [id]);
+    return res.rows.length ? rowToToken(res.rows[0]) : null;
+}
+
+/**
+ * Marks a token as revoked. Returns false when it does not exist or was already revoked.
+ */
+async function revokeToken(id) {
+    if (documents) {
+        return withTransaction(async (tx) => {
+            const row = tx.get("api_tokens", id);
+            if (!row || row.revoked_at) return false;
+            tx.put("api_tokens", id, { ...row, revoked_at: new Date().toISOString() });
+            return true;
+        });
+    }
+    const res = await query("UPDATE api_tokens SET revoked_at = now() WHERE id = $1 AND revoked_at IS NULL", [id]);
+    return res.rowCount > 0;
+}
+
+async function authenticateDocumentToken(tokenHash) {
+    const found = (await documents.list("api_tokens")).find(t => t.token_hash === tokenHash && !t.revoked_at);
+    const owner = found && await documents.get("users", found.user_id);
+    if (!owner) return null;
+    const row = await withTransaction(async (tx) => {
+        const current = tx.get("api_tokens", found.id);
+        if (!current || current.revoked_at) return null;
+        const used = { ...current, last_used_at: new Date().toISOString() };
+        tx.put("api_tokens", found.id, used);
+        return used;
+    });
+    if (!row) return null;
+    return { token: rowToToken({ ...row, username: owner.username }), user: { id: owner.id, username: owner.username, role: owner.role } };
+}
+
+/**
+ * Resolves a presented bearer token to its record and owner, recording the use.
+ * Revoked tokens and tokens whose owner has been deleted resolve to null.
+ * @param {string} token
+ * @returns {Promise<{token: Object, user: {id: string, username: string, role: string}}|null>}
+ */
+async function authenticateToken(token) {
+    if (!String(token || "").startsWith(TOKEN_PREFIX)) return null;
+    if (documents) return authenticateDocumentToken(hashToken(token));
+    const res = await query(
+        `UPDATE api_tokens t SET last_used_at = now()
+         FROM users u
+         WHERE t.token_hash = $1 AND t.revoked_at IS NULL AND u.id = t.user_id
+         RETURNING ${SELECT_COLUMNS}, u.username, u.role`,
+        [hashToken(token)]
+    );
+    if (!res.rows.length) return null;
+    const r = res.rows[0];
+    return { token: rowToToken(r), user: { id: r.user_id, username: r.username, role: r.role } };
+}
+
+module.exports = {
+    SCOPES,
+    createToken,
+    readTokens,
+    readTokenById,
+    revokeToken,
+    authenticateToken
+};
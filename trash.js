@@ -0,0 +1,108 @@
+const { BACKEND, documents } = require("./storage");
+const { readTrashedFeatures, restoreFeatureById, purgeTrashedFeatures } = require("./store");
+const { readTrashedWalkways, restoreWalkwayById, purgeTrashedWalkways } = require("./walkwayStore");
+const { logger } = require("./logger");
+const { BadRequestError } = require("./errors");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Deleted items can be restored for this many days; 0 keeps them until someone restores them.
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS ?? 30);
+const PURGE_INTERVAL_MS = Number(process.env.TRASH_PURGE_INTERVAL_MS || 60 * 60 * 1000);
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+const COLLECTIONS = {
+    features: { read: readTrashedFeatures, restore: restoreFeatureById, purge: purgeTrashedFeatures },
+    walkways: { read: readTrashedWalkways, restore: restoreWalkwayById, purge: purgeTrashedWalkways }
+};
+
+function collectionsFor(collection) {
+    if (collection == null || collection === "") return Object.keys(COLLECTIONS);
+    if (!COLLECTIONS[collection]) throw new BadRequestError("collection must be \"features\" or \"walkways\"");
+    return [collection];
+}
+
+function clampLimit(limit) {
+    const n = Number(limit);
+    if (!Number.isInteger(n) || n < 1) return DEFAULT_PAGE_SIZE;
+    return Math.min(n, MAX_PAGE_SIZE);
+}
+
+/**
+ * Deleted features and walkway segments that can still be restored, most recently deleted first.
+ * Items deleted together (one batch, one import, one erase in the editor) share `deletedAt`.
+ * @param {{collection?: "features"|"walkways", limit?: number}} [opts] Both collections unless `collection` is given.
+ * @returns {Promise<Array<{collection: string, id: string, deletedAt: string, deletedBy: string|null, feature: GeoJSON.Feature}>>}
+ */
+async function listTrash({ collection, limit } = {}) {
+    const max = clampLimit(limit);
+    const items = [];
+    for (const name of collectionsFor(collection)) {
+        const entries = await COLLECTIONS[name].read({ limit: max });
+        entries.forEach(e => items.push({ collection: name, ...e }));
+    }
+    items.sort((a, b) => Date.parse(b.deletedAt) - Date.parse(a.deletedAt) || a.collection.localeCompare(b.collection) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+    return items.slice(0, max);
+}
+
+/**
+ * Takes one item out of the trash and makes it visible again.
+ * @param {"features"|"walkways"} collection
+ * @param {string} id
+ * @param {{audit?: Object}} [opts]
+ * @returns {Promise<GeoJSON.Feature|null>} The restored copy, or null when the id is not in that collection's trash.
+ */
+async function restoreFromTrash(collection, id, { audit } = {}) {
+    const [name] = collectionsFor(collection);
+    return COLLECTIONS[name].restore(id, { audit });
+}
+
+/**
+ * Permanently removes everything deleted more than TRASH_RETENTION_DAYS ago.
+ * @param {{now?: Date}} [opts]
+ * @returns {Promise<{features: number, walkways: number}>} How many rows each collection lost.
+ */
+async function purgeTrash({ now = new Date() } = {}) {
+    const purged = { features: 0, walkways: 0 };
+    if (!(TRASH_RETENTION_DAYS > 0)) return purged;
+    const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+    for (const name of Object.keys(COLLECTIONS)) {
+        purged[name] = await COLLECTIONS[name].purge(cutoff);
+    }
+    if (purged.features || purged.walkways) logger.info("Purged trash", { ...purged, cutoff: cutoff.toISOString() });
+    return purged;
+}
+
+/**
+ * Runs purgeTrash now and then every TRASH_PURGE_INTERVAL_MS for as long as the process lives.
+ * Does nothing when TRASH_RETENTION_DAYS is 0.
+ */
+function startTrashPurge() {
+    if (!(TRASH_RETENTION_DAYS > 0)) return;
+    const run = () => purgeTrash().catch(err => logger.error("Trash purge failed", { err }));
+    run();
+    setInterval(run, PURGE_INTERVAL_MS).unref();
+}
+
+// `npm run purge-trash`
+if (require.main === module) {
+    purgeTrash()
+        .then((purged) => {
+            if (!(TRASH_RETENTION_DAYS > 0)) logger.info("TRASH_RETENTION_DAYS is 0; nothing is purged");
+            else logger.info("Trash purge done", { backend: BACKEND, ...purged });
+            return documents ? null : require("./db").pool.end();
+        })
+        .catch((err) => {
+            logger.error("Trash purge failed", { err });
+            process.exitCode = 1;
+            if (!documents) require("./db").pool.end().catch(() => {});
+        });
+}
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    listTrash,
+    restoreFromTrash,
+    purgeTrash,
+    startTrashPurge
+};
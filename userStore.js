@@ -0,0 +1,204 @@
+const { randomUUID } = require("crypto");
+const { documents, query, withTransaction } = require("./storage");
+const { ValidationError } = require("./errors");
+const { hashPassword, verifyPassword } = require("./passwords");
+const { logger } = require("./logger");
+
+let bootstrap = null;
+const SELECT_COLUMNS = "id, username, role, created_at, updated_at";
+const USERNAME_RE = /^[a-z0-9._-]{2,64}$/;
+const MIN_PASSWORD_LENGTH = 10;
+// Ordered from least to most privileged; each role can do everything the ones before it can.
+const ROLES = ["viewer", "editor", "admin"];
+
+function ensureBootstrapAdmin() {
+    if (!bootstrap) {
+        bootstrap = maybeCreateBootstrapAdmin().catch((err) => {
+            bootstrap = null; // try again on the next call
+            throw err;
+        });
+    }
+    return bootstrap;
+}
+
+/**
+ * On a fresh install there is nobody to log in as, so the old shared ADMIN_PASSWORD
+ * becomes the password of an "admin" account (ADMIN_USERNAME overrides the name).
+ */
+async function maybeCreateBootstrapAdmin() {
+    if (documents) {
+        if ((await documents.list("users")).length > 0) return;
+    } else {
+        const countRes = await query("SELECT COUNT(*)::int AS n FROM users");
+        if ((countRes.rows[0].n || 0) > 0) return;
+    }
+    const username = (process.env.ADMIN_USERNAME || "admin").toLowerCase();
+    const password = process.env.ADMIN_PASSWORD || "admin";
+    if (!process.env.ADMIN_PASSWORD) {
+        logger.warn("No users yet and ADMIN_PASSWORD is unset; creating the bootstrap admin with the default password. Change it now.", { username });
+    }
+    await insertUser({ username, passwordHash: await hashPassword(password), role: "admin" });
+    logger.info("Created bootstrap admin account", { username });
+}
+
+// Inserts unless the username is taken; returns the new row or null.
+async function insertUser({ username, passwordHash, role }) {
+    if (documents) {
+        return withTransaction(async (tx) => {
+            if (tx.list("users").some(u => u.username === username)) return null;
+            const now = new Date().toISOString();
+            const row = { id: randomUUID(), username, password_hash: passwordHash, role, created_at: now, updated_at: now };
+            tx.put("users", row.id, row);
+            return row;
+        });
+    }
+    const res = await query(
+        `INSERT INTO users (id, username, password_hash, role) VALUES ($1,$2,$3,$4)
+         ON CONFLICT (username) DO NOTHING
+         RETURNING ${SELECT_COLUMNS}`,
+        [randomUUID(), username, passwordHash, role]
+    );
+    return res.rows[0] || null;
+}
+
+function rowToUser(r) {
+    return {
+        id: r.id,
+        username: r.username,
+        role: r.role,
+        createdAt: r.created_at,
+        updatedAt: r.updated_at
+    };
+}
+
+function checkUserInput({ username, password, role }, { requirePassword }) {
+    const problems = [];
+    if (username !== undefined && !USERNAME_RE.test(String(username || ""))) {
+        problems.push({ path: "username", code: "invalid_property", message: "Username must be 2-64 lowercase letters, digits, '.', '_' or '-'" });
+    }
+    if (password !== undefined || requirePassword) {
+        if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+            problems.push({ path: "password", code: "invalid_property", message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+        problems.push({ path: "role", code: "invalid_property", message: `Role must be one of ${ROLES.join(", ")}` });
+    }
+    return problems;
+}
+
+async function readUsers() {
+    await ensureBootstrapAdmin();
+    if (documents) {
+        const rows = await documents.list("users");
+        return rows.sort((a, b) => (a.username < b.username ? -1 : a.username > b.username ? 1 : 0)).map(rowToUser);
+    }
+    const res = await query(`SELECT ${SELECT_COLUMNS} FROM users ORDER BY username`);
+    return res.rows.map(rowToUser);
+}
+
+async function readUserById(id) {
+    await ensureBootstrapAdmin();
+    if (documents) {
+        const row = await documents.get("users", id);
+        return row ? rowToUser(row) : null;
+    }
+    const res = await query(`SELECT ${SELECT_COLUMNS} FROM users WHERE id = $1`, [id]);
+    return res.rows.length ? rowToUser(res.rows[0]) : null;
+}
+
+async function countAdmins() {
+    await ensureBootstrapAdmin();
+    if (documents) return (await documents.list("users")).filter(u => u.role === "admin").length;
+    const res = await query("SELECT COUNT(*)::int AS n FROM users WHERE role = 'admin'");
+    return res.rows[0].n || 0;
+}
+
+/**
+ * Returns the user when `username`/`password` match, otherwise null.
+ * Unknown usernames still cost one hash so response time does not reveal which accounts exist.
+ */
+async function verifyCredentials(username, password) {
+    await ensureBootstrapAdmin();
+    const name = String(username || "").toLowerCase();
+    let row;
+    if (documents) {
+        row = (await documents.list("users")).find(u => u.username === name);
+    } else {
+        const res = await query(`SELECT ${SELECT_COLUMNS}, password_hash FROM users WHERE username = $1`, [name]);
+        row = res.rows[0];
+    }
+    const ok = await verifyPassword(String(password || ""), row ? row.password_hash : null);
+    return row && ok ? rowToUser(row) : null;
+}
+
+/**
+ * Creates a user. Throws ValidationError on bad input or a taken username.
+ */
+async function createUser({ username, password, role }) {
+    const name = String(username || "").trim().toLowerCase();
+    const problems = checkUserInput({ username: name, password, role }, { requirePassword: true });
+    if (problems.length) throw new ValidationError(problems, "Invalid user");
+    await ensureBootstrapAdmin();
+    const row = await insertUser({ username: name, passwordHash: await hashPassword(password), role });
+    if (!row) {
+        throw new ValidationError([{ path: "username", code: "taken", message: "That username is already in use" }], "Invalid user");
+    }
+    return rowToUser(row);
+}
+
+/**
+ * Changes a user's role and/or password. Returns null when the user does not exist.
+ */
+async function updateUser(id, { role, password } = {}) {
+    const problems = checkUserInput({ role, password }, { requirePassword: false });
+    if (problems.length) throw new ValidationError(problems, "Invalid user");
+    await ensureBootstrapAdmin();
+    if (documents) {
+        if (role === undefined && password === undefined) return readUserById(id);
+        const passwordHash = password !== undefined ? await hashPassword(password) : undefined;
+        return withTransaction(async (tx) => {
+            const row = tx.get("users", id);
+            if (!row) return null;
+            if (role !== undefined) row.role = role;
+            if (passwordHash !== undefined) row.password_hash = passwordHash;
+            row.updated_at = new Date().toISOString();
+            tx.put("users", id, row);
+            return rowToUser(row);
+        });
+    }
+    const sets = [];
+    const params = [id];
+    if (role !== undefined) {
+        params.push(role);
+        sets.push(`role = $${params.length}`);
+    }
+    if (password !== undefined) {
+        params.push(await hashPassword(password));
+        sets.push(`password_hash = $${params.length}`);
+    }
+    if (!sets.length) return readUserById(id);
+    const res = await query(
+        `UPDATE users SET ${sets.join(", ")}, updated_at = now() WHERE id = $1 RETURNING ${SELECT_COLUMNS}`,
+        params
+    );
+    return res.rows.length ? rowToUser(res.rows[0]) : null;
+}
+
+async function deleteUserById(id) {
+    await ensureBootstrapAdmin();
+    if (documents) return withTransaction(async tx => tx.remove("users", id));
+    const res = await query("DELETE FROM users WHERE id = $1", [id]);
+    return res.rowCount > 0;
+}
+
+module.exports = {
+    ROLES,
+    readUsers,
+    readUserById,
+    countAdmins,
+    verifyCredentials,
+    createUser,
+    updateUser,
+    deleteUserById
+};
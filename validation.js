@@ -0,0 +1,103 @@
+const { FEATURE_GEOMETRY_TYPES, validateSchema } = require("./schemas");
+
+// Campus extent (minLon, minLat, maxLon, maxLat) with some slack around the map's max bounds.
+const CAMPUS_BBOX = parseBBox(process.env.CAMPUS_BBOX) || [-124.2026, 40.6926, -124.1894, 40.7034];
+
+function parseBBox(raw) {
+    if (!raw) return null;
+    const parts = String(raw).split(",").map(Number);
+    return parts.length === 4 && parts.every(Number.isFinite) ? parts : null;
+}
+
+// True when the schema already rejected `path` or something inside it; the checks below skip that part.
+function hasProblemAt(problems, path) {
+    return problems.some(p => p.path === path || p.path.startsWith(`${path}.`) || p.path.startsWith(`${path}[`));
+}
+
+function checkInCampus(pos, path, problems) {
+    const [lon, lat] = pos;
+    if (lon < CAMPUS_BBOX[0] || lon > CAMPUS_BBOX[2] || lat < CAMPUS_BBOX[1] || lat > CAMPUS_BBOX[3]) {
+        problems.push({ path, code: "out_of_bounds", message: `Position [${lon}, ${lat}] is outside the campus extent` });
+        return false;
+    }
+    return true;
+}
+
+function checkRings(rings, path, problems) {
+    rings.forEach((ring, r) => {
+        const ringPath = `${path}[${r}]`;
+        const inside = ring.map((c, i) => checkInCampus(c, `${ringPath}[${i}]`, problems)).every(Boolean);
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if (inside && (first[0] !== last[0] || first[1] !== last[1])) {
+            problems.push({ path: ringPath, code: "ring_not_closed", message: "Linear ring must start and end at the same position" });
+        }
+    });
+}
+
+// What the Geometry schema cannot say: which geometry types a feature type takes, the campus extent and closed rings.
+function checkGeometry(geom, allowedTypes, problems) {
+    if (!allowedTypes.includes(geom.type)) {
+        problems.push({
+            path: "geometry.type",
+            code: "invalid_geometry_type",
+            message: `Expected ${allowedTypes.join(" or ")}, got ${JSON.stringify(geom.type)}`
+        });
+        return;
+    }
+    const c = geom.coordinates;
+    if (geom.type === "Point") checkInCampus(c, "geometry.coordinates", problems);
+    if (geom.type === "LineString") c.forEach((pos, i) => checkInCampus(pos, `geometry.coordinates[${i}]`, problems));
+    if (geom.type === "Polygon") checkRings(c, "geometry.coordinates", problems);
+    if (geom.type === "MultiPolygon") c.forEach((poly, i) => checkRings(poly, `geometry.coordinates[${i}]`, problems));
+}
+
+/**
+ * Validates a campus feature (building, room, parking, entrance, ...) against the Feature schema,
+ * then checks the rules that depend on the feature type and the campus extent.
+ * @param {GeoJSON.Feature} feature
+ * @returns {Array<{path: string, code: string, message: string}>} Empty when valid.
+ */
+function validateFeature(feature) {
+    const problems = validateSchema("Feature", feature);
+    if (hasProblemAt(problems, "") || problems.some(p => p.path === "properties")) return problems;
+    const p = feature.properties;
+
+    const allowed = FEATURE_GEOMETRY_TYPES[p.type];
+    if (allowed && !hasProblemAt(problems, "geometry")) checkGeometry(feature.geometry, allowed, problems);
+
+    if (p.type === "building" && !p.name) {
+        problems.push({ path: "properties.name", code: "required", message: "Buildings need a name" });
+    }
+    if (p.type === "room" && !p.number && !p.name) {
+        problems.push({ path: "properties.number", code: "required", message: "Rooms need a number or a name" });
+    }
+    if (p.type === "entrance" && !p.name) {
+        problems.push({ path: "properties.name", code: "required", message: "Entrances need a name" });
+    }
+    return problems;
+}
+
+/**
+ * Validates a walkway segment against the Walkway schema and the campus extent.
+ * @param {GeoJSON.Feature} feature
+ * @returns {Array<{path: string, code: string, message: string}>} Empty when valid.
+ */
+function validateWalkway(feature) {
+    const problems = validateSchema("Walkway", feature);
+    if (hasProblemAt(problems, "") || problems.some(p => p.path === "properties")) return problems;
+    const p = feature.properties || {};
+
+    if (!hasProblemAt(problems, "geometry")) checkGeometry(feature.geometry, ["LineString"], problems);
+    if (Array.isArray(p.control) && !hasProblemAt(problems, "properties.control")) {
+        p.control.forEach((c, i) => checkInCampus(c, `properties.control[${i}]`, problems));
+    }
+    return problems;
+}
+
+module.exports = {
+    CAMPUS_BBOX,
+    FEATURE_GEOMETRY_TYPES,
+    validateFeature,
+    validateWalkway
+};
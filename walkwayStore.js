@@ -1,12 +1,21 @@
 const { randomUUID: cryptoRandomUUID } = require("crypto");
 const fs = require("fs/promises");
 const path = require("path");
-const { query } = require("./db");
+const { documents, query, withTransaction } = require("./storage");
+const { storeEvents } = require("./storeEvents");
+const { logger } = require("./logger");
+const { validateWalkway } = require("./validation");
+const { ValidationError } = require("./errors");
+const { assertExpectedVersion } = require("./concurrency");
+const { pageRows, compareIds } = require("./documentStore");
+const { recordRevision } = require("./history");
+const { bumpDatasetVersion } = require("./datasetVersion");
 
 const DATA_DIR = path.join(__dirname, "data");
 const DATA_PATH = path.join(DATA_DIR, "walkways.json");
-let tablesReady = false;
+let seeded = false;
 const SHOULD_SEED_FROM_JSON = process.env.SEED_FROM_JSON === "true";
+const SELECT_COLUMNS = "id, type, name, curved, segmented, segment_index, start_lon, start_lat, end_lon, end_lat, control_start_lon, control_start_lat, control_end_lon, control_end_lat, control, data, geom, version, deleted_at, deleted_by";
 
 function sanitizeJson(obj) {
     try {
@@ -25,52 +34,29 @@ function toJsonb(val) {
     return val == null ? null : JSON.stringify(val);
 }
 
+function getBBox(geom) {
+    if (!geom || !Array.isArray(geom.coordinates)) return null;
+    let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
+    for (const c of geom.coordinates) {
+        if (!Array.isArray(c) || !Number.isFinite(c[0]) || !Number.isFinite(c[1])) continue;
+        minLon = Math.min(minLon, c[0]);
+        minLat = Math.min(minLat, c[1]);
+        maxLon = Math.max(maxLon, c[0]);
+        maxLat = Math.max(maxLat, c[1]);
+    }
+    if (!Number.isFinite(minLon)) return null;
+    return { minLon, minLat, maxLon, maxLat };
+}
+
 function makeId() {
     if (typeof cryptoRandomUUID === "function") return cryptoRandomUUID();
     return "w-" + Math.random().toString(36).slice(2) + Date.now().toString(36);
 }
 
-async function ensureTables() {
-    if (tablesReady) return;
-    await query(`
-        CREATE TABLE IF NOT EXISTS walkways (
-            id TEXT PRIMARY KEY,
-            type TEXT,
-            name TEXT,
-            curved BOOLEAN,
-            segmented BOOLEAN,
-            segment_index INTEGER,
-            start_lon DOUBLE PRECISION,
-            start_lat DOUBLE PRECISION,
-            end_lon DOUBLE PRECISION,
-            end_lat DOUBLE PRECISION,
-            control_start_lon DOUBLE PRECISION,
-            control_start_lat DOUBLE PRECISION,
-            control_end_lon DOUBLE PRECISION,
-            control_end_lat DOUBLE PRECISION,
-            control JSONB,
-            data JSONB,
-            geom JSONB
-        );
-    `);
-    const addCol = async (col, def) => query(`ALTER TABLE walkways ADD COLUMN IF NOT EXISTS ${col} ${def};`);
-    await addCol("type", "TEXT");
-    await addCol("name", "TEXT");
-    await addCol("curved", "BOOLEAN");
-    await addCol("segmented", "BOOLEAN");
-    await addCol("segment_index", "INTEGER");
-    await addCol("start_lon", "DOUBLE PRECISION");
-    await addCol("start_lat", "DOUBLE PRECISION");
-    await addCol("end_lon", "DOUBLE PRECISION");
-    await addCol("end_lat", "DOUBLE PRECISION");
-    await addCol("control_start_lon", "DOUBLE PRECISION");
-    await addCol("control_start_lat", "DOUBLE PRECISION");
-    await addCol("control_end_lon", "DOUBLE PRECISION");
-    await addCol("control_end_lat", "DOUBLE PRECISION");
-    await addCol("control", "JSONB");
-    await addCol("data", "JSONB");
-    await addCol("geom", "JSONB");
-    tablesReady = true;
+// The table itself comes from migrations/; the shipped JSON is loaded into it on first use when SEED_FROM_JSON is set.
+async function ensureSeeded() {
+    if (seeded || documents) return;
+    seeded = true;
     if (SHOULD_SEED_FROM_JSON) {
         await maybeImportFromJson();
     }
@@ -81,7 +67,7 @@ async function maybeImportFromJson() {
         const countRes = await query("SELECT COUNT(*)::int AS n FROM walkways");
         if ((countRes.rows[0].n || 0) > 0) return;
     } catch (e) {
-        console.warn("Walkway count check failed, skipping import", e);
+        logger.warn("Walkway count check failed, skipping JSON import", { err: e });
         return;
     }
 
@@ -104,12 +90,14 @@ async function maybeImportFromJson() {
                 const controlArr = Array.isArray(p.control) ? p.control : null;
                 const controlStart = controlArr && controlArr[0] ? controlArr[0] : null;
                 const controlEnd = controlArr && controlArr[controlArr.length - 1] ? controlArr[controlArr.length - 1] : null;
+                const bbox = getBBox(withId.geometry);
                 await query(
                     `INSERT INTO walkways (id, type, name, curved, segmented, segment_index,
                                            start_lon, start_lat, end_lon, end_lat,
                                            control_start_lon, control_start_lat, control_end_lon, control_end_lat,
-                                           control, data, geom)
-                     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16::jsonb,$17::jsonb)
+                                           control, data, geom,
+                                           bbox_min_lon, bbox_min_lat, bbox_max_lon, bbox_max_lat)
+                     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16::jsonb,$17::jsonb,$18,$19,$20,$21)
                      ON CONFLICT (id) DO NOTHING`,
                     [
                         id,
@@ -128,55 +116,149 @@ async function maybeImportFromJson() {
                         controlEnd ? controlEnd[1] : null,
                         toJsonb(controlArr || null),
                         toJsonb(withId),
-                        toJsonb(withId.geometry || {})
+                        toJsonb(withId.geometry || {}),
+                        bbox ? bbox.minLon : null,
+                        bbox ? bbox.minLat : null,
+                        bbox ? bbox.maxLon : null,
+                        bbox ? bbox.maxLat : null
                     ]
                 );
                 imported += 1;
             } catch (err) {
-                console.error("Walkway import failed for feature:", JSON.stringify(f, null, 2), "error:", err.message);
+                logger.error("Walkway import failed for feature", { feature: f, err });
             }
         }
-        console.log(`Imported ${imported} walkways from JSON`);
+        if (imported > 0) {
+            await bumpDatasetVersion({ query }, "walkways");
+            storeEvents.emit("change", { collection: "walkways", action: "import" });
+        }
+        logger.info("Imported walkways from JSON", { imported, file: DATA_PATH });
     } catch (e) {
-        console.warn("Walkway JSON import skipped", e.message);
+        logger.warn("Walkway JSON import skipped", { file: DATA_PATH, err: e });
     }
 }
 
+// Rows in the trash (deleted_at set) are left out of every read except the trash listing.
+function buildFilterClause(filter) {
+    const where = ["deleted_at IS NULL"];
+    const params = [];
+    const f = filter || {};
+    if (f.bbox) {
+        params.push(f.bbox.minLon, f.bbox.maxLon, f.bbox.minLat, f.bbox.maxLat);
+        const n = params.length;
+        where.push(`bbox_max_lon >= $${n - 3} AND bbox_min_lon <= $${n - 2} AND bbox_max_lat >= $${n - 1} AND bbox_min_lat <= $${n}`);
+    }
+    if (f.types && f.types.length) {
+        params.push(f.types);
+        where.push(`COALESCE(type, 'walkway') = ANY($${params.length})`);
+    }
+    if (f.buildingId) {
+        params.push(f.buildingId);
+        where.push(`data->'properties'->>'buildingId' = $${params.length}`);
+    }
+    let sql = ` WHERE ${where.join(" AND ")}`;
+    sql += " ORDER BY id";
+    if (f.limit != null) {
+        params.push(f.limit);
+        sql += ` LIMIT $${params.length}`;
+    }
+    if (f.offset) {
+        params.push(f.offset);
+        sql += ` OFFSET $${params.length}`;
+    }
+    return { sql, params };
+}
+
 async function readAllWalkways() {
-    await ensureTables();
-        const res = await query("SELECT id, type, name, curved, segmented, segment_index, start_lon, start_lat, end_lon, end_lat, control_start_lon, control_start_lat, control_end_lon, control_end_lat, control, data, geom FROM walkways");
-        return res.rows.map(r => {
-            if (r.data) return r.data;
-            return {
-                type: "Feature",
-                geometry: r.geom || {
-                    type: "LineString",
-                    coordinates: [
-                        [r.start_lon, r.start_lat],
-                        [r.end_lon, r.end_lat]
-                    ]
-                },
-                properties: {
-                    _id: r.id,
-                    type: r.type || "walkway",
-                    name: r.name,
-                    curved: !!r.curved,
-                    segmented: !!r.segmented,
-                    segmentIndex: r.segment_index,
-                    control: r.control || (r.control_start_lon != null ? [
-                        [r.control_start_lon, r.control_start_lat],
-                        [r.control_end_lon, r.control_end_lat]
-                    ] : undefined)
-                }
-            };
-        });
+    return readWalkways({});
 }
 
-async function upsertWalkway(feature) {
-    await ensureTables();
-    const id = feature?.properties?._id || makeId();
-    const withId = sanitizeJson({ ...feature, properties: { ...(feature.properties || {}), _id: id } });
-    if (!withId || !withId.geometry) return feature; // invalid, skip
+// Document-backend counterpart of buildFilterClause's WHERE.
+function matchesFilter(row, filter) {
+    const f = filter || {};
+    const p = row.data.properties || {};
+    if (row.deleted_at) return false;
+    if (f.bbox) {
+        const b = getBBox(row.data.geometry);
+        if (!b || b.maxLon < f.bbox.minLon || b.minLon > f.bbox.maxLon || b.maxLat < f.bbox.minLat || b.minLat > f.bbox.maxLat) return false;
+    }
+    if (f.types && f.types.length && !f.types.includes(p.type || "walkway")) return false;
+    if (f.buildingId && p.buildingId !== f.buildingId) return false;
+    return true;
+}
+
+async function readWalkways(filter) {
+    await ensureSeeded();
+    if (documents) {
+        const rows = await documents.list("walkways");
+        return pageRows(rows.filter(r => matchesFilter(r, filter)), filter).map(rowToWalkway);
+    }
+    const clause = buildFilterClause(filter);
+    const res = await query(`SELECT ${SELECT_COLUMNS} FROM walkways${clause.sql}`, clause.params);
+    return res.rows.map(rowToWalkway);
+}
+
+async function countWalkways() {
+    await ensureSeeded();
+    if (documents) return (await documents.list("walkways")).filter(r => !r.deleted_at).length;
+    const res = await query("SELECT COUNT(*)::int AS n FROM walkways WHERE deleted_at IS NULL");
+    return res.rows[0].n;
+}
+
+/**
+ * Reads one row by id, or null (also when it is in the trash). Pass `client` to read inside an open transaction.
+ */
+async function readWalkwayById(id, { client } = {}) {
+    await ensureSeeded();
+    if (documents) {
+        const row = await (client || documents).get("walkways", id);
+        return row && !row.deleted_at ? rowToWalkway(row) : null;
+    }
+    const res = await (client || { query }).query(`SELECT ${SELECT_COLUMNS} FROM walkways WHERE id = $1 AND deleted_at IS NULL`, [id]);
+    return res.rows.length ? rowToWalkway(res.rows[0]) : null;
+}
+
+// Stored row inside a write transaction, locked on Postgres until it commits. Trashed rows are
+// returned too: a write to their id takes them out of the trash.
+async function readRowForUpdate(client, id) {
+    if (documents) return client.get("walkways", id);
+    const cur = await client.query(`SELECT ${SELECT_COLUMNS} FROM walkways WHERE id = $1 FOR UPDATE`, [id]);
+    return cur.rows[0] || null;
+}
+
+function rowToWalkway(r) {
+    if (r.data) return { ...r.data, properties: { ...(r.data.properties || {}), _version: r.version } };
+    return {
+        type: "Feature",
+        geometry: r.geom || {
+            type: "LineString",
+            coordinates: [
+                [r.start_lon, r.start_lat],
+                [r.end_lon, r.end_lat]
+            ]
+        },
+        properties: {
+            _id: r.id,
+            type: r.type || "walkway",
+            name: r.name,
+            curved: !!r.curved,
+            segmented: !!r.segmented,
+            segmentIndex: r.segment_index,
+            control: r.control || (r.control_start_lon != null ? [
+                [r.control_start_lon, r.control_start_lat],
+                [r.control_end_lon, r.control_end_lat]
+            ] : undefined),
+            _version: r.version
+        }
+    };
+}
+
+async function writeWalkwayRow(client, withId, version) {
+    const id = withId.properties._id;
+    if (documents) {
+        client.put("walkways", id, { data: withId, version });
+        return;
+    }
     const p = withId.properties || {};
     const geom = withId.geometry || null;
     const segmentIndexVal = Number.isFinite(Number(p.segmentIndex)) ? Number(p.segmentIndex) : null;
@@ -186,21 +268,38 @@ async function upsertWalkway(feature) {
     const controlArr = Array.isArray(p.control) ? p.control : null;
     const controlStart = controlArr && controlArr[0] ? controlArr[0] : null;
     const controlEnd = controlArr && controlArr[controlArr.length - 1] ? controlArr[controlArr.length - 1] : null;
-    await query(
+    const bbox = getBBox(geom);
+    await client.query(
         `INSERT INTO walkways (id, type, name, curved, segmented, segment_index,
                                start_lon, start_lat, end_lon, end_lat,
                                control_start_lon, control_start_lat, control_end_lon, control_end_lat,
-                               control, data, geom)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16::jsonb,$17::jsonb)
+                               control, data, geom,
+                               bbox_min_lon, bbox_min_lat, bbox_max_lon, bbox_max_lat, version)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16::jsonb,$17::jsonb,$18,$19,$20,$21,$22)
          ON CONFLICT (id) DO UPDATE SET
             type = EXCLUDED.type,
             name = EXCLUDED.name,
             curved = EXCLUDED.curved,
             segmented = EXCLUDED.segmented,
             segment_index = EXCLUDED.segment_index,
+            start_lon = EXCLUDED.start_lon,
+            start_lat = EXCLUDED.start_lat,
+            end_lon = EXCLUDED.end_lon,
+            end_lat = EXCLUDED.end_lat,
+            control_start_lon = EXCLUDED.control_start_lon,
+            control_start_lat = EXCLUDED.control_start_lat,
+            control_end_lon = EXCLUDED.control_end_lon,
+            control_end_lat = EXCLUDED.control_end_lat,
+            bbox_min_lon = EXCLUDED.bbox_min_lon,
+            bbox_min_lat = EXCLUDED.bbox_min_lat,
+            bbox_max_lon = EXCLUDED.bbox_max_lon,
+            bbox_max_lat = EXCLUDED.bbox_max_lat,
             control = EXCLUDED.control,
             data = EXCLUDED.data,
-            geom = EXCLUDED.geom`,
+            geom = EXCLUDED.geom,
+            version = EXCLUDED.version,
+            deleted_at = NULL,
+            deleted_by = NULL`,
         [
             id,
             p.type || "walkway",
@@ -218,19 +317,148 @@ async function upsertWalkway(feature) {
             controlEnd ? controlEnd[1] : null,
             toJsonb(controlArr || null),
             toJsonb(withId),
-            toJsonb(geom || {})
+            toJsonb(geom || {}),
+            bbox ? bbox.minLon : null,
+            bbox ? bbox.minLat : null,
+            bbox ? bbox.maxLon : null,
+            bbox ? bbox.maxLat : null,
+            version
         ]
     );
-    return withId;
 }
 
-async function deleteWalkwayById(id) {
-    await ensureTables();
-    await query("DELETE FROM walkways WHERE id = $1", [id]);
+/**
+ * Inserts or updates a walkway segment.
+ * `expectedVersion` is the `_version` the caller last saw: null for a new segment,
+ * "*" to overwrite unconditionally. Stale versions throw ConflictError.
+ * `audit` ({ actorId, actor, requestId, reverts }) is recorded on the revision row written with the change.
+ * Pass `client` to run inside a caller's open transaction (see storage.withTransaction).
+ */
+async function upsertWalkway(feature, { expectedVersion = null, audit, client: outer } = {}) {
+    const problems = validateWalkway(feature);
+    if (problems.length) throw new ValidationError(problems, "Invalid walkway");
+    await ensureSeeded();
+    const id = feature?.properties?._id || makeId();
+    const withId = sanitizeJson({ ...feature, properties: { ...(feature.properties || {}), _id: id } });
+    delete withId.properties._version; // lives in its own column
+    const version = await withTransaction(async (client) => {
+        const stored = await readRowForUpdate(client, id);
+        const current = stored && !stored.deleted_at ? rowToWalkway(stored) : null;
+        assertExpectedVersion(current, expectedVersion, "Walkway");
+        // Overwriting a trashed copy counts as creating the segment again; its version keeps counting up.
+        const nextVersion = stored ? stored.version + 1 : 1;
+        await writeWalkwayRow(client, withId, nextVersion);
+        const after = { ...withId, properties: { ...withId.properties, _version: nextVersion } };
+        await recordRevision(client, { collection: "walkways", featureId: id, before: current, after }, audit);
+        await bumpDatasetVersion(client, "walkways");
+        client.afterCommit(() => storeEvents.emit("change", { collection: "walkways", action: "upsert", id, created: !current, version: nextVersion, requestId: audit?.requestId }));
+        return nextVersion;
+    }, outer);
+    return { ...withId, properties: { ...withId.properties, _version: version } };
+}
+
+/**
+ * Moves a walkway segment to the trash. Returns false when it did not exist or is already there.
+ * A non-null `expectedVersion` must match the stored version or ConflictError is thrown.
+ * The row stays in the table, hidden from reads, until restoreWalkwayById or the trash purge;
+ * the deleted copy is also kept as a revision.
+ * Pass `client` to run inside a caller's open transaction.
+ */
+async function deleteWalkwayById(id, { expectedVersion = null, audit, client: outer } = {}) {
+    await ensureSeeded();
+    const deleted = await withTransaction(async (client) => {
+        const stored = await readRowForUpdate(client, id);
+        if (!stored || stored.deleted_at) return false;
+        const current = rowToWalkway(stored);
+        if (expectedVersion != null) assertExpectedVersion(current, expectedVersion, "Walkway");
+        const deletedBy = audit?.actor || null;
+        if (documents) {
+            client.put("walkways", id, { ...stored, deleted_at: client.now, deleted_by: deletedBy });
+        } else {
+            await client.query("UPDATE walkways SET deleted_at = now(), deleted_by = $2 WHERE id = $1", [id, deletedBy]);
+        }
+        await recordRevision(client, { collection: "walkways", featureId: id, before: current, after: null }, audit);
+        await bumpDatasetVersion(client, "walkways");
+        client.afterCommit(() => storeEvents.emit("change", { collection: "walkways", action: "delete", id, requestId: audit?.requestId }));
+        return true;
+    }, outer);
+    return deleted;
+}
+
+function rowToTrashEntry(r) {
+    return { id: String(r.id), deletedAt: new Date(r.deleted_at).toISOString(), deletedBy: r.deleted_by || null, feature: rowToWalkway(r) };
+}
+
+/**
+ * Walkway segments in the trash, most recently deleted first.
+ * @param {{limit?: number}} [opts]
+ * @returns {Promise<Array<{id: string, deletedAt: string, deletedBy: string|null, feature: GeoJSON.Feature}>>}
+ */
+async function readTrashedWalkways({ limit } = {}) {
+    await ensureSeeded();
+    if (documents) {
+        const rows = (await documents.list("walkways"))
+            .filter(r => r.deleted_at)
+            .sort((a, b) => Date.parse(b.deleted_at) - Date.parse(a.deleted_at) || compareIds(a, b));
+        return (limit != null ? rows.slice(0, limit) : rows).map(rowToTrashEntry);
+    }
+    const res = await query(
+        `SELECT ${SELECT_COLUMNS} FROM walkways WHERE deleted_at IS NOT NULL
+         ORDER BY deleted_at DESC, id${limit != null ? " LIMIT $1" : ""}`,
+        limit != null ? [limit] : []
+    );
+    return res.rows.map(rowToTrashEntry);
+}
+
+/**
+ * Takes a walkway segment out of the trash. The restore is a write like any other: the version
+ * goes up, a revision is recorded and listeners see the segment created again.
+ * @returns {Promise<GeoJSON.Feature|null>} The restored segment, or null when the id is not in the trash.
+ */
+async function restoreWalkwayById(id, { audit, client: outer } = {}) {
+    await ensureSeeded();
+    return withTransaction(async (client) => {
+        const stored = await readRowForUpdate(client, id);
+        if (!stored || !stored.deleted_at) return null;
+        const walkway = rowToWalkway(stored);
+        delete walkway.properties._version;
+        const nextVersion = stored.version + 1;
+        await writeWalkwayRow(client, walkway, nextVersion);
+        const after = { ...walkway, properties: { ...walkway.properties, _version: nextVersion } };
+        await recordRevision(client, { collection: "walkways", featureId: id, before: null, after }, audit);
+        await bumpDatasetVersion(client, "walkways");
+        client.afterCommit(() => storeEvents.emit("change", { collection: "walkways", action: "upsert", id, created: true, version: nextVersion, requestId: audit?.requestId }));
+        return after;
+    }, outer);
+}
+
+/**
+ * Permanently removes walkway segments that were put in the trash before `cutoff`.
+ * Their last copy remains in the revision history.
+ * @param {Date} cutoff
+ * @returns {Promise<number>} How many were removed.
+ */
+async function purgeTrashedWalkways(cutoff) {
+    await ensureSeeded();
+    if (documents) {
+        return withTransaction(async (client) => {
+            const expired = client.list("walkways").filter(r => r.deleted_at && Date.parse(r.deleted_at) < cutoff.getTime());
+            expired.forEach(r => client.remove("walkways", r.id));
+            return expired.length;
+        });
+    }
+    const res = await query("DELETE FROM walkways WHERE deleted_at < $1", [cutoff]);
+    return res.rowCount;
 }
 
 module.exports = {
     readAllWalkways,
+    readWalkways,
+    readWalkwayById,
+    countWalkways,
     upsertWalkway,
-    deleteWalkwayById
+    deleteWalkwayById,
+    readTrashedWalkways,
+    restoreWalkwayById,
+    purgeTrashedWalkways
 };
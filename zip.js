@@ -0,0 +1,88 @@
+const { deflateRawSync } = require("zlib");
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buf) {
+    let c = 0xffffffff;
+    for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+/**
+ * Builds a ZIP archive in memory. Entries are deflated unless that would make them larger.
+ * Meant for small exports; there is no ZIP64 support, so keep archives well under 4 GB.
+ * @param {Array<{name: string, data: Buffer|string}>} entries
+ * @param {Date} [date] Modification time recorded for every entry.
+ * @returns {Buffer}
+ */
+function createZip(entries, date = new Date()) {
+    const { time, day } = dosDateTime(date);
+    const locals = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, "utf8");
+        const raw = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), "utf8");
+        const deflated = deflateRawSync(raw);
+        const useDeflate = deflated.length < raw.length;
+        const body = useDeflate ? deflated : raw;
+        const crc = crc32(raw);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // version needed
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(useDeflate ? 8 : 0, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(day, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(body.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+        locals.push(local, name, body);
+
+        const dir = Buffer.alloc(46);
+        dir.writeUInt32LE(0x02014b50, 0);
+        dir.writeUInt16LE(20, 4); // version made by
+        dir.writeUInt16LE(20, 6);
+        dir.writeUInt16LE(0x0800, 8);
+        dir.writeUInt16LE(useDeflate ? 8 : 0, 10);
+        dir.writeUInt16LE(time, 12);
+        dir.writeUInt16LE(day, 14);
+        dir.writeUInt32LE(crc, 16);
+        dir.writeUInt32LE(body.length, 20);
+        dir.writeUInt32LE(raw.length, 24);
+        dir.writeUInt16LE(name.length, 28);
+        dir.writeUInt32LE(offset, 42);
+        central.push(dir, name);
+
+        offset += local.length + name.length + body.length;
+    }
+
+    const centralSize = central.reduce((n, b) => n + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, ...central, end]);
+}
+
+module.exports = { createZip };